@@ -31,11 +31,151 @@ function createMathML(tag, attrs = {}, children = []) {
     return el;
 }
 
-// Create actuarial angle: ⌉n⌉
+// ============================================================================
+// ACTUARIAL ANGLE
+// ============================================================================
+
+// Library-wide settings, set as in actuarial-symbols.refactored.js (which
+// defines its own ActuarialSymbols; load one of the two files):
+// ActuarialSymbols.options.angleStyle = 'bracket'
+const options = { angleStyle: 'enclose', notation: 'soa' };
+globalThis.ActuarialSymbols = { options };
+
+// How the angle over a term is drawn:
+//   enclose    - a rule over the term and down its right side: menclose
+//                notation="actuarial", or CSS borders where the browser has
+//                no menclose
+//   macron-bar - a macron over the term followed by a bar: n|
+//   bracket    - a right ceiling after the term: n⌉
+const ANGLE_STYLES = ['enclose', 'macron-bar', 'bracket'];
+
+// The rules of the CSS angle, thickened by --act-angle-thickness
+const ANGLE_RULES = 'padding:0.1em 0.12em 0 0.05em;border-top:0.06em solid;border-right:0.06em solid;border-width:var(--act-angle-thickness,0.06em)';
+
+// Terms drawn with the angle: n, 20, n-t
+function isDuration(text) {
+    return /^([nmkt]|\d+)([+-]([nmkt]|\d+))*$/.test(text.replace(/\s/g, ''));
+}
+
+// A term as MathML: n, 20, n-t
+function createTerm(text) {
+    const children = text.replace(/\s/g, '').match(/\d+|[+-]|[^\d+-]/g).map(token => {
+        if (/^\d+$/.test(token)) return createMathML('mn', {}, [token]);
+        return createMathML(/^[+-]$/.test(token) ? 'mo' : 'mi', {}, [token]);
+    });
+    return children.length === 1 ? children[0] : createMathML('mrow', {}, children);
+}
+
+// Create actuarial angle: ⌉n⌉. It is drawn as menclose until the component
+// has rendered, when styleAngles draws it in the chosen style.
 function createAngle(content) {
-    return createMathML('menclose', {notation: 'actuarial'}, [
-        createMathML('mi', {}, [content])
+    return createMathML('menclose', {notation: 'actuarial', 'data-angle': 'annuity'}, [
+        createTerm(content)
+    ]);
+}
+
+let mencloseSupport = null;
+
+// Whether the browser draws <menclose notation="actuarial">, tested once by
+// measuring one around an <mspace>
+function supportsMenclose() {
+    if (mencloseSupport !== null) return mencloseSupport;
+    if (!document.body) return false;
+    const math = createMathML('math', {style: 'position:absolute;visibility:hidden'}, [
+        createMathML('menclose', {notation: 'actuarial'}, [
+            createMathML('mspace', {width: '20px', height: '20px'}, [])
+        ])
     ]);
+    document.body.appendChild(math);
+    mencloseSupport = math.firstChild.getBoundingClientRect().width > 21;
+    math.remove();
+    return mencloseSupport;
+}
+
+// The angle style of a component: its angle-style attribute or the global option
+function resolveAngleStyle(name) {
+    const style = String(name || options.angleStyle || 'enclose').trim().toLowerCase();
+    if (ANGLE_STYLES.includes(style)) return style;
+    console.warn('Unknown angle style:', name || options.angleStyle);
+    return 'enclose';
+}
+
+// Redraws the angles rendered under `root` in `style`
+function styleAngles(root, style) {
+    root.querySelectorAll('menclose[data-angle]').forEach(angle => {
+        const term = angle.firstChild;
+        let drawn;
+        if (style === 'macron-bar') {
+            drawn = createMathML('mover', {}, [
+                createMathML('mrow', {}, [term, createMathML('mo', {stretchy: 'false'}, ['|'])]),
+                createMathML('mo', {}, ['¯'])
+            ]);
+        } else if (style === 'bracket') {
+            drawn = createMathML('mrow', {}, [term, createMathML('mo', {stretchy: 'false'}, ['⌉'])]);
+        } else if (supportsMenclose()) {
+            return;
+        } else {
+            drawn = createMathML('mrow', {style: ANGLE_RULES}, [term]);
+        }
+        drawn.setAttribute('data-angle', 'annuity');
+        angle.replaceWith(drawn);
+    });
+}
+
+// ============================================================================
+// NOTATION PRESETS
+// ============================================================================
+
+// The layout rules that differ between actuarial bodies and textbooks, as in
+// actuarial-symbols.refactored.js:
+//   benefit    - premiums and reserves as P(A_x) and _kV(A_x) ('function'),
+//                or as P_x and _kV_x ('status'; for the benefit A only)
+//   termOne    - the 1 of term insurance in the upper-right corner ('term')
+//                or as a precedence number over the life ('life')
+//   termAngle  - whether the term of an insurance, premium or reserve has
+//                the angle
+//   precedence - precedence numbers drawn with mover and munder ('over') or
+//                with munderover and an empty script ('underover')
+const NOTATIONS = {
+    soa: { benefit: 'function', termOne: 'term', termAngle: true, precedence: 'over' },
+    iaa: { benefit: 'status', termOne: 'life', termAngle: true, precedence: 'over' },
+    ifoa: { benefit: 'status', termOne: 'term', termAngle: true, precedence: 'over' },
+    textbook: { benefit: 'status', termOne: 'term', termAngle: false, precedence: 'underover' }
+};
+
+// The notation of a component: its notation attribute or the global option
+function resolveNotation(name) {
+    const notation = String(name || options.notation || 'soa').trim().toLowerCase();
+    if (NOTATIONS[notation]) return NOTATIONS[notation];
+    console.warn('Unknown notation:', name || options.notation);
+    return NOTATIONS.soa;
+}
+
+// Redraws the precedence numbers rendered under `root` as mover/munder,
+// unless the notation keeps munderover
+function placePrecedence(root, notation) {
+    if (notation.precedence === 'underover') return;
+    root.querySelectorAll('munderover[data-precedence]').forEach(el => {
+        const top = el.getAttribute('data-precedence') === 'top';
+        const [base, under, over] = el.children;
+        el.replaceWith(createMathML(top ? 'mover' : 'munder', {'data-precedence': top ? 'top' : 'bottom'}, [
+            base,
+            top ? over : under
+        ]));
+    });
+}
+
+// A premium or reserve letter with its duration at the lower left and, for
+// the 'status' rule of NOTATIONS, a status at the lower right: _kV_x
+function prescripted(symbol, duration, lrElement) {
+    if (!duration) return lrElement ? createMathML('msub', {}, [symbol, lrElement]) : symbol;
+    const scripts = createMathML('mmultiscripts', {}, [symbol]);
+    scripts.appendChild(lrElement || createMathML('none', {}, []));
+    scripts.appendChild(createMathML('none', {}, []));
+    scripts.appendChild(createMathML('mprescripts', {}, []));
+    scripts.appendChild(createMathML('mi', {}, [duration]));
+    scripts.appendChild(createMathML('none', {}, []));
+    return scripts;
 }
 
 // Parse subscript with special handling for durations, joint lives, etc.
@@ -66,13 +206,13 @@ function parseSubscript(text, options = {}) {
             mrow.appendChild(createMathML('mo', {}, [':']));
             const part = parts[i].trim();
             
-            // Apply angle to duration letters
-            if (useAngle && part.match(/^[nmkt]$/)) {
+            // Apply angle to durations
+            if (useAngle && isDuration(part)) {
                 mrow.appendChild(createAngle(part));
             } else if (part.includes('|')) {
                 // Deferred: n|
                 const [num] = part.split('|');
-                if (useAngle && num.match(/^[nmkt]$/)) {
+                if (useAngle && isDuration(num)) {
                     mrow.appendChild(createAngle(num));
                 } else {
                     mrow.appendChild(createMathML('mi', {}, [num]));
@@ -129,14 +269,14 @@ function parseStatus(text, precedence = [], lastSurvivor = false) {
             const base = createMathML('mi', {}, [life]);
             if (prec.top === false) {
                 // Bottom precedence
-                mrow.appendChild(createMathML('munderover', {}, [
+                mrow.appendChild(createMathML('munderover', {'data-precedence': 'bottom'}, [
                     base,
                     createMathML('mn', {}, [String(prec.num)]),
                     createMathML('none', {}, [])
                 ]));
             } else {
                 // Top precedence (default)
-                mrow.appendChild(createMathML('munderover', {}, [
+                mrow.appendChild(createMathML('munderover', {'data-precedence': 'top'}, [
                     base,
                     createMathML('none', {}, []),
                     createMathML('mn', {}, [String(prec.num)])
@@ -163,6 +303,30 @@ function applyDecoration(symbol, decoration) {
     return symbolEl;
 }
 
+// Letters for increasing and decreasing benefits: (IA), (Dä)
+const VARIATIONS = { increasing: 'I', decreasing: 'D' };
+
+// Wrap a benefit symbol in its variation: (IA), (I^(m) ā), (Ī Ā).
+// The benefit's own frequency goes inside the brackets: (IA^(m))
+function applyVariation(mainSymbol, options = {}) {
+    const { variation, variationType, variationFrequency, frequency } = options;
+    if (!VARIATIONS[variation]) return mainSymbol;
+
+    let letter = applyDecoration(VARIATIONS[variation], variationType === 'continuous' ? 'bar' : '');
+    if (variationFrequency) {
+        letter = createMathML('msup', {}, [letter, parseUpperRight(variationFrequency)]);
+    }
+    if (frequency) {
+        mainSymbol = createMathML('msup', {}, [mainSymbol, parseUpperRight(frequency)]);
+    }
+    return createMathML('mrow', {}, [
+        createMathML('mo', {}, ['(']),
+        letter,
+        mainSymbol,
+        createMathML('mo', {}, [')'])
+    ]);
+}
+
 // Parse upper-right superscript (handles parentheses)
 function parseUpperRight(text) {
     if (!text) return null;
@@ -179,10 +343,143 @@ function parseUpperRight(text) {
     return createMathML('mi', {}, [text]);
 }
 
+// Decrements that have a name in attributes: decrement="tau" is τ
+const DECREMENT_NAMES = { 'tau': 'τ', 'total': 'τ' };
+
+// Upper-right index of a multiple-decrement or multi-state symbol:
+// the decrement in brackets, q_x^(j), or the states of a transition, tp_x^01
+function decrementIndex(decrement, stateFrom, stateTo) {
+    if (stateFrom || stateTo) {
+        const mrow = createMathML('mrow', {}, []);
+        [stateFrom, stateTo].filter(Boolean).forEach(state => {
+            mrow.appendChild(createMathML(/^\d+$/.test(state) ? 'mn' : 'mi', {}, [state]));
+        });
+        return mrow;
+    }
+    if (!decrement) return null;
+    const name = DECREMENT_NAMES[decrement.trim().toLowerCase()] || decrement.trim();
+    return parseUpperRight('(' + name + ')');
+}
+
 // ============================================================================
 // WEB COMPONENTS
 // ============================================================================
 
+// Converts a camelCase property name to its kebab-case attribute name
+function toAttributeName(prop) {
+    return prop.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+// Attributes every component accepts besides its own `properties`
+const COMMON_PROPERTIES = { angleStyle: String, notation: String };
+
+/**
+ * Base class shared by all components.
+ * 
+ * Renders on connect and again whenever an observed attribute changes.
+ * Changes made in the same task are batched into a single render, and each
+ * render replaces the previous output instead of appending to it.
+ * 
+ * Subclasses declare `static get properties()` (property name -> String,
+ * Boolean or Array) and implement `render()`.
+ */
+class ActuarialElement extends HTMLElement {
+    static get properties() {
+        return {};
+    }
+
+    static get observedAttributes() {
+        return Object.keys(Object.assign({}, this.properties, COMMON_PROPERTIES)).map(toAttributeName);
+    }
+
+    connectedCallback() {
+        // Re-assign properties set before upgrade so they reach the accessors
+        Object.keys(this.constructor.properties).forEach(prop => {
+            if (Object.prototype.hasOwnProperty.call(this, prop)) {
+                const value = this[prop];
+                delete this[prop];
+                this[prop] = value;
+            }
+        });
+        this._pending = false;
+        this.update();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue || !this.isConnected || this._pending) return;
+        this._pending = true;
+        queueMicrotask(() => {
+            if (!this._pending) return;
+            this._pending = false;
+            if (this.isConnected) this.update();
+        });
+    }
+
+    // Renders, then draws the angles in the component's angle style and the
+    // precedence numbers as its notation places them
+    update() {
+        this.render();
+        styleAngles(this, resolveAngleStyle(this.getAttribute('angle-style')));
+        placePrecedence(this, this.notationRules());
+    }
+
+    // The layout rules of the component's notation (see NOTATIONS)
+    notationRules() {
+        return resolveNotation(this.getAttribute('notation'));
+    }
+
+    render() {}
+
+    // Dispatches an `act-error` event for an invalid attribute, and logs it
+    // unless a listener calls preventDefault()
+    reportError(message) {
+        const event = new CustomEvent('act-error', {
+            bubbles: true,
+            composed: true,
+            cancelable: true,
+            detail: { message }
+        });
+        if (this.dispatchEvent(event)) console.warn('<' + this.localName + '>: ' + message);
+    }
+}
+
+// Define JS property accessors for each declared attribute
+function defineAttributeProperties(ctor) {
+    Object.entries(ctor.properties).forEach(([prop, type]) => {
+        const attr = toAttributeName(prop);
+        let descriptor;
+        if (type === Boolean) {
+            descriptor = {
+                get() { return this.hasAttribute(attr); },
+                set(value) { this.toggleAttribute(attr, Boolean(value)); }
+            };
+        } else if (type === Array) {
+            descriptor = {
+                get() {
+                    try {
+                        return JSON.parse(this.getAttribute(attr) || '[]');
+                    } catch (e) {
+                        return [];
+                    }
+                },
+                set(value) {
+                    if (value == null) this.removeAttribute(attr);
+                    else this.setAttribute(attr, typeof value === 'string' ? value : JSON.stringify(value));
+                }
+            };
+        } else {
+            descriptor = {
+                get() { return this.getAttribute(attr); },
+                set(value) {
+                    if (value == null) this.removeAttribute(attr);
+                    else this.setAttribute(attr, String(value));
+                }
+            };
+        }
+        Object.defineProperty(ctor.prototype, prop, Object.assign(descriptor, { configurable: true, enumerable: true }));
+    });
+}
+
 /**
  * <act-symbol> - Generic actuarial symbol with 4-corner notation
  * 
@@ -199,8 +496,15 @@ function parseUpperRight(text) {
  *   precedence  - JSON array: [{pos: 0, num: 1, top: true}, ...]
  *   last-survivor - Boolean attribute
  */
-class ActSymbol extends HTMLElement {
-    connectedCallback() {
+class ActSymbol extends ActuarialElement {
+    static get properties() {
+        return {
+            ll: String, ul: String, p: String, symbol: String, lr: String, ur: String,
+            decoration: String, precedence: Array, lastSurvivor: Boolean
+        };
+    }
+
+    render() {
         const ll = this.getAttribute('ll') || '';
         const ul = this.getAttribute('ul') || '';
         const p = this.getAttribute('p') || '';
@@ -214,7 +518,9 @@ class ActSymbol extends HTMLElement {
         try {
             const precAttr = this.getAttribute('precedence');
             if (precAttr) precedence = JSON.parse(precAttr);
-        } catch (e) {}
+        } catch (e) {
+            this.reportError('precedence="' + this.getAttribute('precedence') + '": expected JSON such as [{"pos": 0, "num": 1}]');
+        }
 
         const math = createMathML('math', {}, []);
         let mainSymbol = applyDecoration(symbol, decoration);
@@ -257,7 +563,7 @@ class ActSymbol extends HTMLElement {
             math.appendChild(mainSymbol);
         }
 
-        this.appendChild(math);
+        this.replaceChildren(math);
     }
 }
 
@@ -272,14 +578,27 @@ class ActSymbol extends HTMLElement {
  *   term      - Optional term duration (overrides if in age)
  *   defer     - Optional deferral period
  *   frequency - Optional: '(m)' for mthly
+ *   variation - Optional: 'increasing' (Ia) or 'decreasing' (Da)
+ *   variation-type      - 'continuous' for a continuously varying (Ī)
+ *   variation-frequency - Optional: '(m)' for a variation m times a year
  */
-class ActAnnuity extends HTMLElement {
-    connectedCallback() {
+class ActAnnuity extends ActuarialElement {
+    static get properties() {
+        return {
+            age: String, type: String, term: String, defer: String, frequency: String,
+            variation: String, variationType: String, variationFrequency: String
+        };
+    }
+
+    render() {
         let age = this.getAttribute('age') || 'x';
         const type = this.getAttribute('type') || 'immediate';
         const term = this.getAttribute('term');
         const defer = this.getAttribute('defer');
-        const frequency = this.getAttribute('frequency');
+        const variation = this.getAttribute('variation');
+        // A varying annuity carries its frequency inside the brackets
+        const varies = Boolean(VARIATIONS[variation]);
+        const frequency = varies ? null : this.getAttribute('frequency');
 
         // Build subscript
         let lr = age;
@@ -293,7 +612,12 @@ class ActAnnuity extends HTMLElement {
         };
 
         const symbol = createMathML('math', {}, []);
-        const mainSymbol = applyDecoration('a', decorationMap[type]);
+        const mainSymbol = applyVariation(applyDecoration('a', decorationMap[type]), {
+            variation,
+            variationType: this.getAttribute('variation-type'),
+            variationFrequency: this.getAttribute('variation-frequency'),
+            frequency: varies ? this.getAttribute('frequency') : null
+        });
         const lrElement = parseSubscript(lr, {useAngle: true});
 
         if (frequency) {
@@ -307,7 +631,7 @@ class ActAnnuity extends HTMLElement {
             symbol.appendChild(createMathML('msub', {}, [mainSymbol, lrElement]));
         }
 
-        this.appendChild(symbol);
+        this.replaceChildren(symbol);
     }
 }
 
@@ -322,14 +646,27 @@ class ActAnnuity extends HTMLElement {
  *   payment   - 'eoy' (end of year), 'continuous'
  *   term      - Optional term
  *   frequency - Optional: '(m)'
+ *   variation - Optional: 'increasing' (IA) or 'decreasing' (DA)
+ *   variation-type      - 'continuous' for a continuously varying (Ī)
+ *   variation-frequency - Optional: '(m)' for a variation m times a year
  */
-class ActInsurance extends HTMLElement {
-    connectedCallback() {
+class ActInsurance extends ActuarialElement {
+    static get properties() {
+        return {
+            age: String, type: String, payment: String, term: String, frequency: String,
+            variation: String, variationType: String, variationFrequency: String
+        };
+    }
+
+    render() {
         let age = this.getAttribute('age') || 'x';
         const type = this.getAttribute('type') || 'whole';
         const payment = this.getAttribute('payment') || 'eoy';
         const term = this.getAttribute('term');
-        const frequency = this.getAttribute('frequency');
+        const variation = this.getAttribute('variation');
+        // A varying insurance carries its frequency inside the brackets
+        const varies = Boolean(VARIATIONS[variation]) && type !== 'pure-endowment';
+        const frequency = varies ? null : this.getAttribute('frequency');
 
         let lr = age;
         if (term && !age.includes(':')) lr += ':' + term;
@@ -337,15 +674,27 @@ class ActInsurance extends HTMLElement {
         const decoration = payment === 'continuous' ? 'bar' : '';
         const math = createMathML('math', {}, []);
         let mainSymbol = applyDecoration('A', decoration);
-        const lrElement = parseSubscript(lr, {useAngle: true});
+        if (varies) {
+            mainSymbol = applyVariation(mainSymbol, {
+                variation,
+                variationType: this.getAttribute('variation-type'),
+                variationFrequency: this.getAttribute('variation-frequency'),
+                frequency: this.getAttribute('frequency')
+            });
+        }
+        const notation = this.notationRules();
+        // The notation may put the 1 of term insurance over the life
+        const oneOverLife = type === 'term' && notation.termOne === 'life';
+        const lrElement = parseSubscript(lr, {
+            useAngle: notation.termAngle,
+            precedence: oneOverLife ? [{pos: 0, num: 1}] : []
+        });
 
         // Handle different insurance types
         if (type === 'term') {
-            const sub = createMathML('msubsup', {}, [
-                mainSymbol,
-                lrElement,
-                createMathML('mn', {}, ['1'])
-            ]);
+            const sub = oneOverLife
+                ? createMathML('msub', {}, [mainSymbol, lrElement])
+                : createMathML('msubsup', {}, [mainSymbol, lrElement, createMathML('mn', {}, ['1'])]);
             if (frequency) {
                 math.appendChild(createMathML('msubsup', {}, [
                     sub,
@@ -376,7 +725,7 @@ class ActInsurance extends HTMLElement {
             }
         }
 
-        this.appendChild(math);
+        this.replaceChildren(math);
     }
 }
 
@@ -389,40 +738,43 @@ class ActInsurance extends HTMLElement {
  *   payment   - 'annual', 'continuous'
  *   duration  - Optional: duration k for kth premium
  */
-class ActPremium extends HTMLElement {
-    connectedCallback() {
+class ActPremium extends ActuarialElement {
+    static get properties() {
+        return {
+            benefit: String, age: String, payment: String, duration: String
+        };
+    }
+
+    render() {
         const benefit = this.getAttribute('benefit') || 'A';
         const age = this.getAttribute('age') || 'x';
         const payment = this.getAttribute('payment') || 'annual';
         const duration = this.getAttribute('duration');
 
+        const notation = this.notationRules();
+
         const math = createMathML('math', {}, []);
         
         // P or P̄
-        let pSymbol = applyDecoration('P', payment === 'continuous' ? 'bar' : '');
-        
-        // Add duration as left subscript if provided
-        if (duration) {
-            const scripts = createMathML('mmultiscripts', {}, [pSymbol]);
-            scripts.appendChild(createMathML('none', {}, []));
-            scripts.appendChild(createMathML('none', {}, []));
-            scripts.appendChild(createMathML('mprescripts', {}, []));
-            scripts.appendChild(createMathML('mi', {}, [duration]));
-            scripts.appendChild(createMathML('none', {}, []));
-            pSymbol = scripts;
+        const pSymbol = applyDecoration('P', payment === 'continuous' ? 'bar' : '');
+        const lrElement = parseSubscript(age, {useAngle: notation.termAngle});
+        if (notation.benefit === 'status' && benefit === 'A') {
+            math.appendChild(prescripted(pSymbol, duration, lrElement));
+            this.replaceChildren(math);
+            return;
         }
 
-        math.appendChild(pSymbol);
+        // Add duration as left subscript if provided
+        math.appendChild(prescripted(pSymbol, duration));
         math.appendChild(createMathML('mo', {}, ['(']));
         
         // Benefit symbol
         const benefitSymbol = applyDecoration(benefit, payment === 'continuous' ? 'bar' : '');
-        const lrElement = parseSubscript(age, {useAngle: true});
         math.appendChild(createMathML('msub', {}, [benefitSymbol, lrElement]));
         
         math.appendChild(createMathML('mo', {}, [')']));
 
-        this.appendChild(math);
+        this.replaceChildren(math);
     }
 }
 
@@ -435,69 +787,95 @@ class ActPremium extends HTMLElement {
  *   duration  - Time k
  *   payment   - 'annual', 'continuous'
  */
-class ActReserve extends HTMLElement {
-    connectedCallback() {
+class ActReserve extends ActuarialElement {
+    static get properties() {
+        return {
+            benefit: String, age: String, duration: String, payment: String
+        };
+    }
+
+    render() {
         const benefit = this.getAttribute('benefit') || 'A';
         const age = this.getAttribute('age') || 'x';
         const duration = this.getAttribute('duration') || 'k';
         const payment = this.getAttribute('payment') || 'annual';
 
+        const notation = this.notationRules();
+
         const math = createMathML('math', {}, []);
         
-        let vSymbol = applyDecoration('V', payment === 'continuous' ? 'bar' : '');
-        
-        // Add duration as left subscript
-        const scripts = createMathML('mmultiscripts', {}, [vSymbol]);
-        scripts.appendChild(createMathML('none', {}, []));
-        scripts.appendChild(createMathML('none', {}, []));
-        scripts.appendChild(createMathML('mprescripts', {}, []));
-        scripts.appendChild(createMathML('mi', {}, [duration]));
-        scripts.appendChild(createMathML('none', {}, []));
+        const vSymbol = applyDecoration('V', payment === 'continuous' ? 'bar' : '');
+        const lrElement = parseSubscript(age, {useAngle: notation.termAngle});
+        if (notation.benefit === 'status' && benefit === 'A') {
+            math.appendChild(prescripted(vSymbol, duration, lrElement));
+            this.replaceChildren(math);
+            return;
+        }
 
-        math.appendChild(scripts);
+        // Add duration as left subscript
+        math.appendChild(prescripted(vSymbol, duration));
         math.appendChild(createMathML('mo', {}, ['(']));
         
         const benefitSymbol = applyDecoration(benefit, payment === 'continuous' ? 'bar' : '');
-        const lrElement = parseSubscript(age, {useAngle: true});
         math.appendChild(createMathML('msub', {}, [benefitSymbol, lrElement]));
         
         math.appendChild(createMathML('mo', {}, [')']));
 
-        this.appendChild(math);
+        this.replaceChildren(math);
     }
 }
 
 /**
- * <act-prob> - Probability symbols (p, q)
+ * <act-prob> - Probability symbols (p, q) and forces (μ)
  * 
  * Attributes:
- *   age       - Status (e.g., "x")
- *   time      - Time period t
- *   type      - 'survival' (p) or 'mortality' (q)
- *   defer     - Optional deferral
+ *   age        - Status (e.g., "x")
+ *   time       - Time period t (empty for one year: p_x)
+ *   type       - 'survival' (p), 'mortality' (q) or 'force' (μ)
+ *   defer      - Optional deferral
+ *   decrement  - Decrement j of a multiple-decrement model, or "tau" for all
+ *   state-from - Starting state i of a multi-state transition
+ *   state-to   - State j at the end of the transition
  */
-class ActProb extends HTMLElement {
-    connectedCallback() {
+class ActProb extends ActuarialElement {
+    static get properties() {
+        return {
+            age: String, time: String, type: String, defer: String,
+            decrement: String, stateFrom: String, stateTo: String
+        };
+    }
+
+    render() {
         const age = this.getAttribute('age') || 'x';
-        const time = this.getAttribute('time') || 't';
+        const time = this.hasAttribute('time') ? this.getAttribute('time') : 't';
         const type = this.getAttribute('type') || 'survival';
         const defer = this.getAttribute('defer');
+        const index = decrementIndex(this.decrement, this.stateFrom, this.stateTo);
 
         const math = createMathML('math', {}, []);
-        const symbol = type === 'mortality' ? 'q' : 'p';
+        const symbol = { 'mortality': 'q', 'force': 'μ' }[type] || 'p';
         
-        let ll = time;
-        if (defer) ll = defer + '|' + ll;
+        let ll = type === 'force' ? '' : time;
+        if (defer && ll) ll = defer + '|' + ll;
+
+        if (!ll) {
+            const sub = createMathML(index ? 'msubsup' : 'msub', {}, [createMathML('mi', {}, [symbol])]);
+            sub.appendChild(createMathML('mi', {}, [age]));
+            if (index) sub.appendChild(index);
+            math.appendChild(sub);
+            this.replaceChildren(math);
+            return;
+        }
 
         const scripts = createMathML('mmultiscripts', {}, [createMathML('mi', {}, [symbol])]);
         scripts.appendChild(createMathML('mi', {}, [age]));
-        scripts.appendChild(createMathML('none', {}, []));
+        scripts.appendChild(index || createMathML('none', {}, []));
         scripts.appendChild(createMathML('mprescripts', {}, []));
         scripts.appendChild(createMathML('mi', {}, [ll]));
         scripts.appendChild(createMathML('none', {}, []));
 
         math.appendChild(scripts);
-        this.appendChild(math);
+        this.replaceChildren(math);
     }
 }
 
@@ -508,8 +886,14 @@ class ActProb extends HTMLElement {
  *   func      - Function letter (D, N, C, M, S, R)
  *   age       - Status
  */
-class ActCommute extends HTMLElement {
-    connectedCallback() {
+class ActCommute extends ActuarialElement {
+    static get properties() {
+        return {
+            func: String, age: String
+        };
+    }
+
+    render() {
         const func = this.getAttribute('func') || 'D';
         const age = this.getAttribute('age') || 'x';
 
@@ -519,10 +903,103 @@ class ActCommute extends HTMLElement {
             createMathML('mi', {}, [age])
         ]));
 
-        this.appendChild(math);
+        this.replaceChildren(math);
     }
 }
 
+/**
+ * <act-count> - Expected numbers of lives (l) and decrements (d)
+ * 
+ * Attributes:
+ *   func      - 'l' (lives, default) or 'd' (decrements)
+ *   age       - Status
+ *   decrement - Decrement j, or "tau" for all: l_x^(τ), d_x^(j)
+ */
+class ActCount extends ActuarialElement {
+    static get properties() {
+        return {
+            func: String, age: String, decrement: String
+        };
+    }
+
+    render() {
+        const func = this.getAttribute('func') === 'd' ? 'd' : 'l';
+        const age = this.getAttribute('age') || 'x';
+        const index = decrementIndex(this.decrement);
+
+        const math = createMathML('math', {}, []);
+        const sub = createMathML(index ? 'msubsup' : 'msub', {}, [
+            createMathML('mi', {}, [func]),
+            createMathML('mi', {}, [age])
+        ]);
+        if (index) sub.appendChild(index);
+        math.appendChild(sub);
+
+        this.replaceChildren(math);
+    }
+}
+
+/**
+ * <act-lifetime> - Survival model symbols (μ, e, e̊, T, K, L, m)
+ * 
+ * Attributes:
+ *   func      - 'mu', 'e' (default), 'T', 'K', 'L' or 'm'; 'p' and 'q'
+ *               render as <act-prob>, e.g. t|uq_x
+ *   age       - Status; "x:n" for the temporary e_{x:n|}
+ *   type      - 'curtate' (default) or 'complete' (e̊) expectation of life
+ *   time      - Years n of nL_x and nm_x (of the probability for p and q)
+ *   defer     - Deferral of a q
+ */
+class ActLifetime extends ActuarialElement {
+    static get properties() {
+        return {
+            func: String, age: String, type: String, time: String, defer: String
+        };
+    }
+
+    render() {
+        const func = this.getAttribute('func') || 'e';
+        const age = this.getAttribute('age') || 'x';
+        const time = this.getAttribute('time');
+
+        if (func === 'p' || func === 'q') {
+            const prob = document.createElement('act-prob');
+            ['age', 'time', 'defer', 'angle-style'].forEach(attr => {
+                if (this.hasAttribute(attr)) prob.setAttribute(attr, this.getAttribute(attr));
+            });
+            prob.setAttribute('type', func === 'q' ? 'mortality' : 'survival');
+            this.replaceChildren(prob);
+            return;
+        }
+
+        const math = createMathML('math', {}, []);
+        let symbol;
+        if (func === 'e') {
+            symbol = applyDecoration('e', this.getAttribute('type') === 'complete' ? 'ring' : '');
+        } else {
+            symbol = createMathML('mi', {}, [func === 'mu' ? 'μ' : func]);
+        }
+        // Only e takes a term: e_{x:n|}
+        const subscript = func === 'e' ? parseSubscript(age) : createMathML('mi', {}, [age]);
+
+        if (time && (func === 'L' || func === 'm')) {
+            const scripts = createMathML('mmultiscripts', {}, [symbol, subscript]);
+            scripts.appendChild(createMathML('none', {}, []));
+            scripts.appendChild(createMathML('mprescripts', {}, []));
+            scripts.appendChild(createMathML('mi', {}, [time]));
+            scripts.appendChild(createMathML('none', {}, []));
+            math.appendChild(scripts);
+        } else {
+            math.appendChild(createMathML('msub', {}, [symbol, subscript]));
+        }
+
+        this.replaceChildren(math);
+    }
+}
+
+[ActSymbol, ActAnnuity, ActInsurance, ActPremium, ActReserve, ActProb, ActCommute, ActCount, ActLifetime].forEach(defineAttributeProperties);
+defineAttributeProperties({ prototype: ActuarialElement.prototype, properties: COMMON_PROPERTIES });
+
 // Register all custom elements
 customElements.define('act-symbol', ActSymbol);
 customElements.define('act-annuity', ActAnnuity);
@@ -531,6 +1008,8 @@ customElements.define('act-premium', ActPremium);
 customElements.define('act-reserve', ActReserve);
 customElements.define('act-prob', ActProb);
 customElements.define('act-commute', ActCommute);
+customElements.define('act-count', ActCount);
+customElements.define('act-lifetime', ActLifetime);
 
 console.log('🎯 Actuarial Symbols Library loaded');
 })();
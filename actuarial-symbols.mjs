@@ -0,0 +1,51 @@
+/**
+ * International Actuarial Symbols - ES module entry point
+ *
+ * Loads the library (which also registers the custom elements when running
+ * in a browser) and re-exports its API:
+ *
+ *   import { renderToString } from './actuarial-symbols.mjs';
+ *   renderToString({ kind: 'annuity', age: 'x:n', type: 'due' });
+ */
+
+import './actuarial-symbols.refactored.js';
+
+const ActuarialSymbols = globalThis.ActuarialSymbols;
+
+export const {
+    render,
+    renderToString,
+    renderToDOM,
+    evaluate,
+    describe,
+    validate,
+    validateSpec,
+    toMathMLString,
+    toDOM,
+    toHTML,
+    supportsMathML,
+    createElement,
+    parseLatex,
+    toLatex,
+    latexToMathML,
+    renderEquation,
+    renderIdentity,
+    findIdentities,
+    explain,
+    parseShorthand,
+    upgradeShorthand,
+    toUnicode,
+    toStandaloneMathML,
+    toSVG,
+    toPNG,
+    define,
+    autoRender,
+    LifeTable,
+    options,
+    explanations,
+    identities,
+    kinds,
+    elements
+} = ActuarialSymbols;
+
+export default ActuarialSymbols;
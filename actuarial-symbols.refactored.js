@@ -4,418 +4,7013 @@
  *
  * This version introduces a base class, ES6 syntax, and better organization
  * to improve maintainability and reduce code duplication.
+ *
+ * The symbol builders are DOM-free: they produce a lightweight MathML node
+ * tree ({ tag, attrs, children }) which is either serialized to a string
+ * (server-side rendering, Node) or materialized as DOM by the components.
+ * Both paths share the same renderers, so their output is identical.
+ *
+ * Browser:  <script src="actuarial-symbols.refactored.js"></script>
+ *           window.ActuarialSymbols.renderToString({ kind: 'annuity', age: 'x:n', type: 'due' })
+ * ES module: import { renderToString } from './actuarial-symbols.mjs';
+ * Node:     const { renderToString } = require('./actuarial-symbols.refactored.js');
  */
 
 (function() {
     "use strict";
 
+    const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
     // ===========================================================================
-    // BASE CLASS for Actuarial Symbols
+    // MATHML NODES
     // ===========================================================================
 
-    class ActuarialSymbolBase extends HTMLElement {
-        constructor() {
-            super();
-            this.rendered = false;
+    /**
+     * Creates a MathML node. String children become text, null/undefined
+     * children are skipped.
+     */
+    function createMathML(tag, attrs = {}, children = []) {
+        return {
+            tag,
+            attrs: { ...attrs },
+            children: children.filter(child => child != null && child !== false)
+        };
+    }
+
+    function escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Serializes a node tree to a MathML string. With `xmlns: true` the
+     * namespace is declared on the root, for use in XHTML/XML documents.
+     */
+    function toMathMLString(node, options = {}) {
+        if (typeof node === 'string') return escapeXML(node);
+        const attrs = { ...node.attrs };
+        if (options.xmlns && node.tag === 'math') attrs.xmlns = MATHML_NS;
+        const attrText = Object.entries(attrs)
+            .map(([k, v]) => ` ${k}="${escapeXML(v)}"`)
+            .join('');
+        const content = node.children.map(child => toMathMLString(child)).join('');
+        return `<${node.tag}${attrText}>${content}</${node.tag}>`;
+    }
+
+    /**
+     * Materializes a node tree as MathML DOM elements.
+     */
+    function toDOM(node, doc = document) {
+        if (typeof node === 'string') return doc.createTextNode(node);
+        const el = doc.createElementNS(MATHML_NS, node.tag);
+        Object.entries(node.attrs).forEach(([k, v]) => el.setAttribute(k, v));
+        node.children.forEach(child => el.appendChild(toDOM(child, doc)));
+        return el;
+    }
+
+    // ===========================================================================
+    // HTML RENDERER
+    // ===========================================================================
+
+    // The fallback for browsers and webviews without MathML layout, and for
+    // HTML that is copied into email: the same node tree drawn with spans and
+    // inline styles (no style sheet is needed). The theme's custom properties
+    // follow the plain values, which apply where var() is not supported.
+    const HTML_STYLES = {
+        math: 'display:inline-block;font-family:\'Times New Roman\',Times,serif;font-style:normal;white-space:nowrap;line-height:1.2',
+        block: 'display:block;text-align:center;font-family:\'Times New Roman\',Times,serif;font-style:normal;white-space:nowrap;line-height:1.2',
+        identifier: 'font-style:italic',
+        relation: 'padding:0 0.25em',
+        scripts: 'display:inline-block;vertical-align:-0.5em;font-size:70%;font-size:calc(var(--act-script-scale,0.7)*100%);line-height:1.1',
+        script: 'display:block',
+        annuityAngle: 'display:inline-block;line-height:1.1;border-top:1px solid;border-right:1px solid;border-width:var(--act-angle-thickness,1px);padding:0 0.15em 0 0.05em',
+        insuranceAngle: 'display:inline-block;line-height:1.1;border-top:1px solid;border-width:var(--act-angle-thickness,1px)',
+        overline: 'display:inline-block;line-height:1.1;border-top:1px solid',
+        over: 'display:inline-block;text-align:center;line-height:1',
+        under: 'display:inline-block;text-align:center;line-height:1;vertical-align:-0.75em',
+        limit: 'display:block;font-size:70%',
+        fraction: 'display:inline-block;vertical-align:middle;text-align:center;padding:0 0.1em',
+        numerator: 'display:block;padding:0 0.1em;border-bottom:1px solid',
+        denominator: 'display:block;padding:0 0.1em',
+        largeOperator: 'font-size:140%;line-height:1',
+        table: 'display:inline-grid;align-items:baseline;row-gap:0.25em',
+        error: 'color:#c00;border:1px solid #c00;padding:0 0.2em'
+    };
+
+    // Accents drawn with a combining character on a single identifier: ā, ä, e̊
+    const COMBINING_ACCENTS = { '¯': '\u0304', '¨': '\u0308', '°': '\u030A' };
+
+    // Operators spaced like MathML relations
+    const HTML_RELATIONS = ['=', '≈', '≠', '<', '>', '≤', '≥', '×'];
+
+    // Sums, products and integrals (see EQUATIONS)
+    const HTML_LARGE_OPERATORS = ['∑', '∏', '∫'];
+
+    const htmlSpan = (style, children) => createMathML('span', style ? { style } : {}, children);
+    const textOf = (node) => (typeof node === 'string' ? node : node.children.map(textOf).join(''));
+    const isNone = (node) => !node || node.tag === 'none';
+
+    // A column of scripts at 70% size, aligned on the bottom one so that the
+    // subscripts on both sides of a symbol line up: [sup, sub] or [sub].
+    function htmlScripts(sub, sup, align) {
+        if (isNone(sub) && isNone(sup)) return null;
+        const style = HTML_STYLES.scripts + (align === 'right' ? ';text-align:right' : '');
+        const lines = isNone(sup) ? [sub] : [sup, isNone(sub) ? '\u200B' : sub];
+        return htmlSpan(style, lines.map(line => htmlSpan(HTML_STYLES.script, [typeof line === 'string' ? line : toHTMLNode(line)])));
+    }
+
+    // mmultiscripts: base, (sub, sup)*, mprescripts, (presub, presup)*
+    function htmlMultiscripts(children) {
+        const [base, ...rest] = children;
+        const split = rest.findIndex(child => child.tag === 'mprescripts');
+        const post = split < 0 ? rest : rest.slice(0, split);
+        const pre = split < 0 ? [] : rest.slice(split + 1);
+        const columns = (scripts, align) => {
+            const result = [];
+            for (let i = 0; i < scripts.length; i += 2) result.push(htmlScripts(scripts[i], scripts[i + 1], align));
+            return result;
+        };
+        return htmlSpan('', [...columns(pre, 'right'), toHTMLNode(base), ...columns(post, 'left')]);
+    }
+
+    function htmlOver(node) {
+        const [base, accent] = node.children;
+        const mark = textOf(accent);
+        if (COMBINING_ACCENTS[mark] && base.tag === 'mi') {
+            const letter = htmlSpan(HTML_STYLES.identifier, [textOf(base) + COMBINING_ACCENTS[mark]]);
+            const part = [base.attrs.part, accent.attrs.part].filter(Boolean).join(' ');
+            if (part) letter.attrs.part = part;
+            return letter;
+        }
+        if (mark === '¯') {
+            // The annuity angle is an overbar over "n|": drawn as a box corner
+            const last = base.tag === 'mrow' && base.children[base.children.length - 1];
+            if (last && last.tag === 'mo' && textOf(last) === '|') {
+                return htmlSpan(HTML_STYLES.annuityAngle, base.children.slice(0, -1).map(toHTMLNode));
+            }
+            const angle = node.attrs['data-angle'] === 'insurance';
+            return htmlSpan(angle ? HTML_STYLES.insuranceAngle : HTML_STYLES.overline, [toHTMLNode(base)]);
         }
+        return htmlSpan(HTML_STYLES.over, [htmlSpan(HTML_STYLES.limit, [toHTMLNode(accent)]), htmlSpan(HTML_STYLES.script, [toHTMLNode(base)])]);
+    }
 
-        connectedCallback() {
-            // Defer rendering to allow attributes to be set
-            requestAnimationFrame(() => {
-                if (!this.rendered) {
-                    this.render();
-                    this.rendered = true;
+    // The HTML for a node, keeping its `part` name (see markParts).
+    function toHTMLNode(node) {
+        if (typeof node === 'string') return node;
+        const el = htmlElement(node);
+        if (el && node.attrs.part && !el.attrs.part) el.attrs.part = node.attrs.part;
+        return el;
+    }
+
+    function htmlElement(node) {
+        const children = node.children;
+        switch (node.tag) {
+            case 'mi':
+                return htmlSpan([...textOf(node)].length === 1 ? HTML_STYLES.identifier : '', children);
+            case 'mo':
+                if (HTML_LARGE_OPERATORS.includes(textOf(node))) return htmlSpan(HTML_STYLES.largeOperator, children);
+                return htmlSpan(HTML_RELATIONS.includes(textOf(node)) ? HTML_STYLES.relation : '', children);
+            case 'msub':
+                return htmlSpan('', [toHTMLNode(children[0]), htmlScripts(children[1], null, 'left')]);
+            case 'msup':
+                return htmlSpan('', [toHTMLNode(children[0]), htmlScripts(null, children[1], 'left')]);
+            case 'msubsup':
+                return htmlSpan('', [toHTMLNode(children[0]), htmlScripts(children[1], children[2], 'left')]);
+            case 'mmultiscripts':
+                return htmlMultiscripts(children);
+            case 'mover':
+                return htmlOver(node);
+            case 'menclose':
+                return htmlSpan(node.attrs.notation === 'actuarial' ? HTML_STYLES.annuityAngle : HTML_STYLES.insuranceAngle, children.map(toHTMLNode));
+            case 'munder':
+                return htmlSpan(HTML_STYLES.under, [htmlSpan(HTML_STYLES.script, [toHTMLNode(children[0])]), htmlSpan(HTML_STYLES.limit, [toHTMLNode(children[1])])]);
+            case 'munderover':
+                return htmlSpan(HTML_STYLES.fraction, [
+                    htmlSpan(HTML_STYLES.limit, [toHTMLNode(children[2])]),
+                    htmlSpan(HTML_STYLES.script, [toHTMLNode(children[0])]),
+                    htmlSpan(HTML_STYLES.limit, [toHTMLNode(children[1])])
+                ]);
+            case 'mfrac':
+                return htmlSpan(HTML_STYLES.fraction, [
+                    htmlSpan(HTML_STYLES.numerator, [toHTMLNode(children[0])]),
+                    htmlSpan(HTML_STYLES.denominator, [toHTMLNode(children[1])])
+                ]);
+            case 'mtable': {
+                // A grid of the cells, row by row, aligned as their columnalign says
+                const columns = Math.max(...children.map(row => row.children.length));
+                return htmlSpan(`${HTML_STYLES.table};grid-template-columns:repeat(${columns},auto)`, children.flatMap(row => row.children.map(cell => (
+                    htmlSpan(`text-align:${cell.attrs.columnalign || 'center'}`, cell.children.map(toHTMLNode))
+                ))));
+            }
+            case 'merror':
+                return htmlSpan(HTML_STYLES.error, children.map(toHTMLNode));
+            case 'none':
+                return null;
+            default:
+                // mrow, mn, mtext; an angle drawn with CSS keeps its rules
+                if (node.attrs.style && node.attrs['data-angle']) {
+                    return htmlSpan(HTML_STYLES[`${node.attrs['data-angle']}Angle`], children.map(toHTMLNode));
                 }
-            });
+                return htmlSpan('', children.map(toHTMLNode));
         }
+    }
 
-        /**
-         * Main render function to be implemented by subclasses
-         */
-        render() {
-            this.innerHTML = '<math><merror><mtext>Component not fully implemented</mtext></merror></math>';
+    /**
+     * Converts a MathML node tree to the equivalent HTML node tree: styled
+     * spans with the four-corner layout, decorations and the angle. The
+     * root's `alttext` becomes its `aria-label`.
+     */
+    function toHTML(math) {
+        const root = toHTMLNode(math);
+        if (math.tag !== 'math') return root;
+        const attrs = { role: 'math', style: math.attrs.display === 'block' ? HTML_STYLES.block : HTML_STYLES.math };
+        if (math.attrs.alttext) attrs['aria-label'] = math.attrs.alttext;
+        return createMathML('span', attrs, root.children);
+    }
+
+    /**
+     * Materializes an HTML node tree (see toHTML) as DOM elements.
+     */
+    function toHTMLDOM(node, doc = document) {
+        if (typeof node === 'string') return doc.createTextNode(node);
+        const el = doc.createElement(node.tag);
+        Object.entries(node.attrs).forEach(([k, v]) => el.setAttribute(k, v));
+        node.children.forEach(child => el.appendChild(toHTMLDOM(child, doc)));
+        return el;
+    }
+
+    let mathMLSupport = null;
+
+    /**
+     * Whether the browser lays out MathML, tested once by measuring an
+     * <mspace>. Outside a browser MathML output is assumed.
+     */
+    function supportsMathML() {
+        if (mathMLSupport != null) return mathMLSupport;
+        if (typeof document === 'undefined' || !document.body) return true;
+        const math = toDOM(createMathML('math', { style: 'position:absolute;visibility:hidden' }, [
+            createMathML('mspace', { width: '77px', height: '23px' })
+        ]));
+        document.body.appendChild(math);
+        const box = math.firstChild.getBoundingClientRect();
+        math.remove();
+        mathMLSupport = Math.abs(box.width - 77) < 1 && Math.abs(box.height - 23) < 1;
+        return mathMLSupport;
+    }
+
+    /**
+     * Library-wide settings. `renderer` is 'auto' (MathML where the browser
+     * supports it, HTML otherwise), 'mathml' or 'html'; an element's own
+     * `renderer` attribute takes precedence. `angleStyle` is the default
+     * for the `angle-style` attribute (see ANGLE_STYLES). `lightDom` renders
+     * the components' content as their children instead of into a shadow
+     * root, as the `light-dom` attribute does for one element. `strict`
+     * makes invalid attributes errors (see validateSpec), as the `strict`
+     * attribute does for one element. `notation` is the default for the
+     * `notation` attribute (see NOTATIONS). `copyMenu` gives every component
+     * the "Copy as" menu, as the `copy-menu` attribute does for one element,
+     * and `explain` the explanation popovers, as the `explain` attribute does.
+     * `menclose` is how the enclose angle is drawn (see MENCLOSE_MODES).
+     * Set them before elements render.
+     */
+    const globalOptions = {
+        renderer: 'auto', angleStyle: 'enclose', notation: 'soa', lightDom: false, strict: false, copyMenu: false,
+        explain: false, menclose: 'auto'
+    };
+
+    const RENDERERS = ['auto', 'mathml', 'html'];
+
+    // The renderer to use: 'mathml' or 'html'
+    function resolveRenderer(name) {
+        const renderer = String(name || globalOptions.renderer || 'auto').trim().toLowerCase();
+        if (!RENDERERS.includes(renderer)) {
+            throw new Error(`Unknown renderer "${name || globalOptions.renderer}" (expected ${RENDERERS.join(', ')})`);
+        }
+        if (renderer !== 'auto') return renderer;
+        return supportsMathML() ? 'mathml' : 'html';
+    }
+
+    // ===========================================================================
+    // STATUS EXPRESSIONS
+    // ===========================================================================
+
+    /*
+     * A status (the lower-right subscript) is parsed into a small tree:
+     *
+     *   status := chain ('|' chain)*         reversionary or deferred: x|y, u|x:n
+     *   chain  := group (':' group)*         lives and terms: xy:n
+     *   group  := item+                      joint lives: xy, x_1x_2
+     *   item   := life
+     *           | '{' status '}'
+     *           | '\overline{' status '}'     last survivor (\joint is the same)
+     *           | '\nthtop{' num '}{' status '}'    precedence number, \nthbottom below
+     *           | '\angl{' status '}'        a term drawn with the angle, as in a_{n|}
+     *   life   := term (('+' | '-') term)*   x+t, [x]+k, 45
+     *   term   := (letter | number | '[' life ']') ('_' index)?
+     *
+     * Nodes are { type: 'reversion' | 'chain' | 'group', parts },
+     * { type: 'overline', body }, { type: 'precedence', num, top, body },
+     * { type: 'angle', body } and { type: 'life', terms }, each with its
+     * source `text`.
+     */
+    class StatusParser {
+        constructor(source) {
+            this.source = String(source);
+            this.pos = 0;
         }
 
-        // --- UTILITY METHODS ---
+        error(message) {
+            return new Error(`Invalid status "${this.source}" at position ${this.pos}: ${message}`);
+        }
 
-        createMathML(tag, attrs = {}, children = []) {
-            const el = document.createElementNS('http://www.w3.org/1998/Math/MathML', tag);
-            Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
-            children.forEach(child => {
-                if (typeof child === 'string') {
-                    el.appendChild(document.createTextNode(child));
-                } else if (child) {
-                    el.appendChild(child);
-                }
-            });
-            return el;
+        peek() {
+            while (this.pos < this.source.length && /\s/.test(this.source[this.pos])) this.pos++;
+            return this.source[this.pos];
+        }
+
+        parse() {
+            const node = this.status();
+            if (this.peek() !== undefined) throw this.error(`unexpected "${this.peek()}"`);
+            return node;
+        }
+
+        status() {
+            return this.list('reversion', '|', () => this.chain());
+        }
+
+        chain() {
+            return this.list('chain', ':', () => this.group());
         }
 
-        createAngle(content, type = 'annuity') {
-            // Creates the term angle, e.g., for n|
-            // Type 'annuity' -> overbar with a pipe: n|
-            // Type 'insurance' -> overbar only: n
-            let mrowChildren = [this.createMathML('mi', {}, [content])];
-            if (type === 'annuity') {
-                 mrowChildren.push(this.createMathML('mo', { stretchy: 'false' }, ['|']));
+        // Reads `next (separator next)*`; a single part is returned as it is.
+        list(type, separator, next) {
+            const start = this.pos;
+            const parts = [next()];
+            while (this.peek() === separator) {
+                this.pos++;
+                parts.push(next());
             }
-            const innerMrow = this.createMathML('mrow', {}, mrowChildren);
-            return this.createMathML('mover', {}, [
-                innerMrow,
-                this.createMathML('mo', {}, ['¯']) // Macron symbol for the overbar
-            ]);
+            return parts.length === 1 ? parts[0] : { type, parts, text: this.source.slice(start, this.pos).trim() };
         }
-        
-        parseSubscript(text, options = {}) {
-            const { angleType = 'none', precedence = [], lastSurvivor = false } = options;
 
-            if (text.includes('|') && !text.match(/\d+\|/)) {
-                const parts = text.split('|');
-                const mrow = this.createMathML('mrow', {}, []);
-                parts.forEach((part, i) => {
-                    if (i > 0) mrow.appendChild(this.createMathML('mo', { stretchy: 'false' }, ['|']));
-                    mrow.appendChild(this.createMathML('mi', {}, [part.trim()]));
-                });
-                return mrow;
-            }
-
-            if (text.includes(':')) {
-                const parts = text.split(':');
-                const mrow = this.createMathML('mrow', {}, []);
-                mrow.appendChild(this.parseStatus(parts[0], precedence, lastSurvivor));
-
-                for (let i = 1; i < parts.length; i++) {
-                    mrow.appendChild(this.createMathML('mo', {}, [':']));
-                    const part = parts[i].trim();
-                    // FIX: Match single letters OR numbers for the angle.
-                    if (angleType !== 'none' && (part.match(/^[nmkt]$/) || part.match(/^\d+$/))) {
-                        mrow.appendChild(this.createAngle(part, angleType));
-                    } else {
-                        mrow.appendChild(this.createMathML('mi', {}, [part]));
-                    }
-                }
-                return mrow;
+        group() {
+            const start = this.pos;
+            const parts = [];
+            while (this.peek() !== undefined && !'|:}'.includes(this.peek())) {
+                parts.push(this.item());
+            }
+            if (!parts.length) {
+                throw this.error(this.peek() === undefined ? 'missing life or term' : `expected a life before "${this.peek()}"`);
             }
-            return this.parseStatus(text, precedence, lastSurvivor);
+            return parts.length === 1 ? parts[0] : { type: 'group', parts, text: this.source.slice(start, this.pos).trim() };
         }
 
-        parseStatus(text, precedence = [], lastSurvivor = false) {
-            const lives = text.split('').filter(c => c.match(/[a-z]/i));
-            if (lives.length === 0) return this.createMathML('mi', {}, [text]);
+        item() {
+            const c = this.peek();
+            if (c === '{') return this.braced(() => this.status());
+            if (c !== '\\') return this.life();
 
-            if (lastSurvivor) {
-                const innerMrow = this.createMathML('mrow', {}, lives.map(life => this.createMathML('mi', {}, [life])));
-                return this.createMathML('mover', {}, [innerMrow, this.createMathML('mo', {}, ['¯'])]);
+            const start = this.pos;
+            const name = (/^\\([a-zA-Z]+)/.exec(this.source.slice(this.pos)) || [])[1];
+            if (name === 'overline' || name === 'joint') {
+                this.pos += name.length + 1;
+                const body = this.braced(() => this.status());
+                return { type: 'overline', body, text: this.source.slice(start, this.pos) };
+            }
+            if (name === 'nthtop' || name === 'nthbottom') {
+                this.pos += name.length + 1;
+                const num = this.braced(() => this.rawText());
+                const body = this.braced(() => this.status());
+                return { type: 'precedence', num, top: name === 'nthtop', body, text: this.source.slice(start, this.pos) };
+            }
+            if (name === 'angl') {
+                this.pos += name.length + 1;
+                const body = this.braced(() => this.status());
+                return { type: 'angle', body, text: this.source.slice(start, this.pos) };
             }
+            throw this.error(name ? `unsupported macro \\${name}` : 'expected a macro name');
+        }
 
-            if (precedence.length === 0) {
-                 if (lives.length === 1) {
-                    return this.createMathML('mi', {}, [lives[0]]);
-                }
-                const mrow = this.createMathML('mrow', {}, []);
-                lives.forEach(life => {
-                    mrow.appendChild(this.createMathML('mi', {}, [life]));
-                });
-                return mrow;
+        braced(read) {
+            if (this.peek() !== '{') throw this.error('expected "{"');
+            this.pos++;
+            const value = read();
+            if (this.peek() !== '}') throw this.error('missing "}"');
+            this.pos++;
+            return value;
+        }
+
+        // Plain text up to the closing brace, e.g. a precedence number
+        rawText() {
+            const end = this.source.indexOf('}', this.pos);
+            if (end < 0) throw this.error('missing "}"');
+            const text = this.source.slice(this.pos, end).trim();
+            if (!text || /[{\\]/.test(text)) throw this.error('expected plain text in braces');
+            this.pos = end;
+            return text;
+        }
+
+        life() {
+            const start = this.pos;
+            const terms = [this.term()];
+            while (this.peek() === '+' || this.peek() === '-') {
+                terms.push({ op: this.source[this.pos++] });
+                terms.push(this.term());
+            }
+            return { type: 'life', terms, text: this.source.slice(start, this.pos).trim() };
+        }
+
+        term() {
+            const c = this.peek();
+            let term;
+            if (c === '[') {
+                this.pos++;
+                term = { select: this.life() };
+                if (this.peek() !== ']') throw this.error('missing "]"');
+                this.pos++;
+            } else if (/\d/.test(c)) {
+                term = { number: /^\d+(\.\d+)?/.exec(this.source.slice(this.pos))[0] };
+                this.pos += term.number.length;
+            } else if (c !== undefined && /\p{L}/u.test(c)) {
+                term = { letter: c };
+                this.pos++;
+            } else {
+                throw this.error(c === undefined ? 'missing life or term' : `unexpected "${c}"`);
             }
 
-            const mrow = this.createMathML('mrow', {}, []);
-            lives.forEach((life, index) => {
-                const prec = precedence.find(p => p.pos === index);
-                if (prec) {
-                    const base = this.createMathML('mi', {}, [life]);
-                    const script = prec.top === false ? 'munder' : 'mover';
-                    mrow.appendChild(this.createMathML(script, {}, [base, this.createMathML('mn', {}, [String(prec.num)])]));
+            // Index: x_1, x_{12}
+            if (this.source[this.pos] === '_') {
+                this.pos++;
+                if (this.source[this.pos] === '{') {
+                    term.index = this.braced(() => this.rawText());
                 } else {
-                    mrow.appendChild(this.createMathML('mi', {}, [life]));
+                    const index = /^(\d+|\p{L})/u.exec(this.source.slice(this.pos));
+                    if (!index) throw this.error('missing index after "_"');
+                    term.index = index[0];
+                    this.pos += index[0].length;
                 }
-            });
-            return mrow;
+            }
+            return term;
         }
+    }
 
-        applyDecoration(symbol, decoration) {
-            const symbolEl = this.createMathML('mi', {}, [symbol]);
-            const decorMap = {
-                'bar': '¯',
-                'ddot': '¨',
-                'ring': '°'
-            };
-            if (decoration && decorMap[decoration]) {
-                return this.createMathML('mover', {}, [symbolEl, this.createMathML('mo', {}, [decorMap[decoration]])]);
-            }
-            return symbolEl;
-        }
-        
-        parseUpperRight(text) {
-            if (!text) return null;
-            if ((text.startsWith('(') && text.endsWith(')')) || (text.startsWith('{') && text.endsWith('}'))) {
-                return this.createMathML('mrow', {}, [
-                    this.createMathML('mo', {}, [text.charAt(0)]),
-                    this.createMathML('mi', {}, [text.slice(1, -1)]),
-                    this.createMathML('mo', {}, [text.charAt(text.length - 1)])
+    /**
+     * Parses a status expression such as `\overline{xy}z:n` into its tree.
+     * Throws an Error naming the position of malformed input.
+     */
+    function parseStatus(text) {
+        return new StatusParser(text).parse();
+    }
+
+    // The lives of a status in reading order (terms after ':' included).
+    function statusLives(node) {
+        if (node.type === 'life') return [node];
+        if (node.body) return statusLives(node.body);
+        return node.parts.flatMap(statusLives);
+    }
+
+    // Terms drawn with the angle: n, 10, n-1, n-k
+    const isDuration = (text) => /^([nmkt]|\d+)([+-]([nmkt]|\d+))*$/.test(text.replace(/\s/g, ''));
+
+    /**
+     * Applies the `precedence` and `lastSurvivor` options to the lives before
+     * the first ':'. Reversionary statuses are left as written.
+     */
+    function applyStatusOptions(node, { precedence = [], lastSurvivor = false } = {}) {
+        if (node.type === 'reversion' || (!lastSurvivor && !precedence.length)) return node;
+        if (node.type === 'chain') {
+            return { ...node, parts: [applyStatusOptions(node.parts[0], { precedence, lastSurvivor }), ...node.parts.slice(1)] };
+        }
+        if (lastSurvivor) return { type: 'overline', body: node, text: `\\overline{${node.text}}` };
+
+        let index = 0;
+        const mark = (n) => {
+            if (n.type === 'life') {
+                const pos = index++;
+                const prec = precedence.find(p => p.pos === pos);
+                return prec ? { type: 'precedence', num: String(prec.num), top: prec.top !== false, body: n, text: n.text } : n;
+            }
+            return n.body ? { ...n, body: mark(n.body) } : { ...n, parts: n.parts.map(mark) };
+        };
+        return mark(node);
+    }
+
+    // Puts a precedence number over the lives before the first ':', e.g. the
+    // 1 of term insurance over x in x:n.
+    function markFirstStatus(node, num) {
+        if (node.type === 'chain') return { ...node, parts: [markFirstStatus(node.parts[0], num), ...node.parts.slice(1)] };
+        return { type: 'precedence', num, top: true, body: node, text: node.text };
+    }
+
+    function renderLife(life) {
+        const children = life.terms.map(term => {
+            if (term.op) return createMathML('mo', {}, [term.op]);
+            const base = term.select
+                ? createMathML('mrow', {}, [createMathML('mo', {}, ['[']), renderLife(term.select), createMathML('mo', {}, [']'])])
+                : createMathML(term.number ? 'mn' : 'mi', {}, [term.number || term.letter]);
+            if (!term.index) return base;
+            return createMathML('msub', {}, [base, createMathML(/^\d+$/.test(term.index) ? 'mn' : 'mi', {}, [term.index])]);
+        });
+        return children.length === 1 ? children[0] : createMathML('mrow', {}, children);
+    }
+
+    /**
+     * Renders a parsed status. With an `angleType` other than 'none', terms
+     * after a ':' are drawn with the angle.
+     */
+    function renderStatus(node, angleType = 'none') {
+        switch (node.type) {
+            case 'reversion':
+                return createMathML('mrow', {}, node.parts.flatMap((part, i) => [
+                    i > 0 ? createMathML('mo', { stretchy: 'false' }, ['|']) : null,
+                    renderStatus(part, angleType)
+                ]));
+            case 'chain':
+                return createMathML('mrow', {}, node.parts.flatMap((part, i) => {
+                    if (i === 0) return [renderStatus(part, angleType)];
+                    const term = angleType !== 'none' && isDuration(part.text) && part.type !== 'angle'
+                        ? createAngle(renderStatus(part), angleType)
+                        : renderStatus(part, angleType);
+                    return [createMathML('mo', {}, [':']), term];
+                }));
+            case 'group':
+                return createMathML('mrow', {}, node.parts.map(part => renderStatus(part, angleType)));
+            case 'overline': {
+                const body = renderStatus(node.body, angleType);
+                return createMathML('mover', {}, [
+                    body.tag === 'mrow' ? body : createMathML('mrow', {}, [body]),
+                    createMathML('mo', {}, ['¯'])
                 ]);
             }
-            return this.createMathML('mi', {}, [text]);
+            case 'precedence':
+                // Drawn as munderover instead by some notations (see placePrecedence)
+                return createMathML(node.top ? 'mover' : 'munder', { 'data-precedence': node.top ? 'top' : 'bottom' }, [
+                    renderStatus(node.body, angleType),
+                    createMathML('mn', {}, [node.num])
+                ]);
+            case 'angle':
+                return createAngle(renderStatus(node.body), angleType !== 'none' ? angleType : 'annuity');
+            default:
+                return renderLife(node);
         }
     }
 
+    /**
+     * Renders the status text of a subscript, e.g. `x:n`, `\overline{xy}z`
+     * or `[x]+t`. Options: `angleType` ('annuity', 'insurance' or 'none'),
+     * `precedence` ([{ pos, num, top }] by life) and `lastSurvivor`.
+     */
+    function parseSubscript(text, options = {}) {
+        if (!String(text).trim()) return createMathML('mi', {}, [text]);
+        const node = applyStatusOptions(parseStatus(text), options);
+        return renderStatus(node, options.angleType || 'none');
+    }
+
     // ===========================================================================
-    // WEB COMPONENTS
+    // ACTUARIAL ANGLE
     // ===========================================================================
 
-    class ActSymbol extends ActuarialSymbolBase {
-        render() {
-            const ll = this.getAttribute('ll') || '';
-            const ul = this.getAttribute('ul') || '';
-            const p = this.getAttribute('p') || '';
-            const symbol = this.getAttribute('symbol') || 'x';
-            const lr = this.getAttribute('lr') || '';
-            const ur = this.getAttribute('ur') || '';
-            const decoration = this.getAttribute('decoration') || '';
-            const lastSurvivor = this.hasAttribute('last-survivor');
-            let precedence = [];
-            try {
-                precedence = JSON.parse(this.getAttribute('precedence') || '[]');
-            } catch (e) {
-                console.error('Invalid precedence JSON:', this.getAttribute('precedence'));
-            }
+    /**
+     * How the angle over a term (x:n, a_n) is drawn:
+     *   enclose    - a rule over the term and down its right side: menclose
+     *                notation="actuarial", or CSS borders where the browser
+     *                has no menclose (see MENCLOSE_MODES)
+     *   macron-bar - a macron over the term followed by a bar: n|
+     *   bracket    - a right ceiling after the term: n⌉
+     * Insurance angles (term and endowment insurance) have the top rule only,
+     * except in the bracket style.
+     */
+    const ANGLE_STYLES = ['enclose', 'macron-bar', 'bracket'];
 
-            const math = this.createMathML('math', { display: 'inline' });
-            let mainSymbol = this.applyDecoration(symbol, decoration);
-            // Default angle type for generic symbol is annuity
-            const lrElement = this.parseSubscript(lr, { angleType: 'annuity', precedence, lastSurvivor });
-            
-            let finalSymbol;
-            if (ll || ul) {
-                finalSymbol = this.createMathML('mmultiscripts', {}, [
-                    mainSymbol,
-                    lrElement,
-                    ur ? this.parseUpperRight(ur) : this.createMathML('none'),
-                    this.createMathML('mprescripts'),
-                    ll ? this.createMathML('mi', {}, [ll]) : this.createMathML('none'),
-                    ul ? this.createMathML('mi', {}, [ul]) : this.createMathML('none')
-                ]);
-            } else if (lr || ur) {
-                const tag = ur ? 'msubsup' : 'msub';
-                finalSymbol = this.createMathML(tag, {}, [
-                    mainSymbol,
-                    lrElement,
-                    ur ? this.parseUpperRight(ur) : null
-                ].filter(Boolean));
-            } else {
-                finalSymbol = mainSymbol;
-            }
+    // The rules of the CSS angle, thickened by --act-angle-thickness
+    const ANGLE_RULES = {
+        annuity: 'padding:0.1em 0.12em 0 0.05em;border-top:0.06em solid;border-right:0.06em solid;border-width:var(--act-angle-thickness,0.06em)',
+        insurance: 'padding-top:0.1em;border-top:0.06em solid;border-width:var(--act-angle-thickness,0.06em)'
+    };
 
-            if (p) {
-                math.appendChild(this.createMathML('mi', {}, [p]));
-                math.appendChild(this.createMathML('mo', {}, ['(']));
-                math.appendChild(finalSymbol);
-                math.appendChild(this.createMathML('mo', {}, [')']));
-            } else {
-                math.appendChild(finalSymbol);
-            }
+    /**
+     * The angle over a term, e.g. n, 10 or n-1 (a string is parsed as a
+     * status) or an already rendered node. It is drawn as menclose until the
+     * symbol is rendered, when styleAngles draws it in the chosen style.
+     */
+    function createAngle(content, type = 'annuity') {
+        const term = typeof content === 'string' ? parseSubscript(content) : content;
+        return createMathML('menclose', {
+            notation: type === 'annuity' ? 'actuarial' : 'top',
+            part: 'angle',
+            'data-angle': type
+        }, [term]);
+    }
+
+    let mencloseSupport = null;
+
+    /**
+     * Whether the browser draws <menclose notation="actuarial">, tested once
+     * by measuring one around an <mspace>. False outside a browser.
+     */
+    function supportsMenclose() {
+        if (mencloseSupport != null) return mencloseSupport;
+        if (typeof document === 'undefined' || !document.body) return false;
+        const math = toDOM(createMathML('math', { style: 'position:absolute;visibility:hidden' }, [
+            createMathML('menclose', { notation: 'actuarial' }, [createMathML('mspace', { width: '20px', height: '20px' })])
+        ]));
+        document.body.appendChild(math);
+        const box = math.firstChild.getBoundingClientRect();
+        math.remove();
+        mencloseSupport = box.width > 21;
+        return mencloseSupport;
+    }
+
+    /*
+     * How the enclose angle style is drawn: as <menclose> where the browser
+     * draws it and with CSS borders elsewhere, including outside a browser
+     * ('auto'); always as <menclose> ('always'); always with CSS borders
+     * ('never'). Pages that render on a server set 'always' or 'never' on
+     * both sides, so that the markup doesn't depend on where it was made.
+     */
+    const MENCLOSE_MODES = ['auto', 'always', 'never'];
 
-            this.appendChild(math);
+    // Whether to draw the enclose angle as <menclose>, as globalOptions.menclose says
+    function useMenclose() {
+        const mode = String(globalOptions.menclose || 'auto').trim().toLowerCase();
+        if (!MENCLOSE_MODES.includes(mode)) {
+            throw new Error(`Unknown menclose option "${globalOptions.menclose}" (expected ${MENCLOSE_MODES.join(', ')})`);
         }
+        return mode === 'auto' ? supportsMenclose() : mode === 'always';
     }
 
-    class ActAnnuity extends ActuarialSymbolBase {
-        render() {
-            const age = this.getAttribute('age') || 'x';
-            const type = this.getAttribute('type') || 'immediate';
-            const term = this.getAttribute('term');
-            const defer = this.getAttribute('defer');
-            const frequency = this.getAttribute('frequency');
-
-            let lr = age;
-            if (term && !age.includes(':')) lr += `:${term}`;
-            if (defer) lr = `${defer}|${lr}`;
-
-            const decorationMap = { 'due': 'ddot', 'continuous': 'bar', 'immediate': '' };
-            const mainSymbol = this.applyDecoration('a', decorationMap[type]);
-            const lrElement = this.parseSubscript(lr, { angleType: 'annuity' });
-
-            const tag = frequency ? 'msubsup' : 'msub';
-            const symbol = this.createMathML(tag, {}, [
-                mainSymbol,
-                lrElement,
-                frequency ? this.parseUpperRight(frequency) : null
-            ].filter(Boolean));
-            
-            const math = this.createMathML('math', { display: 'inline' }, [symbol]);
-            this.appendChild(math);
-        }
-    }
-    
-    class ActInsurance extends ActuarialSymbolBase {
-        render() {
-            let age = this.getAttribute('age') || 'x';
-            const type = this.getAttribute('type') || 'whole';
-            const payment = this.getAttribute('payment') || 'eoy';
-            const term = this.getAttribute('term');
-            const frequency = this.getAttribute('frequency');
-
-            let lr = age;
-            if (term && !age.includes(':')) lr += `:${term}`;
-
-            const decoration = payment === 'continuous' ? 'bar' : '';
-            const math = this.createMathML('math', { display: 'inline' });
-            let mainSymbol = this.applyDecoration('A', decoration);
-            
-            // Use 'insurance' angle type for term/endowment, otherwise no angle
-            const angleTypeForSubscript = (type === 'term' || type === 'endowment') ? 'insurance' : 'none';
-            const lrElement = this.parseSubscript(lr, { angleType: angleTypeForSubscript });
-
-            // The '1' for term insurance is a special case in the upper-right corner
-            let urElement = frequency ? this.parseUpperRight(frequency) : null;
-            if (type === 'term') {
-                urElement = this.createMathML('mn', {}, ['1']);
-            }
-
-            const hasSubscript = !!lr;
-            const hasSuperscript = !!urElement;
-
-            let finalSymbol;
-            if (hasSuperscript) {
-                 finalSymbol = this.createMathML('msubsup', {}, [mainSymbol, lrElement, urElement]);
-            } else if (hasSubscript) {
-                 finalSymbol = this.createMathML('msub', {}, [mainSymbol, lrElement]);
-            } else {
-                 finalSymbol = mainSymbol;
-            }
+    // The angle style to use: the given one or the global option
+    function resolveAngleStyle(name) {
+        const style = String(name || globalOptions.angleStyle || 'enclose').trim().toLowerCase();
+        if (!ANGLE_STYLES.includes(style)) {
+            throw new Error(`Unknown angle style "${name || globalOptions.angleStyle}" (expected ${ANGLE_STYLES.join(', ')})`);
+        }
+        return style;
+    }
 
-            // Handling pure endowment, which is a special case with a left-side subscript
-            if (type === 'pure-endowment') {
-                 const endowmentSymbol = this.createMathML('mmultiscripts', {}, [
-                    mainSymbol,
-                    lrElement,
-                    this.createMathML('none'),
-                    this.createMathML('mprescripts'),
-                    this.createMathML('mi', {}, [term || 'n']),
-                    this.createMathML('none')
+    function drawAngle(angle, style) {
+        const type = angle.attrs['data-angle'];
+        const attrs = { part: angle.attrs.part, 'data-angle': type };
+        const term = angle.children[0];
+        switch (style) {
+            case 'macron-bar':
+                return createMathML('mover', attrs, [
+                    createMathML('mrow', {}, [term, type === 'annuity' ? createMathML('mo', { stretchy: 'false' }, ['|']) : null]),
+                    createMathML('mo', {}, ['¯'])
                 ]);
-                 math.appendChild(endowmentSymbol);
-            } else {
-                 math.appendChild(finalSymbol);
-            }
-            this.appendChild(math);
+            case 'bracket':
+                return createMathML('mrow', attrs, [term, createMathML('mo', { stretchy: 'false' }, ['⌉'])]);
+            default:
+                if (useMenclose()) return angle;
+                return createMathML('mrow', { ...attrs, style: ANGLE_RULES[type] }, [term]);
         }
     }
 
-    class ActPremium extends ActuarialSymbolBase {
-        render() {
-            const benefit = this.getAttribute('benefit') || 'A';
-            const age = this.getAttribute('age') || 'x';
-            const payment = this.getAttribute('payment') || 'annual';
-            const duration = this.getAttribute('duration');
-
-            const math = this.createMathML('math', { display: 'inline' });
-            let pSymbol = this.applyDecoration('P', payment === 'continuous' ? 'bar' : '');
-
-            if (duration) {
-                pSymbol = this.createMathML('mmultiscripts', {}, [
-                    pSymbol,
-                    this.createMathML('none'),
-                    this.createMathML('none'),
-                    this.createMathML('mprescripts'),
-                    this.createMathML('mi', {}, [duration]),
-                    this.createMathML('none')
-                ]);
-            }
+    /**
+     * Draws the angles of a rendered symbol (see createAngle) in `style`.
+     */
+    function styleAngles(node, style) {
+        if (typeof node === 'string') return node;
+        const styled = { ...node, children: node.children.map(child => styleAngles(child, style)) };
+        return node.tag === 'menclose' && node.attrs['data-angle'] ? drawAngle(styled, style) : styled;
+    }
+
+    // ===========================================================================
+    // NOTATION PRESETS
+    // ===========================================================================
 
-            math.appendChild(pSymbol);
-            math.appendChild(this.createMathML('mo', {}, ['(']));
+    /**
+     * The layout rules that differ between actuarial bodies and textbooks:
+     *   benefit    - premiums and reserves as functions of the benefit,
+     *                P(A_x) and _kV(A_x) ('function'), or with the benefit's
+     *                status as their subscript, P_x and _kV_x ('status'; for
+     *                the benefit A only)
+     *   termOne    - the 1 of term insurance in the upper-right corner, over
+     *                the term ('term'), or as a precedence number over the
+     *                life ('life')
+     *   termAngle  - whether the term of an insurance, premium or reserve
+     *                (x:n) is drawn with the angle
+     *   precedence - precedence numbers drawn with mover and munder ('over')
+     *                or with munderover and an empty script ('underover', as
+     *                actuarial-symbols.js draws them)
+     */
+    const NOTATIONS = {
+        soa: { benefit: 'function', termOne: 'term', termAngle: true, precedence: 'over' },
+        iaa: { benefit: 'status', termOne: 'life', termAngle: true, precedence: 'over' },
+        ifoa: { benefit: 'status', termOne: 'term', termAngle: true, precedence: 'over' },
+        textbook: { benefit: 'status', termOne: 'term', termAngle: false, precedence: 'underover' }
+    };
 
-            const benefitSymbol = this.applyDecoration(benefit, payment === 'continuous' ? 'bar' : '');
-            const lrElement = this.parseSubscript(age, {angleType: 'insurance'}); // Premiums often relate to insurance benefits
-            math.appendChild(this.createMathML('msub', {}, [benefitSymbol, lrElement]));
-            
-            math.appendChild(this.createMathML('mo', {}, [')']));
-            this.appendChild(math);
+    // The rules of the given notation or the global option
+    function resolveNotation(name) {
+        const notation = String(name || globalOptions.notation || 'soa').trim().toLowerCase();
+        if (!NOTATIONS[notation]) {
+            throw new Error(`Unknown notation "${name || globalOptions.notation}" (expected ${Object.keys(NOTATIONS).join(', ')})`);
         }
+        return NOTATIONS[notation];
     }
-    
-    class ActReserve extends ActuarialSymbolBase {
-        render() {
-            const benefit = this.getAttribute('benefit') || 'A';
-            const age = this.getAttribute('age') || 'x';
-            const duration = this.getAttribute('duration') || 'k';
-            const payment = this.getAttribute('payment') || 'annual';
-
-            const math = this.createMathML('math', { display: 'inline' });
-            let vSymbol = this.applyDecoration('V', payment === 'continuous' ? 'bar' : '');
-            
-            const scripts = this.createMathML('mmultiscripts', {}, [
-                vSymbol,
-                this.createMathML('none'),
-                this.createMathML('none'),
-                this.createMathML('mprescripts'),
-                this.createMathML('mi', {}, [duration]),
-                this.createMathML('none')
-            ]);
 
-            math.appendChild(scripts);
-            math.appendChild(this.createMathML('mo', {}, ['(']));
-            
-            const benefitSymbol = this.applyDecoration(benefit, payment === 'continuous' ? 'bar' : '');
-            const lrElement = this.parseSubscript(age, {angleType: 'insurance'});
-            math.appendChild(this.createMathML('msub', {}, [benefitSymbol, lrElement]));
-            
-            math.appendChild(this.createMathML('mo', {}, [')']));
-            this.appendChild(math);
+    /**
+     * Draws the precedence numbers of a rendered symbol (see renderStatus)
+     * as the notation's `precedence` rule says.
+     */
+    function placePrecedence(node, rules) {
+        if (typeof node === 'string') return node;
+        const children = node.children.map(child => placePrecedence(child, rules));
+        const place = node.attrs['data-precedence'];
+        if (!place || rules.precedence !== 'underover') return { ...node, children };
+        const [base, number] = children;
+        const none = createMathML('none');
+        return createMathML('munderover', node.attrs, place === 'top' ? [base, none, number] : [base, number, none]);
+    }
+
+    // ===========================================================================
+    // SYMBOL BUILDERS
+    // ===========================================================================
+
+    function applyDecoration(symbol, decoration) {
+        const symbolEl = createMathML('mi', {}, [symbol]);
+        const decorMap = {
+            'bar': '¯',
+            'ddot': '¨',
+            'ring': '°'
+        };
+        if (decoration && decorMap[decoration]) {
+            return createMathML('mover', {}, [symbolEl, createMathML('mo', {}, [decorMap[decoration]])]);
         }
+        return symbolEl;
     }
 
-    class ActProb extends ActuarialSymbolBase {
-        render() {
-            const age = this.getAttribute('age') || 'x';
-            const time = this.getAttribute('time') || 't';
-            const type = this.getAttribute('type') || 'survival';
-            const defer = this.getAttribute('defer');
-
-            const math = this.createMathML('math', { display: 'inline' });
-            const symbol = type === 'mortality' ? 'q' : 'p';
-            
-            let ll = time;
-            if (defer) ll = `${defer}|${ll}`;
-
-            const scripts = this.createMathML('mmultiscripts', {}, [
-                this.createMathML('mi', {}, [symbol]),
-                this.createMathML('mi', {}, [age]),
-                this.createMathML('none'),
-                this.createMathML('mprescripts'),
-                this.createMathML('mi', {}, [ll]),
-                this.createMathML('none')
+    // A premium or reserve letter with its duration at the lower left and,
+    // for the 'status' rule of NOTATIONS, a status at the lower right: _kV_x
+    function prescripted(symbol, duration, lrElement = null) {
+        if (!duration) return lrElement ? createMathML('msub', {}, [symbol, lrElement]) : symbol;
+        return createMathML('mmultiscripts', {}, [
+            symbol,
+            lrElement || createMathML('none'),
+            createMathML('none'),
+            createMathML('mprescripts'),
+            createMathML('mi', {}, [duration]),
+            createMathML('none')
+        ]);
+    }
+
+    // Letters for increasing and decreasing benefits: (IA), (Dä)
+    const VARIATIONS = { 'increasing': 'I', 'decreasing': 'D' };
+
+    /**
+     * Wraps a benefit symbol in its variation, e.g. (IA), (I^(m) ā), (Ī Ā).
+     * The benefit's own frequency goes inside the brackets, on the symbol it
+     * belongs to: (IA^(m)).
+     */
+    function applyVariation(mainSymbol, options = {}) {
+        const { variation, variationType, variationFrequency, frequency } = options;
+        if (!VARIATIONS[variation]) return mainSymbol;
+
+        const letter = applyDecoration(VARIATIONS[variation], variationType === 'continuous' ? 'bar' : '');
+        return createMathML('mrow', {}, [
+            createMathML('mo', {}, ['(']),
+            variationFrequency ? createMathML('msup', {}, [letter, parseUpperRight(variationFrequency)]) : letter,
+            frequency ? createMathML('msup', {}, [mainSymbol, parseUpperRight(frequency)]) : mainSymbol,
+            createMathML('mo', {}, [')'])
+        ]);
+    }
+
+    function parseUpperRight(text) {
+        if (!text) return null;
+        if ((text.startsWith('(') && text.endsWith(')')) || (text.startsWith('{') && text.endsWith('}'))) {
+            return createMathML('mrow', {}, [
+                createMathML('mo', {}, [text.charAt(0)]),
+                createMathML('mi', {}, [text.slice(1, -1)]),
+                createMathML('mo', {}, [text.charAt(text.length - 1)])
             ]);
+        }
+        return createMathML('mi', {}, [text]);
+    }
 
-            math.appendChild(scripts);
-            this.appendChild(math);
+    // An exponent such as the n of v^n: read as a status (k+1, n-1), else as
+    // an equation (k/m, see EquationParser), else shown as it is.
+    function renderExponent(text) {
+        try {
+            return parseSubscript(text);
+        } catch (e) {
+            // not a status
+        }
+        try {
+            return equationNode(parseEquation(text), {});
+        } catch (e) {
+            return createMathML('mi', {}, [text]);
         }
     }
 
-    class ActCommute extends ActuarialSymbolBase {
-        render() {
-            const func = this.getAttribute('func') || 'D';
-            const age = this.getAttribute('age') || 'x';
+    // Decrements that have a name in attributes: decrement="tau" is τ.
+    const DECREMENT_NAMES = { 'tau': 'τ', 'total': 'τ' };
+
+    function decrementName(decrement) {
+        const text = String(decrement).trim();
+        return DECREMENT_NAMES[text.toLowerCase()] || text;
+    }
+
+    /**
+     * The upper-right index of a multiple-decrement or multi-state symbol:
+     * the decrement in brackets, q_x^(j), or the states of a transition,
+     * tp_x^01. Null when the symbol has neither.
+     */
+    function decrementIndex({ decrement, stateFrom, stateTo }) {
+        if (stateFrom || stateTo) {
+            if (decrement) throw new Error('A symbol has either a decrement or a state transition, not both');
+            return createMathML('mrow', {}, [stateFrom, stateTo].filter(Boolean).map(state => (
+                createMathML(/^\d+$/.test(state) ? 'mn' : 'mi', {}, [state])
+            )));
+        }
+        return decrement ? parseUpperRight(`(${decrementName(decrement)})`) : null;
+    }
+
+    // symbol_sub, or symbol_sub^index when there is an upper-right index.
+    function indexedSymbol(symbol, subscript, index) {
+        return createMathML(index ? 'msubsup' : 'msub', {}, [symbol, subscript, index]);
+    }
 
-            const math = this.createMathML('math', { display: 'inline' });
-            math.appendChild(this.createMathML('msub', {}, [
-                this.createMathML('mi', {}, [func]),
-                this.createMathML('mi', {}, [age])
-            ]));
+    // Precedence may be given as an array or as its JSON attribute form.
+    // Invalid JSON is ignored here and reported by validation.
+    function parsePrecedence(value) {
+        if (Array.isArray(value)) return value;
+        if (!value) return [];
+        try {
+            const list = JSON.parse(value);
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // ===========================================================================
+    // LIFE TABLES
+    // ===========================================================================
+
+    // Column aliases accepted in CSV headers and JSON keys.
+    const LIFE_TABLE_FIELDS = { 'x': 'age', 'age': 'age', 'lx': 'lx', 'l_x': 'lx', 'qx': 'qx', 'q_x': 'qx' };
+
+    // Select rates are in columns q[x], q[x]+1, ..., one per year of the
+    // select period; they are named q[x]+0, q[x]+1, ... internally.
+    const SELECT_FIELD = /^q\[x\]\+(\d+)$/;
+
+    function lifeTableField(name) {
+        const key = String(name).trim();
+        const select = /^q_?\[x\](?:\+(\d+))?$/i.exec(key);
+        if (select) return `q[x]+${select[1] || 0}`;
+        return LIFE_TABLE_FIELDS[key.toLowerCase()] || key;
+    }
+
+    const lifeTables = new Map();
+    const lifeTableListeners = new Set();
+
+    // Parses a numeric attribute such as an age, term or rate; symbolic values
+    // like "x" or "n" give NaN.
+    function toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (value == null || !/^\s*[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?\s*$/i.test(value)) return NaN;
+        return Number(value);
+    }
 
-            this.appendChild(math);
+    function formatNumber(value, precision) {
+        const digits = toNumber(precision);
+        return String(Number(value.toPrecision(Number.isInteger(digits) && digits > 0 ? digits : 6)));
+    }
+
+    // Reads a URL (or, under Node, a local path) as text.
+    async function fetchText(url) {
+        const href = String(url);
+        if (typeof window === 'undefined' && typeof require === 'function' && !/^https?:/i.test(href)) {
+            const { readFile } = require('fs').promises;
+            return readFile(href.startsWith('file:') ? new URL(href) : href, 'utf8');
         }
+        const response = await fetch(href);
+        if (!response.ok) throw new Error(`Failed to load ${href}: ${response.status} ${response.statusText}`);
+        return response.text();
     }
 
-    // Register all custom elements
-    customElements.define('act-symbol', ActSymbol);
-    customElements.define('act-annuity', ActAnnuity);
-    customElements.define('act-insurance', ActInsurance);
-    customElements.define('act-premium', ActPremium);
-    customElements.define('act-reserve', ActReserve);
-    customElements.define('act-prob', ActProb);
-    customElements.define('act-commute', ActCommute);
+    /**
+     * A single-decrement life table: l_x for consecutive integer ages, the
+     * columns derived from it and, at a given interest rate, the commutation
+     * functions. The table is closed at its last age (l is 0 beyond it).
+     *
+     * A select-and-ultimate table also has `select` rates: for each select age
+     * x from `select.startAge`, the rates q_[x], q_[x]+1, ... of the select
+     * period; l_x is then the ultimate table.
+     *
+     *   const table = LifeTable.parse('age,qx\n0,0.01\n1,0.02\n...', { interest: 0.05 });
+     *   table.p(45, 10); table.e(65); table.D(40);
+     *   select.selectTable(50).p(51, 10);   // 10p[50]+1
+     */
+    class LifeTable {
+        constructor({ startAge = 0, lx, interest = null, name = '', select = null } = {}) {
+            if (!Array.isArray(lx) || lx.length === 0) {
+                throw new Error('A life table needs at least one l_x value');
+            }
+            if (lx.some(l => !(l >= 0))) {
+                throw new Error('Life table l_x values must be non-negative numbers');
+            }
+            if (select && select.rates.some(rates => rates.some(q => !(q >= 0 && q <= 1)))) {
+                throw new Error('Life table select rates must be between 0 and 1');
+            }
+            this.startAge = startAge;
+            this.lx = lx.slice();
+            this.interest = interest;
+            this.name = name;
+            this.select = select;
+            this._commutation = new Map();
+            this._selectTables = new Map();
+        }
+
+        static fromLx(lx, options = {}) {
+            return new LifeTable({ ...options, lx });
+        }
+
+        // Builds l_x from q_x with the given radix (l at the first age).
+        static fromQx(qx, { radix = 100000, ...options } = {}) {
+            if (qx.some(q => !(q >= 0 && q <= 1))) {
+                throw new Error('Life table q_x values must be between 0 and 1');
+            }
+            const lx = [radix];
+            qx.forEach((q, k) => lx.push(lx[k] * (1 - q)));
+            while (lx.length > 1 && lx[lx.length - 1] === 0) lx.pop();
+            return new LifeTable({ ...options, lx });
+        }
+
+        /**
+         * Builds a table from columns { age?, lx } or { age?, qx }. Ages must be
+         * consecutive integers; without them the table starts at `startAge`.
+         */
+        static fromColumns(columns, options = {}) {
+            const ages = columns.age;
+            if (ages && ages.length) {
+                ages.forEach((age, k) => {
+                    if (!Number.isInteger(age) || (k > 0 && age !== ages[k - 1] + 1)) {
+                        throw new Error(`Life table ages must be consecutive integers (found ${age} after ${ages[k - 1]})`);
+                    }
+                });
+                options = { ...options, startAge: ages[0] };
+            }
+            const select = selectRates(columns, options.startAge || 0);
+            if (select) options = { ...options, select };
+            if (columns.lx) return LifeTable.fromLx(columns.lx, options);
+            if (columns.qx) return LifeTable.fromQx(columns.qx, options);
+            throw new Error('A life table needs an lx or qx column');
+        }
+
+        // CSV with a header row, e.g. "age,qx"; comma, semicolon or tab separated.
+        static fromCSV(text, options = {}) {
+            const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+            const delimiter = /\t/.test(lines[0]) ? '\t' : (/;/.test(lines[0]) ? ';' : ',');
+            const header = lines[0].split(delimiter).map(lifeTableField);
+            const columns = {};
+            header.forEach(name => { columns[name] = []; });
+            lines.slice(1).forEach((line, row) => {
+                line.split(delimiter).forEach((cell, i) => {
+                    const value = toNumber(cell);
+                    // Select rates may be left empty, e.g. at the oldest ages
+                    if (Number.isNaN(value) && !(cell.trim() === '' && SELECT_FIELD.test(header[i]))) {
+                        throw new Error(`Invalid number "${cell.trim()}" in life table row ${row + 1}`);
+                    }
+                    if (header[i] in columns) columns[header[i]].push(value);
+                });
+            });
+            return LifeTable.fromColumns(columns, options);
+        }
+
+        // JSON rows [{ age, qx, "q[x]"? }, ...] or columns
+        // { startAge?, age?, lx | qx, select?: [[q_[x], q_[x]+1], ...], selectStartAge? }.
+        static fromJSON(data, options = {}) {
+            const source = typeof data === 'string' ? JSON.parse(data) : data;
+            const columns = {};
+            if (Array.isArray(source)) {
+                source.forEach((row, k) => {
+                    Object.entries(row).forEach(([key, value]) => {
+                        const name = lifeTableField(key);
+                        (columns[name] = columns[name] || [])[k] = value == null ? NaN : Number(value);
+                    });
+                });
+            } else {
+                Object.entries(source).forEach(([key, value]) => {
+                    const name = key === 'select' ? key : lifeTableField(key);
+                    if (name === 'select') columns.select = value.map(rates => rates.map(Number));
+                    else columns[name] = Array.isArray(value) ? value.map(Number) : value;
+                });
+                if (columns.startAge != null) options = { startAge: columns.startAge, ...options };
+                if (columns.interest != null) options = { interest: columns.interest, ...options };
+            }
+            return LifeTable.fromColumns(columns, options);
+        }
+
+        // CSV or JSON, detected from the first character.
+        static parse(text, options = {}) {
+            const trimmed = String(text).trim();
+            if (trimmed.startsWith('{') || trimmed.startsWith('[')) return LifeTable.fromJSON(trimmed, options);
+            return LifeTable.fromCSV(trimmed, options);
+        }
+
+        static async load(url, options = {}) {
+            return LifeTable.parse(await fetchText(url), options);
+        }
+
+        /**
+         * Makes a table available by id to the components' `table` attribute.
+         */
+        static register(id, table) {
+            lifeTables.set(id, table);
+            lifeTableListeners.forEach(listener => listener(id, table));
+        }
+
+        static get(id) {
+            return lifeTables.get(id) || null;
+        }
+
+        // Calls `listener(id, table)` whenever a table is registered; returns
+        // a function that removes the listener.
+        static onRegister(listener) {
+            lifeTableListeners.add(listener);
+            return () => lifeTableListeners.delete(listener);
+        }
+
+        get maxAge() {
+            return this.startAge + this.lx.length - 1;
+        }
+
+        ages() {
+            return this.lx.map((l, k) => this.startAge + k);
+        }
+
+        l(x) {
+            if (!Number.isInteger(x) || x < this.startAge) return NaN;
+            return x > this.maxAge ? 0 : this.lx[x - this.startAge];
+        }
+
+        d(x) {
+            return this.l(x) - this.l(x + 1);
+        }
+
+        // t-year survival probability, tp_x
+        p(x, t = 1) {
+            return this.l(x + t) / this.l(x);
+        }
+
+        // Deferred t-year mortality probability, u|tq_x
+        q(x, t = 1, defer = 0) {
+            return (this.l(x + defer) - this.l(x + defer + t)) / this.l(x);
+        }
+
+        // Select rate q_[x]+k, or the ultimate q_x+k after the select period.
+        selectQ(x, k = 0) {
+            const rates = this._selectRatesAt(x);
+            return k < rates.length ? rates[k] : this.q(x + k);
+        }
+
+        _selectRatesAt(x) {
+            if (!this.select) return [];
+            return this.select.rates[x - this.select.startAge] || [];
+        }
+
+        /**
+         * The table seen from select age [x]: its ages x, x+1, ... stand for
+         * [x], [x]+1, ..., joining the ultimate table after the select period
+         * (l_[x]+d = l_x+d). This table itself when x has no select rates.
+         */
+        selectTable(x) {
+            const rates = this._selectRatesAt(x);
+            if (!rates.length) return this;
+
+            if (!this._selectTables.has(x)) {
+                const period = rates.length;
+                const ultimate = [];
+                for (let age = x + period; age <= this.maxAge; age++) ultimate.push(this.l(age));
+                let lx;
+                if (ultimate.length && ultimate[0] > 0 && rates.every(q => q < 1)) {
+                    // Back from the ultimate table: l_[x]+k = l_[x]+k+1 / p_[x]+k
+                    lx = [ultimate[0]];
+                    for (let k = period - 1; k >= 0; k--) lx.unshift(lx[0] / (1 - rates[k]));
+                    lx.pop();
+                } else {
+                    // The select period runs off the table: forward from l_x
+                    lx = [this.l(x) || 1];
+                    rates.forEach((q, k) => lx.push(lx[k] * (1 - q)));
+                    lx.pop();
+                }
+                this._selectTables.set(x, new LifeTable({ startAge: x, lx: lx.concat(ultimate), name: `${this.name}[${x}]` }));
+            }
+            const table = this._selectTables.get(x);
+            table.interest = this.interest;
+            return table;
+        }
+
+        // Curtate expectation of life, e_x, or over n years, e_x:n
+        e(x, n = Infinity) {
+            let total = 0;
+            for (let age = x + 1; age <= Math.min(this.maxAge, x + n); age++) total += this.l(age);
+            return total / this.l(x);
+        }
+
+        // The fractional-age functions below assume a uniform distribution
+        // of deaths within each year of age.
 
-    console.log('🎯 Actuarial Symbols Library (Refactored) loaded');
+        // Complete expectation of life, e̊_x, or over n years, e̊_x:n
+        eComplete(x, n = Infinity) {
+            const years = Math.min(n, this.maxAge + 1 - x);
+            return this.e(x, n) + (1 - this.p(x, years)) / 2;
+        }
+
+        // Years lived between ages x and x+n, nL_x
+        L(x, n = 1) {
+            let total = 0;
+            for (let k = 0; k < n; k++) total += (this.l(x + k) + this.l(x + k + 1)) / 2;
+            return total;
+        }
+
+        // Central death rate, nm_x
+        m(x, n = 1) {
+            return (this.l(x) - this.l(x + n)) / this.L(x, n);
+        }
+
+        // Force of mortality μ_x at any age within the table
+        mu(x) {
+            const age = Math.floor(x);
+            const q = this.q(age);
+            return q / (1 - (x - age) * q);
+        }
+
+        // Commutation columns at rate i, computed once per rate.
+        commutation(i = this.interest) {
+            if (i == null || Number.isNaN(Number(i))) {
+                throw new Error('Commutation functions need an interest rate');
+            }
+            const rate = Number(i);
+            if (!this._commutation.has(rate)) {
+                const v = 1 / (1 + rate);
+                const ages = this.ages();
+                const D = ages.map(x => Math.pow(v, x) * this.l(x));
+                const C = ages.map(x => Math.pow(v, x + 1) * this.d(x));
+                const tail = (column) => {
+                    const sums = column.slice();
+                    for (let k = sums.length - 2; k >= 0; k--) sums[k] += sums[k + 1];
+                    return sums;
+                };
+                const N = tail(D);
+                const M = tail(C);
+                this._commutation.set(rate, { D, N, C, M, S: tail(N), R: tail(M) });
+            }
+            return this._commutation.get(rate);
+        }
+
+        _commutationAt(func, x, i) {
+            if (!Number.isInteger(x) || x < this.startAge) return NaN;
+            return x > this.maxAge ? 0 : this.commutation(i)[func][x - this.startAge];
+        }
+
+        D(x, i) { return this._commutationAt('D', x, i); }
+        N(x, i) { return this._commutationAt('N', x, i); }
+        C(x, i) { return this._commutationAt('C', x, i); }
+        M(x, i) { return this._commutationAt('M', x, i); }
+        S(x, i) { return this._commutationAt('S', x, i); }
+        R(x, i) { return this._commutationAt('R', x, i); }
+    }
+
+    // Select rates from the q[x]+k columns (one row per age from `startAge`)
+    // or a JSON `select` array; null without any.
+    function selectRates(columns, startAge) {
+        let rates = columns.select;
+        let selectStartAge = columns.selectStartAge != null ? Number(columns.selectStartAge) : startAge;
+        if (!rates) {
+            const fields = Object.keys(columns)
+                .filter(name => SELECT_FIELD.test(name))
+                .sort((a, b) => SELECT_FIELD.exec(a)[1] - SELECT_FIELD.exec(b)[1]);
+            if (!fields.length) return null;
+            fields.forEach((name, k) => {
+                if (name !== `q[x]+${k}`) throw new Error(`Life table select columns must be q[x], q[x]+1, ... (missing q[x]+${k})`);
+            });
+            const rows = Math.max(...fields.map(name => columns[name].length));
+            rates = Array.from({ length: rows }, (_, row) => fields.map(name => columns[name][row]));
+            selectStartAge = startAge;
+        }
+        // An age's rates stop at its first empty cell
+        rates = rates.map(row => {
+            const end = row.findIndex(q => q == null || Number.isNaN(q));
+            return end < 0 ? row : row.slice(0, end);
+        });
+        return { startAge: selectStartAge, rates };
+    }
+
+    // A table object, or the id it was registered under.
+    function resolveLifeTable(ref) {
+        if (ref instanceof LifeTable) return ref;
+        return ref ? LifeTable.get(ref) : null;
+    }
+
+    /**
+     * Where to look up a numeric age: `50`, `50+1`, or a select age `[50]` or
+     * `[50]+1`, which is read from the table seen from select age 50. Null for
+     * symbolic ages like `x` or `[x]+1`, or without a table.
+     */
+    function lifeTableAge(table, text) {
+        if (!table) return null;
+        let node;
+        try {
+            node = parseStatus(text);
+        } catch (e) {
+            return null;
+        }
+        if (node.type !== 'life') return null;
+
+        let x = 0;
+        let selectAge = null;
+        for (let k = 0; k < node.terms.length; k += 2) {
+            const term = node.terms[k];
+            const sign = k > 0 && node.terms[k - 1].op === '-' ? -1 : 1;
+            const inner = term.select && term.select.terms.length === 1 ? term.select.terms[0] : null;
+            if (term.index) return null;
+            if (term.number != null) {
+                x += sign * Number(term.number);
+            } else if (k === 0 && inner && inner.number != null && !inner.index) {
+                selectAge = Number(inner.number);
+                x += selectAge;
+            } else {
+                return null;
+            }
+        }
+        return { table: selectAge == null ? table : table.selectTable(selectAge), x };
+    }
+
+    /**
+     * Columns <act-life-table> can show: the header symbol and the value at
+     * age x (and rate i).
+     */
+    const LIFE_TABLE_COLUMNS = {
+        x: { header: { kind: 'symbol', symbol: 'x' }, value: (table, x) => x },
+        lx: { header: { kind: 'symbol', symbol: 'l', lr: 'x' }, value: (table, x) => table.l(x) },
+        dx: { header: { kind: 'symbol', symbol: 'd', lr: 'x' }, value: (table, x) => table.d(x) },
+        qx: { header: { kind: 'symbol', symbol: 'q', lr: 'x' }, value: (table, x) => table.q(x) },
+        px: { header: { kind: 'symbol', symbol: 'p', lr: 'x' }, value: (table, x) => table.p(x) },
+        ex: { header: { kind: 'symbol', symbol: 'e', lr: 'x' }, value: (table, x) => table.e(x) },
+        Lx: { header: { kind: 'lifetime', func: 'L', age: 'x' }, value: (table, x) => table.L(x) },
+        mx: { header: { kind: 'lifetime', func: 'm', age: 'x' }, value: (table, x) => table.m(x) }
+    };
+    ['D', 'N', 'C', 'M', 'S', 'R'].forEach(func => {
+        LIFE_TABLE_COLUMNS[func] = {
+            header: { kind: 'commute', func, age: 'x' },
+            value: (table, x, i) => table[func](x, i),
+            needsInterest: true
+        };
+    });
+
+    // A column by name, including the select rates q[x], q[x]+1, ... (empty
+    // at ages without select rates).
+    function lifeTableColumn(name) {
+        if (LIFE_TABLE_COLUMNS[name]) return LIFE_TABLE_COLUMNS[name];
+        const select = SELECT_FIELD.exec(lifeTableField(name));
+        if (!select) return null;
+        const k = Number(select[1]);
+        return {
+            header: { kind: 'symbol', symbol: 'q', lr: k ? `[x]+${k}` : '[x]' },
+            value: (table, x) => table._selectRatesAt(x)[k],
+            select: true
+        };
+    }
+
+    // ===========================================================================
+    // ACTUARIAL PRESENT VALUES
+    // ===========================================================================
+
+    // How an annuity's options are read. Shared by render, toLatex and
+    // evaluate, so that a symbol and its value always agree.
+    function annuityModel(o) {
+        const age = o.age || 'x';
+        let lr = age;
+        if (o.term && !age.includes(':')) lr += `:${o.term}`;
+        return {
+            type: o.type || 'immediate',
+            lr,
+            defer: o.defer || null,
+            frequency: o.frequency || null,
+            ...variationModel(o)
+        };
+    }
+
+    // How an insurance's options are read (see annuityModel). Term insurance
+    // and pure endowments don't show a frequency, so it is ignored for them;
+    // likewise the deferral of a pure endowment.
+    function insuranceModel(o) {
+        const age = o.age || 'x';
+        const type = o.type || 'whole';
+        let lr = age;
+        if (o.term && !age.includes(':')) lr += `:${o.term}`;
+        const [life, ageTerm] = age.split(':');
+        return {
+            type,
+            payment: o.payment || 'eoy',
+            lr,
+            life,
+            term: o.term || ageTerm || null,
+            defer: type === 'pure-endowment' ? null : (o.defer || null),
+            frequency: (type === 'term' || type === 'pure-endowment') ? null : (o.frequency || null),
+            ...(type === 'pure-endowment' ? variationModel({}) : variationModel(o))
+        };
+    }
+
+    // Increasing/decreasing options; `variation` is null for a level benefit.
+    function variationModel(o) {
+        const variation = VARIATIONS[o.variation] ? o.variation : null;
+        return {
+            variation,
+            variationType: variation && o.variationType || null,
+            variationFrequency: variation && o.variationFrequency || null
+        };
+    }
+
+    /**
+     * The benefit in year k of cover (from 0, after any deferral): 1 for a
+     * level benefit, k + 1 increasing, term - k decreasing. Null when it can't
+     * be valued: variations that step more often than yearly, or decrease
+     * without a term.
+     */
+    function variationWeight(model, term) {
+        if (!model.variation) return () => 1;
+        if (model.variationType === 'continuous' || model.variationFrequency) return null;
+        if (model.variation === 'increasing') return k => k + 1;
+        return Number.isFinite(term) ? k => term - k : null;
+    }
+
+    // The m-thly frequency "(12)", "{12}" or "12" as a number; 1 when absent.
+    function parseFrequency(text) {
+        return text ? toNumber(String(text).replace(/^[({]|[)}]$/g, '')) : 1;
+    }
+
+    // A rate written as a decimal or a percentage: "0.05", "5%".
+    function toRate(value) {
+        const text = String(value == null ? '' : value).trim();
+        return text.endsWith('%') ? toNumber(text.slice(0, -1)) / 100 : toNumber(text);
+    }
+
+    /**
+     * The numbers a symbol is valued with: one numeric (or select) age, an integer term
+     * (Infinity for whole life) and deferral, the m-thly frequency, the
+     * interest rate and the life table. Null when any of them is symbolic or
+     * missing, e.g. for age "x" or a joint status "xy".
+     */
+    function valuationBasis(o, model) {
+        const table = resolveLifeTable(o.table);
+        if (!table) return null;
+        const i = o.interest ? toRate(o.interest) : table.interest;
+        const parts = model.lr.split(':');
+        const age = lifeTableAge(table, parts[0]);
+        const x = age ? age.x : NaN;
+        const term = parts.length > 1 ? toNumber(parts[1]) : Infinity;
+        const defer = model.defer ? toNumber(model.defer) : 0;
+        const m = parseFrequency(model.frequency);
+
+        if (parts.length > 2 || i == null || !Number.isFinite(i)) return null;
+        if (!Number.isInteger(x) || !Number.isInteger(defer) || !(Number.isInteger(term) || term === Infinity)) return null;
+        if (!Number.isInteger(m) || m < 1) return null;
+        return { table: age.table, x, term, defer, m, i };
+    }
+
+    // tp_x for fractional t, assuming a uniform distribution of deaths within
+    // each year of age.
+    function survivalUDD(table, x, t) {
+        const k = Math.floor(t + 1e-9);
+        const s = t - k;
+        const partial = s > 1e-9 ? s * table.d(x + k) : 0;
+        return (table.l(x + k) - partial) / table.l(x);
+    }
+
+    // Whole years of cover, from the end of the deferral period, that fall
+    // within the table.
+    function coveredYears(table, x, term, defer) {
+        return Math.max(0, Math.min(term, table.maxAge + 1 - x - defer));
+    }
+
+    /**
+     * Life annuity of 1 a year on (x): payable m-thly in arrears ('immediate')
+     * or in advance ('due'), or continuously; for `term` years after `defer`.
+     * `weight(k)` scales the payments in year k (see variationWeight).
+     */
+    function annuityValue(table, x, { term = Infinity, defer = 0, timing = 'immediate', m = 1, i, weight = () => 1 }) {
+        const v = 1 / (1 + i);
+        const years = coveredYears(table, x, term, defer);
+        let total = 0;
+
+        if (timing === 'continuous') {
+            // Exact under UDD: within each year l falls linearly, so integrate
+            // v^s and s v^s over the year.
+            const delta = Math.log(1 + i);
+            const level = delta === 0 ? 1 : (1 - v) / delta;
+            const slope = delta === 0 ? 0.5 : (1 - v) / (delta * delta) - v / delta;
+            for (let k = defer; k < defer + years; k++) {
+                total += weight(k - defer) * Math.pow(v, k) * (table.l(x + k) * level - table.d(x + k) * slope);
+            }
+            return total / table.l(x);
+        }
+
+        for (let j = 0; j < years * m; j++) {
+            const t = defer + (timing === 'due' ? j : j + 1) / m;
+            total += weight(Math.floor(j / m)) * Math.pow(v, t) * survivalUDD(table, x, t);
+        }
+        return total / m;
+    }
+
+    /**
+     * Insurance of 1 on (x) for `term` years after `defer`: payable at the end
+     * of the 1/m-th of a year of death ('eoy') or at the moment of death.
+     * `weight(k)` scales the benefit for death in year k.
+     */
+    function insuranceValue(table, x, { term = Infinity, defer = 0, timing = 'eoy', m = 1, i, weight = () => 1 }) {
+        const v = 1 / (1 + i);
+        const years = coveredYears(table, x, term, defer);
+        let total = 0;
+
+        if (timing === 'continuous') {
+            // Under UDD deaths are spread evenly over each year.
+            const delta = Math.log(1 + i);
+            const level = delta === 0 ? 1 : (1 - v) / delta;
+            for (let k = defer; k < defer + years; k++) {
+                total += weight(k - defer) * Math.pow(v, k) * table.d(x + k) * level;
+            }
+            return total / table.l(x);
+        }
+
+        for (let j = 0; j < years * m; j++) {
+            const t = defer + j / m;
+            total += weight(Math.floor(j / m)) * Math.pow(v, t + 1 / m) * (survivalUDD(table, x, t) - survivalUDD(table, x, t + 1 / m));
+        }
+        return total;
+    }
+
+    // Pure endowment nE_x (after any deferral)
+    function pureEndowmentValue(table, x, { term, defer = 0, i }) {
+        const t = defer + term;
+        return Math.pow(1 + i, -t) * table.p(x, t);
+    }
+
+    /**
+     * Interest-only values at effective annual rate i: v^n, the nominal rates
+     * i^(m) and d^(m), δ, and the annuities-certain a, ä, ā (present value)
+     * and s, s̈, s̄ (accumulated value) for n years, payable m-thly.
+     */
+    function certainValue(func, { i, n, m = 1, timing = 'immediate' }) {
+        const v = 1 / (1 + i);
+        const delta = Math.log(1 + i);
+        const nominalInterest = m * (Math.pow(1 + i, 1 / m) - 1);
+        const nominalDiscount = m * (1 - Math.pow(1 + i, -1 / m));
+
+        switch (func) {
+            case 'v': return Math.pow(v, n);
+            case 'i': return nominalInterest;
+            case 'd': return nominalDiscount;
+            case 'delta': return delta;
+            case 'a':
+            case 's': {
+                const rate = { 'immediate': nominalInterest, 'due': nominalDiscount, 'continuous': delta }[timing];
+                if (rate === undefined) return null;
+                if (i === 0) return n;
+                const presentValue = (1 - Math.pow(v, n)) / rate;
+                return func === 's' ? presentValue * Math.pow(1 + i, n) : presentValue;
+            }
+            default: return null;
+        }
+    }
+
+    // ===========================================================================
+    // SPEECH TEXT
+    // ===========================================================================
+
+    const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+    const FREQUENCY_WORDS = { 1: 'yearly', 2: 'half-yearly', 4: 'quarterly', 12: 'monthly', 52: 'weekly', 365: 'daily' };
+    const PERIOD_WORDS = { 1: 'year', 2: 'half-year', 4: 'quarter', 12: 'month', 52: 'week', 365: 'day' };
+    const DECORATION_WORDS = { 'bar': 'bar', 'ddot': 'double dot', 'ring': 'ring' };
+
+    // "x", "x plus t", "x 1" for x_1; select ages "x at selection" for [x],
+    // "x plus 1, selected at x" for [x]+1
+    function lifeWords(life) {
+        const words = life.terms.map(term => {
+            if (term.op) return term.op === '+' ? 'plus' : 'minus';
+            const base = term.select ? lifeWords(term.select) : (term.number || term.letter);
+            return term.index ? `${base} ${term.index}` : base;
+        }).join(' ');
+        const select = life.terms[0].select;
+        if (!select) return words;
+        return life.terms.length > 1 ? `${words}, selected at ${lifeWords(select)}` : `${words} at selection`;
+    }
+
+    // "n years", "1 year", "n minus 1 years"
+    function yearsWords(node) {
+        const words = node.type === 'life' ? lifeWords(node) : node.text;
+        return `${words} ${words === '1' ? 'year' : 'years'}`;
+    }
+
+    // "x and y", "x, y and z"
+    function listWords(words) {
+        return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words[0];
+    }
+
+    // "dying first", "dying number 7"
+    function precedenceWords(num) {
+        return `dying ${ORDINALS[num - 1] || `number ${num}`}`;
+    }
+
+    // The names in a group of single lives, "x dying first and y"; null
+    // when the group holds anything else.
+    function lifeNames(node) {
+        const parts = node.type === 'group' ? node.parts : [node];
+        const names = parts.map(part => {
+            if (part.type === 'life') return lifeWords(part);
+            if (part.type === 'precedence' && part.body.type === 'life') return `${lifeWords(part.body)} ${precedenceWords(part.num)}`;
+            return null;
+        });
+        return names.includes(null) ? null : listWords(names);
+    }
+
+    /**
+     * Reads a status aloud: "a life aged x", "joint lives aged x and y for n
+     * years", "the last survivor of lives aged x and y", "a life aged y after
+     * the failure of a life aged x".
+     */
+    function statusWords(text) {
+        return statusNodeWords(parseStatus(text));
+    }
+
+    function statusNodeWords(node) {
+        switch (node.type) {
+            case 'reversion': {
+                const [first, ...rest] = node.parts;
+                const after = statusNodeWords(rest.length > 1 ? { type: 'reversion', parts: rest } : rest[0]);
+                // u|x:n is deferred, x|y reversionary
+                if (isDuration(first.text) || first.text === 'u') return `${after}, deferred ${yearsWords(first)}`;
+                return `${after} after the failure of ${statusNodeWords(first)}`;
+            }
+            case 'chain': {
+                const [first, ...rest] = node.parts;
+                return rest.reduce((words, part) => (isDuration(part.text) || part.type === 'angle'
+                    ? `${words} for ${yearsWords(part.type === 'angle' ? part.body : part)}`
+                    : `${words} jointly with ${statusNodeWords(part)}`), statusNodeWords(first));
+            }
+            case 'group': {
+                const names = lifeNames(node);
+                if (names) return `joint lives aged ${names}`;
+                return `the joint status of ${listWords(node.parts.map(statusNodeWords))}`;
+            }
+            case 'overline': {
+                const names = lifeNames(node.body);
+                if (names && node.body.type === 'group') return `the last survivor of lives aged ${names}`;
+                return `the last survivor of ${statusNodeWords(node.body)}`;
+            }
+            case 'precedence':
+                return `${statusNodeWords(node.body)} ${precedenceWords(node.num)}`;
+            case 'angle':
+                return yearsWords(node.body);
+            default:
+                return `a life aged ${lifeWords(node)}`;
+        }
+    }
+
+    // An age on its own, "x plus t"; a whole status otherwise.
+    function ageWords(text) {
+        const node = parseStatus(text);
+        return node.type === 'life' ? lifeWords(node) : statusNodeWords(node);
+    }
+
+    // "(12)" -> "monthly", "(m)" -> "m times a year"
+    function timesAYear(frequency) {
+        return FREQUENCY_WORDS[parseFrequency(frequency)] || `${String(frequency).replace(/^[({]|[)}]$/g, '')} times a year`;
+    }
+
+    // ", payable monthly"
+    function frequencyWords(frequency) {
+        return frequency ? `, payable ${timesAYear(frequency)}` : '';
+    }
+
+    // "increasing ", "continuously decreasing ", "increasing monthly "
+    function variationWords(model) {
+        if (!model.variation) return '';
+        const how = model.variationType === 'continuous' ? 'continuously ' : '';
+        const often = model.variationFrequency ? ` ${timesAYear(model.variationFrequency)}` : '';
+        return `${how}${model.variation}${often} `;
+    }
+
+    // "a" or "an" before a name
+    function article(name) {
+        return /^[aeiou]/i.test(name) ? `an ${name}` : `a ${name}`;
+    }
+
+    // "u-year deferred "
+    function deferWords(defer) {
+        return defer ? `${defer}-year deferred ` : '';
+    }
+
+    // The names of the benefits in P(...) and V(...)
+    function benefitWords(benefit, continuous) {
+        const names = { 'A': 'insurance', 'a': 'annuity' };
+        const name = names[benefit] || `benefit ${benefit}`;
+        return continuous && names[benefit] ? `continuous ${name}` : name;
+    }
+
+    // "(j)" -> "by decrement j", τ -> "by any decrement"; "from state 0 to state 1"
+    function decrementWords({ decrement, stateFrom, stateTo }) {
+        if (stateFrom || stateTo) return ` from state ${stateFrom || 'i'} to state ${stateTo || 'j'}`;
+        if (!decrement) return '';
+        const name = decrementName(decrement);
+        return name === 'τ' ? ' from all decrements' : ` by decrement ${name}`;
+    }
+
+    // ===========================================================================
+    // VALIDATION
+    // ===========================================================================
+
+    // The rules of the kinds' `schema`: a list of the accepted values, or a
+    // function of (value, options) that says what is wrong with the value
+    // (null when it is fine). Unset and empty options are not checked.
+    const STATUS_RULE = (value) => {
+        try {
+            parseStatus(value);
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    };
+
+    // One life, as the x of an identity: x+1, 40 or [x]+k, not xy or x:n
+    const LIFE_RULE = (value) => {
+        const message = STATUS_RULE(value);
+        if (message) return message;
+        return parseStatus(value).type === 'life' ? null : 'expected a single life such as x, 40 or x+1';
+    };
+
+    const NUMBER_RULE = (value) => (Number.isNaN(toNumber(value)) ? 'expected a number' : null);
+
+    const RATE_RULE = (value) => (Number.isNaN(toRate(value)) ? 'expected a rate such as 0.05 or 5%' : null);
+
+    const PRECISION_RULE = (value) => {
+        const digits = toNumber(value);
+        return Number.isInteger(digits) && digits >= 1 && digits <= 100 ? null : 'expected a whole number of digits from 1 to 100';
+    };
+
+    // (12), {m}, 12 or m
+    const FREQUENCY_RULE = (value) => (
+        /^(\([^(){}]+\)|\{[^(){}]+\}|[^(){}]+)$/.test(String(value).trim()) ? null : 'expected a frequency such as (12), (m) or 12'
+    );
+
+    const PRECEDENCE_RULE = (value) => {
+        let list = value;
+        if (!Array.isArray(list)) {
+            try {
+                list = JSON.parse(value);
+            } catch (e) {
+                return 'expected JSON such as [{"pos": 0, "num": 1}]';
+            }
+        }
+        const valid = Array.isArray(list) && list.every(p => (
+            p && Number.isInteger(p.pos) && p.pos >= 0 && p.num != null && (p.top === undefined || typeof p.top === 'boolean')
+        ));
+        return valid ? null : 'expected a list of { pos, num, top } with a whole-number pos';
+    };
+
+    // Only meaningful for a varying benefit
+    const VARIATION_OPTION_RULE = (accepted) => Object.assign((value, o) => {
+        if (!VARIATIONS[o.variation]) return 'has no effect without variation="increasing" or "decreasing"';
+        return accepted && !accepted.includes(value) ? `expected ${accepted.join(' or ')}` : null;
+    }, { choices: accepted });
+
+    // Case-insensitive choices, as read by resolveRenderer and resolveAngleStyle.
+    // The rule keeps them as `choices`, for the menus of <act-builder>.
+    const CHOICE_RULE = (choices) => Object.assign((value) => (
+        choices.includes(String(value).trim().toLowerCase()) ? null : `expected one of ${choices.join(', ')}`
+    ), { choices });
+
+    // A decrement index and a state transition are alternatives
+    const DECREMENT_RULE = (value, o) => (
+        o.stateFrom || o.stateTo ? 'a symbol has either a decrement or a state-from/state-to transition, not both' : null
+    );
+
+    const COLUMNS_RULE = (value) => {
+        const unknown = String(value).split(/[\s,]+/).filter(name => name && !lifeTableColumn(name));
+        return unknown.length ? `unknown column ${unknown.map(name => `"${name}"`).join(', ')}` : null;
+    };
+
+    // The catalogue can grow, so the names are looked up when checked
+    const IDENTITY_RULE = (value) => {
+        const names = IDENTITIES.map(identity => identity.name);
+        return names.includes(value) ? null : `expected one of ${names.join(', ')}`;
+    };
+
+    // The options of kinds that can show their value
+    const VALUE_SCHEMA = { table: null, show: ['symbol', 'value', 'both'], precision: PRECISION_RULE };
+    const VARIATION_SCHEMA = {
+        variation: Object.keys(VARIATIONS),
+        variationType: VARIATION_OPTION_RULE(['continuous']),
+        variationFrequency: VARIATION_OPTION_RULE(null)
+    };
+
+    // Options every kind accepts (see COMMON_PROPERTIES)
+    const COMMON_SCHEMA = {
+        alttext: null,
+        renderer: CHOICE_RULE(RENDERERS),
+        angleStyle: CHOICE_RULE(ANGLE_STYLES),
+        notation: CHOICE_RULE(Object.keys(NOTATIONS)),
+        lightDom: null,
+        strict: null,
+        copyMenu: null,
+        explain: null
+    };
+
+    // <act-life-table>'s attributes
+    const LIFE_TABLE_SCHEMA = {
+        src: null, interest: RATE_RULE, columns: COLUMNS_RULE,
+        radix: NUMBER_RULE, startAge: NUMBER_RULE, precision: PRECISION_RULE, renderer: CHOICE_RULE(RENDERERS)
+    };
+
+    // <act-equation>'s, <act-identity>'s and <act-eqref>'s attributes
+    const EQUATION_SCHEMA = { expression: null, display: null, numbered: null, number: null, ...COMMON_SCHEMA };
+    const IDENTITY_SCHEMA = {
+        name: IDENTITY_RULE, age: LIFE_RULE, term: null, duration: null, frequency: FREQUENCY_RULE, derivation: null,
+        display: null, numbered: null, number: null, ...COMMON_SCHEMA
+    };
+    const EQREF_SCHEMA = { ref: null };
+
+    // Attributes any HTML element may have, never reported as unknown
+    const GLOBAL_ATTRIBUTE = /^(id|class|style|title|lang|dir|hidden|slot|part|role|tabindex|is|translate|inert|aria-.*|data-.*|on.*)$/;
+
+    // Checks options against a schema, see validateSpec.
+    function checkOptions(options, schema) {
+        const diagnostics = [];
+        Object.entries(options).forEach(([property, value]) => {
+            if (property === 'kind' || value == null || value === false || value === '') return;
+            const attribute = toAttributeName(property);
+            const diagnostic = { kind: options.kind || null, property, attribute, value };
+            if (!(property in schema)) {
+                diagnostics.push({ ...diagnostic, message: `unknown attribute "${attribute}"` });
+                return;
+            }
+            const rule = schema[property];
+            const problem = Array.isArray(rule)
+                ? (rule.includes(value) ? null : `expected one of ${rule.join(', ')}`)
+                : rule && rule(value, options);
+            if (problem) {
+                const text = typeof value === 'string' ? value : JSON.stringify(value);
+                diagnostics.push({ ...diagnostic, message: `${attribute}="${text}": ${problem}` });
+            }
+        });
+        return diagnostics;
+    }
+
+    /**
+     * Checks a symbol description against its kind's `schema`. Returns one
+     * diagnostic { kind, property, attribute, value, message } per unknown
+     * option, value the kind does not accept or option that has no effect;
+     * an empty list when the description is valid.
+     *
+     *   validateSpec({ kind: 'annuity', type: 'yearly' })
+     *   // [{ ..., message: 'type="yearly": expected one of immediate, due, continuous' }]
+     */
+    function validateSpec(spec) {
+        const kind = KINDS[spec && spec.kind];
+        if (!kind) {
+            throw new Error(`Unknown actuarial symbol kind: ${spec && spec.kind}`);
+        }
+        return checkOptions(spec, { ...kind.schema, ...COMMON_SCHEMA });
+    }
+
+    // Whether invalid options are errors rather than warnings
+    const isStrict = (spec) => Boolean(spec.strict || globalOptions.strict);
+
+    // The Error a strict render throws, carrying the diagnostics.
+    function validationError(diagnostics) {
+        const error = new Error(diagnostics.map(d => d.message).join('; '));
+        error.diagnostics = diagnostics;
+        return error;
+    }
+
+    const decodeEntities = (text) => text
+        .replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+    // The custom element start tags in an HTML string, with their attributes and line.
+    function scanComponents(markup) {
+        const tagPattern = /<([a-z][\w.]*-[\w.-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/gi;
+        const attrPattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+        return Array.from(markup.matchAll(tagPattern), match => ({
+            tag: match[1].toLowerCase(),
+            attributes: Object.fromEntries(Array.from(match[2].matchAll(attrPattern), attr => (
+                [attr[1].toLowerCase(), decodeEntities(attr[2] ?? attr[3] ?? attr[4] ?? '')]
+            ))),
+            line: markup.slice(0, match.index).split('\n').length
+        }));
+    }
+
+    // The custom elements in a DOM tree, the root included.
+    function findComponents(root) {
+        const nodes = root.nodeType === 1 ? [root, ...root.querySelectorAll('*')] : Array.from(root.querySelectorAll('*'));
+        return nodes.filter(el => el.localName.includes('-')).map(element => ({
+            tag: element.localName,
+            attributes: Object.fromEntries(Array.from(element.attributes, a => [a.name, a.value])),
+            element
+        }));
+    }
+
+    /**
+     * Checks the act-* components, and those added with define, in some
+     * markup, e.g. documentation pages in a build or review step. `markup`
+     * is an HTML string, in which case each
+     * diagnostic has the `line` of its component, or a DOM node (diagnostics
+     * then have the `element`). Diagnostics are those of validateSpec plus
+     * the component's `tag`; unknown act-* components and errors that only
+     * rendering finds are reported too.
+     *
+     *   validate('<act-annuity age="x:" type="due"></act-annuity>')
+     *   // [{ tag: 'act-annuity', line: 1, attribute: 'age', message: 'age="x:": ...' }]
+     */
+    function validate(markup) {
+        const components = typeof markup === 'string' ? scanComponents(markup) : findComponents(markup);
+        const diagnostics = [];
+        components.forEach(({ tag, attributes, line, element }) => {
+            const where = line ? { tag, line } : { tag, element };
+            const ctor = Object.values(elements).find(c => c.tag === tag);
+            if (!ctor) {
+                // Other custom elements are not ours to check
+                if (!tag.startsWith('act-')) return;
+                diagnostics.push({ ...where, kind: null, property: null, attribute: null, value: null, message: `unknown component <${tag}>` });
+                return;
+            }
+            const options = { kind: ctor.kind };
+            Object.entries(attributes).forEach(([attribute, value]) => {
+                if (GLOBAL_ATTRIBUTE.test(attribute)) return;
+                const property = attribute.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+                options[property] = ctor.properties[property] === Boolean || value;
+            });
+            const found = checkOptions(options, ctor.schema);
+            found.forEach(d => diagnostics.push({ ...where, ...d }));
+            if (ctor.kind && !found.length) {
+                try {
+                    render(options);
+                } catch (e) {
+                    diagnostics.push({ ...where, kind: ctor.kind, property: null, attribute: null, value: null, message: e.message });
+                }
+            }
+        });
+        return diagnostics;
+    }
+
+
+    // ===========================================================================
+    // RENDERERS
+    // ===========================================================================
+
+    /**
+     * One entry per symbol kind. `properties` declares the options the kind
+     * understands (and the attributes its element observes): String, Boolean
+     * or Array. `render` turns those options into a <math> node, `toLatex`
+     * into an actuarialsymbol macro call, `describe` into the words a screen
+     * reader says, and the optional `evaluate` into the symbol's numeric
+     * value (null when it cannot be computed). `schema` has the rule each
+     * option is validated with (see VALIDATION), or null for free text.
+     */
+    const KINDS = {
+        symbol: {
+            tag: 'act-symbol',
+            properties: {
+                ll: String, ul: String, p: String, symbol: String, lr: String, ur: String,
+                decoration: String, precedence: Array, lastSurvivor: Boolean
+            },
+            schema: {
+                ll: null, ul: null, p: null, symbol: null, lr: STATUS_RULE, ur: null,
+                decoration: ['bar', 'ddot', 'ring'], precedence: PRECEDENCE_RULE, lastSurvivor: null
+            },
+            render(o) {
+                const ll = o.ll || '';
+                const ul = o.ul || '';
+                const p = o.p || '';
+                const symbol = o.symbol || 'x';
+                const lr = o.lr || '';
+                const ur = o.ur || '';
+                const decoration = o.decoration || '';
+                const lastSurvivor = Boolean(o.lastSurvivor);
+                const precedence = parsePrecedence(o.precedence);
+
+                let mainSymbol = applyDecoration(symbol, decoration);
+                // Default angle type for generic symbol is annuity
+                const lrElement = parseSubscript(lr, { angleType: 'annuity', precedence, lastSurvivor });
+
+                let finalSymbol;
+                if (ll || ul) {
+                    finalSymbol = createMathML('mmultiscripts', {}, [
+                        mainSymbol,
+                        lrElement,
+                        ur ? parseUpperRight(ur) : createMathML('none'),
+                        createMathML('mprescripts'),
+                        ll ? createMathML('mi', {}, [ll]) : createMathML('none'),
+                        ul ? createMathML('mi', {}, [ul]) : createMathML('none')
+                    ]);
+                } else if (lr || ur) {
+                    const tag = ur ? 'msubsup' : 'msub';
+                    finalSymbol = createMathML(tag, {}, [
+                        mainSymbol,
+                        lrElement,
+                        ur ? parseUpperRight(ur) : null
+                    ]);
+                } else {
+                    finalSymbol = mainSymbol;
+                }
+
+                const children = p
+                    ? [createMathML('mi', {}, [p]), createMathML('mo', {}, ['(']), finalSymbol, createMathML('mo', {}, [')'])]
+                    : [finalSymbol];
+                return createMathML('math', { display: 'inline' }, children);
+            },
+            describe(o) {
+                const decoration = DECORATION_WORDS[o.decoration];
+                let words = decoration ? `${o.symbol || 'x'} ${decoration}` : (o.symbol || 'x');
+                if (o.lr) {
+                    const options = { precedence: parsePrecedence(o.precedence), lastSurvivor: Boolean(o.lastSurvivor) };
+                    words += ` for ${statusNodeWords(applyStatusOptions(parseStatus(o.lr), options))}`;
+                }
+                if (o.ur) words += `, superscript ${o.ur}`;
+                if (o.ll) words += `, left subscript ${o.ll}`;
+                if (o.ul) words += `, left superscript ${o.ul}`;
+                return o.p ? `${o.p} of ${words}` : words;
+            },
+            toLatex(o) {
+                const lr = latexStatus(o.lr || '', {
+                    angleType: 'annuity',
+                    precedence: parsePrecedence(o.precedence),
+                    lastSurvivor: Boolean(o.lastSurvivor)
+                });
+                return latexMacro('actsymb', [o.ll, o.ul, o.p], [latexDecorate(o.symbol || 'x', o.decoration), lr], o.ur);
+            }
+        },
+
+        annuity: {
+            tag: 'act-annuity',
+            properties: {
+                age: String, type: String, term: String, defer: String, frequency: String,
+                variation: String, variationType: String, variationFrequency: String,
+                table: String, interest: String, show: String, precision: String
+            },
+            schema: {
+                age: STATUS_RULE, type: ['immediate', 'due', 'continuous'], term: STATUS_RULE, defer: STATUS_RULE,
+                frequency: FREQUENCY_RULE, ...VARIATION_SCHEMA, ...VALUE_SCHEMA, interest: RATE_RULE
+            },
+            render(o) {
+                const model = annuityModel(o);
+                const { type, lr, defer, variation } = model;
+                const subscript = defer ? `${defer}|${lr}` : lr;
+                // A varying annuity carries its frequency inside the brackets
+                const frequency = variation ? null : model.frequency;
+
+                const decorationMap = { 'due': 'ddot', 'continuous': 'bar', 'immediate': '' };
+                const mainSymbol = applyVariation(applyDecoration('a', decorationMap[type]), model);
+                const lrElement = parseSubscript(subscript, { angleType: 'annuity' });
+
+                const tag = frequency ? 'msubsup' : 'msub';
+                const symbol = createMathML(tag, {}, [
+                    mainSymbol,
+                    lrElement,
+                    frequency ? parseUpperRight(frequency) : null
+                ]);
+
+                return createMathML('math', { display: 'inline' }, [symbol]);
+            },
+            describe(o) {
+                const model = annuityModel(o);
+                const name = { 'due': 'annuity-due', 'continuous': 'continuous annuity' }[model.type] || 'annuity-immediate';
+                return `${variationWords(model)}${deferWords(model.defer)}${name} on ${statusWords(model.lr)}${frequencyWords(model.frequency)}`;
+            },
+            toLatex(o) {
+                const model = annuityModel(o);
+                const { type, lr, defer, frequency, variation } = model;
+                const ll = defer ? `${defer}|` : '';
+                const status = latexStatus(lr, { angleType: 'annuity' });
+                if (variation) {
+                    const decoration = { 'due': 'ddot', 'continuous': 'bar' }[type] || '';
+                    return latexMacro('actsymb', [ll], [latexVariation('a', decoration, model), status]);
+                }
+                const stars = { 'due': '*', 'continuous': '**' }[type] || '';
+                return latexMacro(`ax${stars}`, [ll], [status], frequency);
+            },
+            evaluate(o) {
+                const model = annuityModel(o);
+                const basis = valuationBasis(o, model);
+                const weight = basis && variationWeight(model, basis.term);
+                if (!weight) return null;
+                return annuityValue(basis.table, basis.x, { ...basis, timing: model.type, weight });
+            }
+        },
+
+        insurance: {
+            tag: 'act-insurance',
+            properties: {
+                age: String, type: String, payment: String, term: String, frequency: String, defer: String,
+                variation: String, variationType: String, variationFrequency: String,
+                table: String, interest: String, show: String, precision: String
+            },
+            schema: {
+                age: STATUS_RULE, type: ['whole', 'term', 'endowment', 'pure-endowment'], payment: ['eoy', 'continuous'],
+                term: STATUS_RULE, frequency: FREQUENCY_RULE, defer: STATUS_RULE,
+                ...VARIATION_SCHEMA, ...VALUE_SCHEMA, interest: RATE_RULE
+            },
+            render(o) {
+                const model = insuranceModel(o);
+                const { type, payment, lr, term, defer, variation } = model;
+                // A varying insurance carries its frequency inside the brackets
+                const frequency = variation ? null : model.frequency;
+
+                const decoration = payment === 'continuous' ? 'bar' : '';
+                const mainSymbol = applyVariation(applyDecoration('A', decoration), model);
+                const notation = resolveNotation(o.notation);
+
+                // Use 'insurance' angle type for term/endowment, otherwise no angle
+                const angleTypeForSubscript = notation.termAngle && (type === 'term' || type === 'endowment') ? 'insurance' : 'none';
+                // The notation may put the 1 of term insurance over the life
+                const oneOverLife = type === 'term' && notation.termOne === 'life';
+                const lrElement = oneOverLife
+                    ? renderStatus(markFirstStatus(parseStatus(lr), '1'), angleTypeForSubscript)
+                    : parseSubscript(lr, { angleType: angleTypeForSubscript });
+
+                // Handling pure endowment, which is a special case with a left-side subscript
+                if (type === 'pure-endowment') {
+                    return createMathML('math', { display: 'inline' }, [
+                        createMathML('mmultiscripts', {}, [
+                            mainSymbol,
+                            lrElement,
+                            createMathML('none'),
+                            createMathML('mprescripts'),
+                            createMathML('mi', {}, [term || 'n']),
+                            createMathML('none')
+                        ])
+                    ]);
+                }
+
+                // The '1' for term insurance is a special case in the upper-right corner
+                const urElement = type === 'term'
+                    ? (oneOverLife ? null : createMathML('mn', {}, ['1']))
+                    : (frequency ? parseUpperRight(frequency) : null);
+
+                let finalSymbol;
+                if (defer) {
+                    // Deferred insurance: u| as a left-side subscript
+                    finalSymbol = createMathML('mmultiscripts', {}, [
+                        mainSymbol,
+                        lrElement,
+                        urElement || createMathML('none'),
+                        createMathML('mprescripts'),
+                        createMathML('mi', {}, [`${defer}|`]),
+                        createMathML('none')
+                    ]);
+                } else if (urElement) {
+                    finalSymbol = createMathML('msubsup', {}, [mainSymbol, lrElement, urElement]);
+                } else if (lr) {
+                    finalSymbol = createMathML('msub', {}, [mainSymbol, lrElement]);
+                } else {
+                    finalSymbol = mainSymbol;
+                }
+                return createMathML('math', { display: 'inline' }, [finalSymbol]);
+            },
+            describe(o) {
+                const model = insuranceModel(o);
+                const names = { 'term': 'term insurance', 'endowment': 'endowment insurance', 'pure-endowment': 'pure endowment' };
+                let payable = '';
+                if (model.type !== 'pure-endowment' && model.payment === 'continuous') {
+                    payable = ', payable at the moment of death';
+                } else if (model.frequency) {
+                    const m = parseFrequency(model.frequency);
+                    payable = `, payable at the end of the ${PERIOD_WORDS[m] || `${timesAYear(model.frequency)} period`} of death`;
+                }
+                return `${variationWords(model)}${deferWords(model.defer)}${names[model.type] || 'whole life insurance'} on ${statusWords(model.lr)}${payable}`;
+            },
+            toLatex(o) {
+                const model = insuranceModel(o);
+                const { type, payment, lr, term, defer, frequency, variation } = model;
+                const name = payment === 'continuous' ? 'Ax*' : 'Ax';
+                const ll = defer ? `${defer}|` : '';
+
+                // A pure endowment is drawn with its term in the lower left
+                if (type === 'pure-endowment') {
+                    return latexMacro(name, [term || 'n'], [latexStatus(lr)]);
+                }
+
+                const angleType = (type === 'term' || type === 'endowment') ? 'insurance' : 'none';
+                let status = latexStatus(lr, { angleType });
+                // The 1 of term insurance goes where the notation draws it:
+                // over the life, or in the upper right
+                const oneOverLife = type === 'term' && resolveNotation(o.notation).termOne === 'life';
+                if (oneOverLife) {
+                    const [status0, ...terms] = lr.split(':');
+                    status = [`\\nthtop{1}{${status0}}`, ...terms.map(t => latexTerm(t, angleType))].join(':');
+                }
+                const one = type === 'term' && !oneOverLife ? '1' : null;
+                if (variation) {
+                    return latexMacro('actsymb', [ll], [latexVariation('A', payment === 'continuous' ? 'bar' : '', model), status], one);
+                }
+                return latexMacro(name, [ll], [status], one || frequency);
+            },
+            evaluate(o) {
+                const model = insuranceModel(o);
+                const basis = valuationBasis(o, model);
+                if (!basis) return null;
+                const timing = model.payment === 'continuous' ? 'continuous' : 'eoy';
+                if (model.type === 'pure-endowment') {
+                    return Number.isFinite(basis.term) ? pureEndowmentValue(basis.table, basis.x, basis) : null;
+                }
+                // Term and endowment cover need a term; whole life must not have one
+                if (Number.isFinite(basis.term) === (model.type === 'whole')) return null;
+                const weight = variationWeight(model, basis.term);
+                if (!weight) return null;
+                const assurance = insuranceValue(basis.table, basis.x, { ...basis, timing, weight });
+                // The maturity benefit is the benefit of the final year
+                return model.type === 'endowment'
+                    ? assurance + weight(basis.term - 1) * pureEndowmentValue(basis.table, basis.x, basis)
+                    : assurance;
+            }
+        },
+
+        premium: {
+            tag: 'act-premium',
+            properties: { benefit: String, age: String, payment: String, duration: String },
+            schema: { benefit: null, age: STATUS_RULE, payment: ['annual', 'continuous'], duration: null },
+            render(o) {
+                const benefit = o.benefit || 'A';
+                const age = o.age || 'x';
+                const payment = o.payment || 'annual';
+                const duration = o.duration;
+                const notation = resolveNotation(o.notation);
+
+                const pSymbol = applyDecoration('P', payment === 'continuous' ? 'bar' : '');
+                // Premiums often relate to insurance benefits
+                const lrElement = parseSubscript(age, { angleType: notation.termAngle ? 'insurance' : 'none' });
+                if (notation.benefit === 'status' && benefit === 'A') {
+                    return createMathML('math', { display: 'inline' }, [prescripted(pSymbol, duration, lrElement)]);
+                }
+
+                const benefitSymbol = applyDecoration(benefit, payment === 'continuous' ? 'bar' : '');
+                return createMathML('math', { display: 'inline' }, [
+                    prescripted(pSymbol, duration),
+                    createMathML('mo', {}, ['(']),
+                    createMathML('msub', {}, [benefitSymbol, lrElement]),
+                    createMathML('mo', {}, [')'])
+                ]);
+            },
+            describe(o) {
+                const continuous = o.payment === 'continuous';
+                const duration = o.duration ? `, payable for ${yearsWords({ text: o.duration })}` : '';
+                return `${continuous ? 'continuous' : 'annual'} premium for ${benefitWords(o.benefit || 'A', continuous)} on ${statusWords(o.age || 'x')}${duration}`;
+            },
+            toLatex(o) {
+                const continuous = o.payment === 'continuous';
+                const benefit = o.benefit || 'A';
+                if (resolveNotation(o.notation).benefit === 'status' && benefit === 'A') {
+                    return latexStatusBenefit(continuous ? '\\bar{P}' : 'P', o.duration, o.age || 'x');
+                }
+                const prefix = o.duration ? `{}_{${o.duration}}` : '';
+                return `${prefix}${continuous ? '\\bar{P}' : 'P'}(${latexBenefit(benefit, o.age || 'x', continuous)})`;
+            }
+        },
+
+        reserve: {
+            tag: 'act-reserve',
+            properties: { benefit: String, age: String, duration: String, payment: String },
+            schema: { benefit: null, age: STATUS_RULE, duration: null, payment: ['annual', 'continuous'] },
+            render(o) {
+                const benefit = o.benefit || 'A';
+                const age = o.age || 'x';
+                const duration = o.duration || 'k';
+                const payment = o.payment || 'annual';
+                const notation = resolveNotation(o.notation);
+
+                const vSymbol = applyDecoration('V', payment === 'continuous' ? 'bar' : '');
+                const lrElement = parseSubscript(age, { angleType: notation.termAngle ? 'insurance' : 'none' });
+                if (notation.benefit === 'status' && benefit === 'A') {
+                    return createMathML('math', { display: 'inline' }, [prescripted(vSymbol, duration, lrElement)]);
+                }
+
+                const benefitSymbol = applyDecoration(benefit, payment === 'continuous' ? 'bar' : '');
+                return createMathML('math', { display: 'inline' }, [
+                    prescripted(vSymbol, duration),
+                    createMathML('mo', {}, ['(']),
+                    createMathML('msub', {}, [benefitSymbol, lrElement]),
+                    createMathML('mo', {}, [')'])
+                ]);
+            },
+            describe(o) {
+                const continuous = o.payment === 'continuous';
+                return `reserve at time ${o.duration || 'k'} for ${benefitWords(o.benefit || 'A', continuous)} on ${statusWords(o.age || 'x')}`;
+            },
+            toLatex(o) {
+                const continuous = o.payment === 'continuous';
+                const benefit = o.benefit || 'A';
+                if (resolveNotation(o.notation).benefit === 'status' && benefit === 'A') {
+                    return latexStatusBenefit(continuous ? '\\bar{V}' : 'V', o.duration || 'k', o.age || 'x');
+                }
+                return `{}_{${o.duration || 'k'}}${continuous ? '\\bar{V}' : 'V'}(${latexBenefit(benefit, o.age || 'x', continuous)})`;
+            }
+        },
+
+        prob: {
+            tag: 'act-prob',
+            properties: {
+                age: String, time: String, type: String, defer: String,
+                decrement: String, stateFrom: String, stateTo: String,
+                table: String, show: String, precision: String
+            },
+            schema: {
+                age: STATUS_RULE, time: null, type: ['survival', 'mortality', 'force'], defer: null,
+                decrement: DECREMENT_RULE, stateFrom: null, stateTo: null, ...VALUE_SCHEMA
+            },
+            render(o) {
+                const age = o.age || 'x';
+                // An empty time is one year, written without it: p_x
+                const time = o.time == null ? 't' : o.time;
+                const type = o.type || 'survival';
+                const defer = o.defer;
+                const index = decrementIndex(o);
+
+                // Force of mortality, decrement or transition: μ_x^(j), μ_{x+t}^01
+                if (type === 'force') {
+                    return createMathML('math', { display: 'inline' }, [
+                        indexedSymbol(createMathML('mi', {}, ['μ']), parseSubscript(age), index)
+                    ]);
+                }
+
+                const symbol = type === 'mortality' ? 'q' : 'p';
+
+                let ll = time;
+                if (defer) ll = `${defer}|${ll}`;
+
+                if (!ll) {
+                    return createMathML('math', { display: 'inline' }, [
+                        indexedSymbol(createMathML('mi', {}, [symbol]), parseSubscript(age), index)
+                    ]);
+                }
+
+                const scripts = createMathML('mmultiscripts', {}, [
+                    createMathML('mi', {}, [symbol]),
+                    parseSubscript(age),
+                    index || createMathML('none'),
+                    createMathML('mprescripts'),
+                    createMathML('mi', {}, [ll]),
+                    createMathML('none')
+                ]);
+
+                return createMathML('math', { display: 'inline' }, [scripts]);
+            },
+            describe(o) {
+                const age = o.age || 'x';
+                const index = decrementWords(o);
+                if (o.type === 'force') {
+                    let name = 'force of mortality';
+                    if (o.stateFrom || o.stateTo) name = `force of transition${index}`;
+                    else if (o.decrement) name = decrementName(o.decrement) === 'τ' ? 'total force of decrement' : `force of decrement ${decrementName(o.decrement)}`;
+                    return `${name} at age ${ageWords(age)}`;
+                }
+
+                const time = o.time == null ? 't' : (o.time || '1');
+                const status = statusWords(age);
+                if (o.stateFrom || o.stateTo) {
+                    return `probability of being in state ${o.stateTo || 'j'} after ${yearsWords({ text: time })}, starting in state ${o.stateFrom || 'i'}, for ${status}`;
+                }
+                if (o.type === 'mortality') {
+                    const deferred = o.defer ? `surviving ${yearsWords({ text: o.defer })} and then ` : '';
+                    return `probability of ${deferred}${o.decrement ? 'leaving' : 'dying'} within ${yearsWords({ text: time })}${index} for ${status}`;
+                }
+                const years = o.defer ? `${o.defer} plus ${yearsWords({ text: time })}` : yearsWords({ text: time });
+                return `probability of surviving ${years}${index} for ${status}`;
+            },
+            toLatex(o) {
+                const status = latexStatus(o.age || 'x');
+                const index = latexDecrementIndex(o);
+                if (o.type === 'force') return latexMacro('actsymb', [], ['\\mu', status], index);
+                const name = o.type === 'mortality' ? 'qx' : 'px';
+                const time = o.time == null ? 't' : o.time;
+                return latexMacro(name, [o.defer ? `${o.defer}|${time}` : time], [status], index);
+            },
+            evaluate(o) {
+                // Single-decrement tables only
+                if (o.type === 'force' || decrementIndex(o)) return null;
+                const age = lifeTableAge(resolveLifeTable(o.table), o.age || 'x');
+                if (!age) return null;
+                const { table, x } = age;
+                const t = o.time === '' ? 1 : toNumber(o.time || 't');
+                const defer = o.defer ? toNumber(o.defer) : 0;
+                if (o.type === 'mortality') return table.q(x, t, defer);
+                return table.p(x, defer + t);
+            }
+        },
+
+        commute: {
+            tag: 'act-commute',
+            properties: {
+                func: String, age: String,
+                table: String, interest: String, show: String, precision: String
+            },
+            schema: { func: ['D', 'N', 'C', 'M', 'S', 'R'], age: STATUS_RULE, ...VALUE_SCHEMA, interest: RATE_RULE },
+            render(o) {
+                const func = o.func || 'D';
+                const age = o.age || 'x';
+
+                return createMathML('math', { display: 'inline' }, [
+                    createMathML('msub', {}, [
+                        createMathML('mi', {}, [func]),
+                        parseSubscript(age)
+                    ])
+                ]);
+            },
+            describe(o) {
+                return `commutation function ${o.func || 'D'} at age ${ageWords(o.age || 'x')}`;
+            },
+            toLatex(o) {
+                return `${o.func || 'D'}_{${latexStatus(o.age || 'x')}}`;
+            },
+            evaluate(o) {
+                const table = resolveLifeTable(o.table);
+                const func = o.func || 'D';
+                const interest = o.interest ? toRate(o.interest) : table && table.interest;
+                const age = lifeTableAge(table, o.age || 'x');
+                if (!age || interest == null || !['D', 'N', 'C', 'M', 'S', 'R'].includes(func)) return null;
+                return age.table[func](age.x, interest);
+            }
+        },
+
+        count: {
+            tag: 'act-count',
+            properties: {
+                func: String, age: String, decrement: String,
+                table: String, show: String, precision: String
+            },
+            schema: { func: ['l', 'd'], age: STATUS_RULE, decrement: null, ...VALUE_SCHEMA },
+            render(o) {
+                const index = decrementIndex({ decrement: o.decrement });
+
+                // Expected lives l_x^(τ) or decrements d_x^(j)
+                return createMathML('math', { display: 'inline' }, [
+                    indexedSymbol(createMathML('mi', {}, [o.func === 'd' ? 'd' : 'l']), parseSubscript(o.age || 'x'), index)
+                ]);
+            },
+            describe(o) {
+                const age = ageWords(o.age || 'x');
+                if (o.func !== 'd') return `expected number of lives at age ${age}${o.decrement ? ' in the multiple-decrement table' : ''}`;
+                if (!o.decrement) return `expected number of deaths at age ${age}`;
+                const name = decrementName(o.decrement);
+                return `expected number of decrements ${name === 'τ' ? 'from all causes' : `from cause ${name}`} at age ${age}`;
+            },
+            toLatex(o) {
+                const index = latexDecrementIndex({ decrement: o.decrement });
+                return latexMacro('actsymb', [], [o.func === 'd' ? 'd' : 'l', latexStatus(o.age || 'x')], index);
+            },
+            evaluate(o) {
+                if (o.decrement) return null;
+                const age = lifeTableAge(resolveLifeTable(o.table), o.age || 'x');
+                if (!age) return null;
+                return o.func === 'd' ? age.table.d(age.x) : age.table.l(age.x);
+            }
+        },
+
+        lifetime: {
+            tag: 'act-lifetime',
+            properties: {
+                func: String, age: String, type: String, time: String, defer: String,
+                table: String, show: String, precision: String
+            },
+            schema: {
+                func: ['mu', 'e', 'T', 'K', 'L', 'm', 'p', 'q'], age: STATUS_RULE, type: ['curtate', 'complete'],
+                time: null, defer: null, ...VALUE_SCHEMA
+            },
+            render(o) {
+                const func = o.func || 'e';
+                const age = o.age || 'x';
+
+                // tp_x and t|uq_x, the distribution of T_x, are <act-prob> symbols
+                if (func === 'p' || func === 'q') {
+                    return KINDS.prob.render({ ...o, type: func === 'q' ? 'mortality' : 'survival' });
+                }
+
+                let symbol;
+                let subscript = parseSubscript(age);
+                if (func === 'e') {
+                    // e_x, e̊_x and the temporary e̊_{x:n|}
+                    symbol = applyDecoration('e', o.type === 'complete' ? 'ring' : '');
+                    subscript = parseSubscript(age, { angleType: 'annuity' });
+                } else {
+                    symbol = createMathML('mi', {}, [func === 'mu' ? 'μ' : func]);
+                }
+
+                // Over n years: nL_x, nm_x
+                if (o.time && (func === 'L' || func === 'm')) {
+                    return createMathML('math', { display: 'inline' }, [
+                        createMathML('mmultiscripts', {}, [
+                            symbol,
+                            subscript,
+                            createMathML('none'),
+                            createMathML('mprescripts'),
+                            createMathML('mi', {}, [o.time]),
+                            createMathML('none')
+                        ])
+                    ]);
+                }
+
+                return createMathML('math', { display: 'inline' }, [indexedSymbol(symbol, subscript, null)]);
+            },
+            describe(o) {
+                const func = o.func || 'e';
+                if (func === 'p' || func === 'q') {
+                    return KINDS.prob.describe({ ...o, type: func === 'q' ? 'mortality' : 'survival' });
+                }
+                const age = o.age || 'x';
+                const over = o.time ? ` over ${yearsWords({ text: o.time })}` : '';
+                switch (func) {
+                    case 'mu': return `force of mortality at age ${ageWords(age)}`;
+                    case 'e': {
+                        const [life, ...terms] = age.split(':');
+                        const limit = terms.length ? `, limited to ${yearsWords(parseStatus(terms[0]))}` : '';
+                        return `${o.type === 'complete' ? 'complete' : 'curtate'} expectation of life at age ${ageWords(life)}${limit}`;
+                    }
+                    case 'T': return `future lifetime of ${statusWords(age)}`;
+                    case 'K': return `curtate future lifetime of ${statusWords(age)}`;
+                    case 'L': {
+                        const from = ageWords(age);
+                        return `years lived between ages ${from} and ${from} plus ${o.time || '1'}`;
+                    }
+                    case 'm': return `central death rate${over} at age ${ageWords(age)}`;
+                    default: return `${func} at age ${ageWords(age)}`;
+                }
+            },
+            toLatex(o) {
+                const func = o.func || 'e';
+                if (func === 'p' || func === 'q') {
+                    return KINDS.prob.toLatex({ ...o, type: func === 'q' ? 'mortality' : 'survival' });
+                }
+                if (func === 'e') {
+                    return latexMacro(o.type === 'complete' ? 'ex*' : 'ex', [], [latexStatus(o.age || 'x', { angleType: 'annuity' })]);
+                }
+                const time = func === 'L' || func === 'm' ? o.time : null;
+                return latexMacro('actsymb', [time], [func === 'mu' ? '\\mu' : func, latexStatus(o.age || 'x')]);
+            },
+            evaluate(o) {
+                const func = o.func || 'e';
+                if (func === 'p' || func === 'q') {
+                    return KINDS.prob.evaluate({ ...o, type: func === 'q' ? 'mortality' : 'survival' });
+                }
+                const [life, ...terms] = (o.age || 'x').split(':');
+                const age = lifeTableAge(resolveLifeTable(o.table), life);
+                const n = terms.length ? toNumber(terms[0]) : Infinity;
+                const t = o.time ? toNumber(o.time) : 1;
+                if (!age || terms.length > 1 || !(Number.isInteger(n) || n === Infinity) || !Number.isInteger(t)) return null;
+
+                const { table, x } = age;
+                switch (func) {
+                    case 'mu': return terms.length ? null : table.mu(x);
+                    case 'e': return o.type === 'complete' ? table.eComplete(x, n) : table.e(x, n);
+                    case 'L': return terms.length ? null : table.L(x, t);
+                    case 'm': return terms.length ? null : table.m(x, t);
+                    // T_x and K_x are random variables
+                    default: return null;
+                }
+            }
+        },
+
+        certain: {
+            tag: 'act-certain',
+            properties: {
+                func: String, type: String, term: String, rate: String, frequency: String,
+                interest: String, show: String, precision: String
+            },
+            schema: {
+                func: ['a', 's', 'v', 'i', 'd', 'delta'], type: ['immediate', 'due', 'continuous'], term: null,
+                rate: null, frequency: FREQUENCY_RULE, interest: RATE_RULE, show: VALUE_SCHEMA.show, precision: PRECISION_RULE
+            },
+            render(o) {
+                const func = o.func || 'a';
+                let symbol;
+
+                if (func === 'a' || func === 's') {
+                    // a_{n|}, with the rate (if any) after the angle: a_{n| i}
+                    const decorationMap = { 'due': 'ddot', 'continuous': 'bar', 'immediate': '' };
+                    const angle = createAngle(o.term || 'n', 'annuity');
+                    const subscript = o.rate ? createMathML('mrow', {}, [angle, createMathML('mi', {}, [o.rate])]) : angle;
+                    symbol = createMathML(o.frequency ? 'msubsup' : 'msub', {}, [
+                        applyDecoration(func, decorationMap[o.type || 'immediate']),
+                        subscript,
+                        o.frequency ? parseUpperRight(o.frequency) : null
+                    ]);
+                } else if (func === 'v') {
+                    const v = createMathML('mi', {}, ['v']);
+                    symbol = o.term ? createMathML('msup', {}, [v, renderExponent(o.term)]) : v;
+                } else {
+                    // Rates: i, d, δ, and the nominal i^(m), d^(m)
+                    const rate = createMathML('mi', {}, [func === 'delta' ? 'δ' : func]);
+                    symbol = o.frequency ? createMathML('msup', {}, [rate, parseUpperRight(o.frequency)]) : rate;
+                }
+
+                return createMathML('math', { display: 'inline' }, [symbol]);
+            },
+            describe(o) {
+                const func = o.func || 'a';
+                if (func === 'a' || func === 's') {
+                    const name = { 'due': 'annuity-certain-due', 'continuous': 'continuous annuity-certain' }[o.type] || 'annuity-certain';
+                    const rate = o.rate ? ` at ${o.rate}` : '';
+                    const value = func === 's' ? 'accumulated value' : 'present value';
+                    return `${value} of ${article(name)} for ${yearsWords({ text: o.term || 'n' })}${rate}${frequencyWords(o.frequency)}`;
+                }
+                if (func === 'v') return o.term ? `discount factor for ${yearsWords({ text: o.term })}` : 'discount factor';
+                if (func === 'delta') return 'force of interest';
+                const name = { 'i': 'interest', 'd': 'discount' }[func];
+                if (!name) return func;
+                return o.frequency ? `nominal rate of ${name} convertible ${timesAYear(o.frequency)}` : `effective rate of ${name}`;
+            },
+            toLatex(o) {
+                const func = o.func || 'a';
+                if (func === 'a' || func === 's') {
+                    const stars = { 'due': '*', 'continuous': '**' }[o.type] || '';
+                    const rate = o.rate ? ` ${o.rate.replace(/%/g, '\\%')}` : '';
+                    return latexMacro(`${func}x${stars}`, [], [`\\angl{${o.term || 'n'}}${rate}`], o.frequency);
+                }
+                if (func === 'v') return o.term ? `v^{${o.term}}` : 'v';
+                const rate = func === 'delta' ? '\\delta' : func;
+                return o.frequency ? `${rate}^{${o.frequency}}` : rate;
+            },
+            evaluate(o) {
+                // `interest` overrides the displayed rate, e.g. rate="i" interest="0.05"
+                const i = toRate(o.interest || o.rate);
+                const n = o.term ? toNumber(o.term) : (o.func === 'v' ? 1 : NaN);
+                const m = parseFrequency(o.frequency);
+                if (!Number.isFinite(i) || i <= -1 || !Number.isInteger(m) || m < 1) return null;
+                if (['a', 's', 'v'].includes(o.func || 'a') && !Number.isFinite(n)) return null;
+                return certainValue(o.func || 'a', { i, n, m, timing: o.type || 'immediate' });
+            }
+        }
+    };
+
+    // The corner each script of a scripted element sits in, by child position.
+    const SCRIPT_CORNERS = {
+        msub: [null, 'lr'],
+        msup: [null, 'ur'],
+        msubsup: [null, 'lr', 'ur'],
+        mmultiscripts: [null, 'lr', 'ur', null, 'll', 'ul']
+    };
+
+    const DECORATION_MARKS = ['¯', '¨', '°'];
+
+    function addPart(node, name) {
+        if (typeof node === 'string' || node.tag === 'none' || node.tag === 'mprescripts') return node;
+        const part = node.attrs.part ? `${name} ${node.attrs.part}` : name;
+        return { ...node, attrs: { ...node.attrs, part } };
+    }
+
+    /**
+     * Names the pieces of a rendered symbol with `part` attributes, so that
+     * pages can style them through ::part(): the main letter (symbol), its
+     * decoration, the four corners (lr, ur, ll, ul) and the angle (named by
+     * createAngle). `isBase` is set for the letters a symbol is built on.
+     */
+    function markParts(node, isBase = false) {
+        if (typeof node === 'string') return node;
+        const corners = SCRIPT_CORNERS[node.tag];
+        if (corners) {
+            const [base, ...scripts] = node.children;
+            return { ...node, children: [markParts(base, true), ...scripts.map((script, i) => (
+                corners[i + 1] ? addPart(script, corners[i + 1]) : script
+            ))] };
+        }
+        if (node.tag === 'mover' && node.children[0].tag === 'mi' && DECORATION_MARKS.includes(node.children[1].children[0])) {
+            const [letter, mark] = node.children;
+            return { ...node, children: [isBase ? addPart(letter, 'symbol') : letter, addPart(mark, 'decoration')] };
+        }
+        if (node.tag === 'mi') return isBase ? addPart(node, 'symbol') : node;
+        const inBase = isBase && node.tag === 'mrow';
+        return { ...node, children: node.children.map(child => markParts(child, inBase || node.tag === 'math')) };
+    }
+
+    /**
+     * Renders a symbol description to a MathML node tree.
+     *
+     * With `show: 'value'` or `show: 'both'` the symbol's numeric value (see
+     * the kind's `evaluate`) replaces or follows the symbol, as long as it can
+     * be computed; `precision` sets the significant digits (default 6).
+     * With `strict` (or the global `strict` option) a description with
+     * invalid options throws, with the problems in `error.diagnostics`.
+     *
+     * @param {Object} spec - `kind` (e.g. 'annuity') plus the kind's options,
+     *   using the camelCase property names: { kind: 'annuity', age: 'x:n', type: 'due' }
+     */
+    function render(spec) {
+        const kind = KINDS[spec && spec.kind];
+        if (!kind) {
+            throw new Error(`Unknown actuarial symbol kind: ${spec && spec.kind}`);
+        }
+        if (isStrict(spec)) {
+            const diagnostics = validateSpec(spec);
+            if (diagnostics.length) throw validationError(diagnostics);
+        }
+        const math = placePrecedence(
+            styleAngles(markParts(kind.render(spec)), resolveAngleStyle(spec.angleStyle)),
+            resolveNotation(spec.notation)
+        );
+        const speech = describe(spec);
+        const show = spec.show || 'symbol';
+        const value = show !== 'symbol' && kind.evaluate ? kind.evaluate(spec) : null;
+        if (value == null || !Number.isFinite(value)) {
+            return createMathML('math', { ...math.attrs, alttext: speech }, math.children);
+        }
+
+        const text = formatNumber(value, spec.precision);
+        const number = createMathML('mn', { part: 'value' }, [text]);
+        const children = show === 'value' ? [number] : [...math.children, createMathML('mo', {}, ['=']), number];
+        const alttext = spec.alttext || (show === 'value' ? text : `${speech} equals ${text}`);
+        return createMathML('math', { ...math.attrs, alttext }, children);
+    }
+
+    /**
+     * The words a screen reader says for a symbol description, e.g.
+     * "annuity-due on a life aged x for n years, payable monthly". An
+     * `alttext` option replaces them.
+     */
+    function describe(spec) {
+        const kind = KINDS[spec && spec.kind];
+        if (!kind) {
+            throw new Error(`Unknown actuarial symbol kind: ${spec && spec.kind}`);
+        }
+        return spec.alttext || kind.describe(spec);
+    }
+
+    /**
+     * The numeric value of a symbol description, or null if its kind cannot
+     * be evaluated or its options (ages, table, rate) are not numeric.
+     */
+    function evaluate(spec) {
+        const kind = KINDS[spec && spec.kind];
+        if (!kind || !kind.evaluate) return null;
+        const value = kind.evaluate(spec);
+        return value == null || !Number.isFinite(value) ? null : value;
+    }
+
+    /**
+     * Renders a symbol description to a MathML string, e.g. for static-site
+     * builds or Node report generators. Options: `xmlns` (boolean) and
+     * `renderer` ('mathml', 'html' or 'auto'; overrides `spec.renderer`).
+     */
+    function renderToString(spec, options = {}) {
+        const renderer = resolveRenderer(options.renderer || spec.renderer);
+        return toMathMLString(renderer === 'html' ? toHTML(render(spec)) : render(spec), options);
+    }
+
+    /**
+     * Renders a symbol description to a <math> DOM element, or to a <span>
+     * with the HTML renderer (see renderToString for the options).
+     */
+    function renderToDOM(spec, doc = document, options = {}) {
+        return renderToNode(render(spec), doc, options.renderer || spec.renderer);
+    }
+
+    // Materializes a rendered <math> tree with the given renderer.
+    function renderToNode(math, doc, renderer) {
+        return resolveRenderer(renderer) === 'html' ? toHTMLDOM(toHTML(math), doc) : toDOM(math, doc);
+    }
+
+    /**
+     * Creates the act-* element for a symbol description, with the
+     * description's options set as attributes.
+     */
+    function createElement(spec, doc = document) {
+        const kind = KINDS[spec && spec.kind];
+        if (!kind) {
+            throw new Error(`Unknown actuarial symbol kind: ${spec && spec.kind}`);
+        }
+        const el = doc.createElement(kind.tag);
+        Object.entries({ ...kind.properties, ...COMMON_PROPERTIES }).forEach(([prop, type]) => {
+            const value = spec[prop];
+            if (value == null || value === false || value === '') return;
+            const attr = toAttributeName(prop);
+            if (type === Boolean) el.setAttribute(attr, '');
+            else if (type === Array && typeof value !== 'string') el.setAttribute(attr, JSON.stringify(value));
+            else el.setAttribute(attr, String(value));
+        });
+        return el;
+    }
+
+    // ===========================================================================
+    // LATEX IMPORT / EXPORT (actuarialsymbol package)
+    // ===========================================================================
+
+    // \bar{A}, \ddot{a}, \mathring{e} <-> the `decoration` option
+    const LATEX_DECORATIONS = { 'bar': 'bar', 'overline': 'bar', 'ddot': 'ddot', 'mathring': 'ring', 'ring': 'ring' };
+    const DECORATION_MACROS = { 'bar': 'bar', 'ddot': 'ddot', 'ring': 'mathring' };
+
+    // Shortcut macros: the main symbol, and its decoration by number of stars.
+    const LATEX_SHORTCUTS = {
+        'Ax': { symbol: 'A', decorations: ['', 'bar'] },
+        'ax': { symbol: 'a', decorations: ['', 'ddot', 'bar'] },
+        'sx': { symbol: 's', decorations: ['', 'ddot', 'bar'] },
+        'Ex': { symbol: 'E', decorations: [''] },
+        'px': { symbol: 'p', decorations: [''] },
+        'qx': { symbol: 'q', decorations: [''] },
+        'ex': { symbol: 'e', decorations: ['', 'ring'] }
+    };
+
+    // Writes a macro call, dropping trailing empty optional arguments.
+    function latexMacro(name, optionals, args, upperRight) {
+        const opts = optionals.map(opt => opt || '');
+        while (opts.length && !opts[opts.length - 1]) opts.pop();
+        return `\\${name}`
+            + opts.map(opt => `[${opt}]`).join('')
+            + args.map(arg => `{${arg}}`).join('')
+            + (upperRight ? `[${upperRight}]` : '');
+    }
+
+    // Symbols written as macros: \mu
+    const LATEX_SYMBOLS = { 'mu': 'μ' };
+
+    function latexDecorate(symbol, decoration) {
+        const name = Object.keys(LATEX_SYMBOLS).find(key => LATEX_SYMBOLS[key] === symbol);
+        const text = name ? `\\${name}` : symbol;
+        const macro = DECORATION_MACROS[decoration];
+        return macro ? `\\${macro}{${text}}` : text;
+    }
+
+    // The upper-right index of decrement="j" or state-from="0" state-to="1": (j), 01
+    function latexDecrementIndex({ decrement, stateFrom, stateTo }) {
+        if (stateFrom || stateTo) return `${stateFrom || ''}${stateTo || ''}`;
+        if (!decrement) return null;
+        const name = decrementName(decrement);
+        return `(${name === 'τ' ? '\\tau' : name})`;
+    }
+
+    // Reads that index back: "(j)", "(\tau)" or two states such as "01"; null otherwise.
+    function readLatexDecrementIndex(text) {
+        const bracketed = /^\((.+)\)$/.exec(text || '');
+        if (bracketed) return { decrement: bracketed[1] === '\\tau' ? 'tau' : bracketed[1] };
+        const states = /^(\w)(\w)$/.exec(text || '');
+        return states ? { stateFrom: states[1], stateTo: states[2] } : null;
+    }
+
+    // The \actsymb symbol of a varying benefit: (I\bar{A}), (I^{(m)}\ddot{a}^{(12)})
+    function latexVariation(symbol, decoration, model) {
+        const power = text => (text ? `^{${text}}` : '');
+        const letter = latexDecorate(VARIATIONS[model.variation], model.variationType === 'continuous' ? 'bar' : '');
+        return `(${letter}${power(model.variationFrequency)}${latexDecorate(symbol, decoration)}${power(model.frequency)})`;
+    }
+
+    // Writes a term (the part after ':') with \angl where the renderer draws an angle.
+    function latexTerm(part, angleType = 'none') {
+        return angleType !== 'none' && isDuration(part) ? `\\angl{${part.trim()}}` : part;
+    }
+
+    /**
+     * Writes a status in actuarialsymbol form: `x:n` becomes `x:\angl{n}`,
+     * precedence numbers become \nthtop/\nthbottom and last-survivor groups
+     * are wrapped in \joint. Takes the same options as parseSubscript.
+     */
+    function latexStatus(text, options = {}) {
+        if (!String(text).trim()) return text;
+        return latexStatusNode(applyStatusOptions(parseStatus(text), options), options.angleType || 'none');
+    }
+
+    function latexStatusNode(node, angleType) {
+        switch (node.type) {
+            case 'reversion':
+                return node.parts.map(part => latexStatusNode(part, angleType)).join('|');
+            case 'chain':
+                return node.parts.map((part, i) => (i > 0 && angleType !== 'none' && isDuration(part.text) && part.type !== 'angle'
+                    ? `\\angl{${latexStatusNode(part, 'none')}}`
+                    : latexStatusNode(part, angleType))).join(':');
+            case 'group':
+                return node.parts.map(part => latexStatusNode(part, angleType)).join('');
+            case 'overline':
+                return `\\joint{${latexStatusNode(node.body, angleType)}}`;
+            case 'precedence':
+                return `\\${node.top ? 'nthtop' : 'nthbottom'}{${node.num}}{${latexStatusNode(node.body, angleType)}}`;
+            case 'angle':
+                return `\\angl{${latexStatusNode(node.body, 'none')}}`;
+            default:
+                return latexLife(node);
+        }
+    }
+
+    function latexLife(life) {
+        return life.terms.map(term => {
+            if (term.op) return term.op;
+            const base = term.select ? `[${latexLife(term.select)}]` : (term.number || term.letter);
+            return term.index ? `${base}_{${term.index}}` : base;
+        }).join('');
+    }
+
+    // Writes the benefit inside P(...) or V(...).
+    function latexBenefit(benefit, age, continuous) {
+        const status = latexStatus(age, { angleType: 'insurance' });
+        if (benefit === 'A') return latexMacro(continuous ? 'Ax*' : 'Ax', [], [status]);
+        if (benefit === 'a') return latexMacro(continuous ? 'ax**' : 'ax', [], [status]);
+        return latexMacro('actsymb', [], [latexDecorate(benefit, continuous ? 'bar' : ''), status]);
+    }
+
+    // A premium or reserve for the benefit A written with its status, as
+    // notations other than soa draw it: \actsymb[t]{P}{x:\angl{n}}
+    function latexStatusBenefit(letter, duration, age) {
+        return latexMacro('actsymb', [duration], [letter, latexStatus(age, { angleType: 'insurance' })]);
+    }
+
+    /**
+     * Reads LaTeX macro calls: names, stars, [optional] and {mandatory}
+     * arguments, keeping braces balanced.
+     */
+    class LatexReader {
+        constructor(source) {
+            this.source = source;
+            this.pos = 0;
+        }
+
+        peek() {
+            while (this.pos < this.source.length && /\s/.test(this.source[this.pos])) this.pos++;
+            return this.source[this.pos];
+        }
+
+        atEnd() {
+            return this.peek() === undefined;
+        }
+
+        error(message) {
+            return new Error(`Invalid actuarial LaTeX "${this.source}" at position ${this.pos}: ${message}`);
+        }
+
+        readMacro() {
+            if (this.peek() !== '\\') throw this.error('expected a macro');
+            const match = /^\\([a-zA-Z]+|.)/.exec(this.source.slice(this.pos));
+            if (!match) throw this.error('expected a macro name');
+            this.pos += match[0].length;
+            return match[1];
+        }
+
+        readStars() {
+            let count = 0;
+            while (this.source[this.pos] === '*') {
+                count++;
+                this.pos++;
+            }
+            return count;
+        }
+
+        // Reads up to the closing delimiter, skipping escaped characters and
+        // anything nested in braces.
+        readUntil(close) {
+            const start = this.pos;
+            let depth = 0;
+            while (this.pos < this.source.length) {
+                const c = this.source[this.pos];
+                if (c === '\\') {
+                    this.pos += 2;
+                    continue;
+                }
+                if (c === close && depth === 0) {
+                    this.pos++;
+                    return this.source.slice(start, this.pos - 1);
+                }
+                if (c === '{') depth++;
+                else if (c === '}') depth--;
+                this.pos++;
+            }
+            throw this.error(`missing "${close}"`);
+        }
+
+        readOptional() {
+            if (this.peek() !== '[') return null;
+            this.pos++;
+            return this.readUntil(']');
+        }
+
+        // A {group}, or a single character or macro as in TeX.
+        readGroup() {
+            const c = this.peek();
+            if (c === undefined) throw this.error('missing argument');
+            if (c === '\\') {
+                const start = this.pos;
+                this.readMacro();
+                return this.source.slice(start, this.pos);
+            }
+            this.pos++;
+            return c === '{' ? this.readUntil('}') : c;
+        }
+    }
+
+    // Strips the braces and layout-only macros from a script: "{}_{n}" -> "n".
+    function latexText(source) {
+        return source.replace(/\\(?:,|;|!|\s)/g, '').replace(/[{}\s]/g, '');
+    }
+
+    // Lives in the status text read so far, for the position of a precedence number.
+    function countLives(text) {
+        const plain = text.replace(/\\overline\{/g, '').replace(/[{}]/g, '');
+        try {
+            return plain ? statusLives(parseStatus(plain)).length : 0;
+        } catch (e) {
+            return (plain.match(/[a-z]/gi) || []).length;
+        }
+    }
+
+    /**
+     * Reads a status argument into `state`: its text in status-expression
+     * form (`x:n`, `\overline{xy}z`), the precedence numbers on lives and a
+     * precedence number on the term (pure endowment).
+     */
+    function readLatexStatus(source, state) {
+        const reader = new LatexReader(source);
+        while (!reader.atEnd()) {
+            const c = reader.peek();
+            if (c === '\\') {
+                const name = reader.readMacro();
+                if (name === 'angl') {
+                    if (state.angleStart === undefined) state.angleStart = state.text.length;
+                    readLatexStatus(reader.readGroup(), state);
+                    if (state.angleEnd === undefined) state.angleEnd = state.text.length;
+                } else if (name === '%') {
+                    state.text += '%';
+                } else if (name === 'joint' || name === 'overline') {
+                    state.text += '\\overline{';
+                    readLatexStatus(reader.readGroup(), state);
+                    state.text += '}';
+                } else if (name === 'nthtop' || name === 'nthbottom') {
+                    const num = latexText(reader.readGroup());
+                    const prec = { pos: countLives(state.text), num: /^\d+$/.test(num) ? Number(num) : num };
+                    if (name === 'nthbottom') prec.top = false;
+                    if (state.text.includes(':')) state.termPrecedence = prec;
+                    else state.precedence.push(prec);
+                    readLatexStatus(reader.readGroup(), state);
+                } else {
+                    throw reader.error(`unsupported macro \\${name} in status`);
+                }
+            } else if (c === '{') {
+                readLatexStatus(reader.readGroup(), state);
+            } else if (c === '}') {
+                throw reader.error('unbalanced "}"');
+            } else {
+                state.text += c;
+                reader.pos++;
+            }
+        }
+        return state;
+    }
+
+    // Reads a varying annuity or insurance symbol, e.g. "(I\bar{A})" or
+    // "(\bar{I}^{(m)}\ddot{a}^{(12)})"; null for anything else.
+    function readLatexVariation(source) {
+        const match = /^\(\s*(?:\\bar\s*\{\s*([ID])\s*\}|([ID]))\s*(?:\^\{([^{}]*)\})?(.*?)(?:\^\{([^{}]*)\})?\s*\)$/s.exec(source.trim());
+        if (!match) return null;
+        const { symbol, decoration } = readLatexSymbol(match[4].trim());
+        if (symbol !== 'a' && symbol !== 'A') return null;
+        return {
+            symbol,
+            decoration,
+            frequency: match[5] ? latexText(match[5]) : null,
+            variation: (match[1] || match[2]) === 'I' ? 'increasing' : 'decreasing',
+            variationType: match[1] ? 'continuous' : null,
+            variationFrequency: match[3] ? latexText(match[3]) : null
+        };
+    }
+
+    // Reads the main symbol of \actsymb, e.g. "\ddot{a}".
+    function readLatexSymbol(source) {
+        const reader = new LatexReader(source);
+        let decoration = '';
+        let symbol = source.trim();
+        if (reader.peek() === '\\') {
+            const name = reader.readMacro();
+            if (LATEX_SYMBOLS[name] && reader.atEnd()) return { symbol: LATEX_SYMBOLS[name], decoration };
+            if (!LATEX_DECORATIONS[name]) throw reader.error(`unsupported symbol macro \\${name}`);
+            decoration = LATEX_DECORATIONS[name];
+            symbol = latexText(reader.readGroup());
+        }
+        return { symbol, decoration };
+    }
+
+    /**
+     * Maps a four-corner description read from a shortcut macro onto the most
+     * specific kind that renders it, falling back to the generic symbol.
+     */
+    function specializeLatexSymbol(parts) {
+        const { ll, ul, symbol, decoration, status, ur } = parts;
+        const [age, ...terms] = status.text.split(':');
+        const plain = !ul && status.precedence.length === 0 && !status.termPrecedence;
+
+        // \ax{\angl{n}}, \sx*{\angl{n} i}: an annuity-certain, with an optional rate after the angle
+        if ((symbol === 'a' || symbol === 's') && plain && !ll && status.angleStart === 0 && !status.text.includes(':')) {
+            const type = { 'ddot': 'due', 'bar': 'continuous' }[decoration] || 'immediate';
+            const rate = status.text.slice(status.angleEnd).trim();
+            return { kind: 'certain', func: symbol, type, term: status.text.slice(0, status.angleEnd).trim(), rate: rate || null, frequency: ur || null };
+        }
+
+        if (symbol === 'a' && plain && (!ll || ll.endsWith('|'))) {
+            const type = { 'ddot': 'due', 'bar': 'continuous' }[decoration] || 'immediate';
+            return { kind: 'annuity', age: status.text, type, defer: ll ? ll.slice(0, -1) : null, frequency: ur || null };
+        }
+
+        // \Ax[n]{x:n}, as a pure endowment is drawn
+        if (symbol === 'A' && ll && !ll.includes('|') && plain && !ur && terms.length === 1 && terms[0] === ll) {
+            return { kind: 'insurance', age, term: ll, type: 'pure-endowment', payment: decoration === 'bar' ? 'continuous' : null };
+        }
+
+        if (symbol === 'A' && !ul && (!ll || ll.endsWith('|'))) {
+            const payment = decoration === 'bar' ? 'continuous' : null;
+            const defer = ll ? ll.slice(0, -1) : null;
+            if (!ll && status.termPrecedence && status.precedence.length === 0 && terms.length === 1) {
+                return { kind: 'insurance', age, term: terms[0], type: 'pure-endowment', payment };
+            }
+            const firstLifeOnly = status.precedence.length === 1 && status.precedence[0].pos === 0
+                && String(status.precedence[0].num) === '1' && status.precedence[0].top !== false;
+            if (terms.length && !status.termPrecedence && (firstLifeOnly || (ur === '1' && !status.precedence.length))) {
+                return { kind: 'insurance', age: status.text, type: 'term', payment, defer };
+            }
+            if (plain) {
+                const type = terms.length && status.angle ? 'endowment' : 'whole';
+                return { kind: 'insurance', age: status.text, type, payment, frequency: ur || null, defer };
+            }
+        }
+
+        // q_x^(j), tp_x^01, μ_x^(j): multiple-decrement and multi-state symbols
+        const index = ur ? readLatexDecrementIndex(ur) : {};
+        if ((symbol === 'p' || symbol === 'q') && !decoration && index && plain) {
+            const [defer, time] = ll && ll.includes('|') ? ll.split('|') : [null, ll || ''];
+            return { kind: 'prob', age: status.text, time, defer, type: symbol === 'q' ? 'mortality' : 'survival', ...index };
+        }
+        if (symbol === 'μ' && !decoration && !ll && index && plain) {
+            return { kind: 'prob', age: status.text, type: 'force', ...index };
+        }
+        if ((symbol === 'l' || symbol === 'd') && !decoration && !ll && index && !index.stateFrom && plain) {
+            return { kind: 'count', func: symbol, age: status.text, ...index };
+        }
+
+        // e_x, e̊_{x:n|}, T_x, K_x, nL_x, nm_x
+        if (symbol === 'e' && (!decoration || decoration === 'ring') && !ll && !ur && plain) {
+            return { kind: 'lifetime', func: 'e', age: status.text, type: decoration ? 'complete' : null };
+        }
+        if (['T', 'K', 'L', 'm'].includes(symbol) && !decoration && (!ll || symbol === 'L' || symbol === 'm') && !ur && plain) {
+            return { kind: 'lifetime', func: symbol, age: status.text, time: ll || null };
+        }
+
+        return symbolFromLatexParts(parts);
+    }
+
+    function symbolFromLatexParts(parts) {
+        const { ll, ul, p, symbol, decoration, status, ur } = parts;
+        if (status.termPrecedence) {
+            throw new Error(`Precedence numbers on a term are only supported for \\Ax: "${status.text}"`);
+        }
+        return {
+            kind: 'symbol',
+            ll: ll || null,
+            ul: ul || null,
+            p: p || null,
+            symbol,
+            decoration: decoration || null,
+            lr: angledStatusText(status),
+            ur: ur || null,
+            precedence: status.precedence.length ? status.precedence : null
+        };
+    }
+
+    // The status text of a lower-right script, keeping the angle of a lone
+    // term (a_{n|}) that the ':' of x:n does not imply: \angl{n}
+    function angledStatusText(status) {
+        if (status.angleStart !== 0 || status.text.includes(':')) return status.text;
+        return `\\angl{${status.text.slice(0, status.angleEnd)}}${status.text.slice(status.angleEnd)}`;
+    }
+
+    // P(\Ax{x}), {}_{k}V(\ax*{x:\angl{n}}), \bar{P}(...)
+    function parseLatexBenefitSymbol(source) {
+        const match = /^(?:\{\}_(\{[^{}]*\}|\w)\s*)?(?:\\bar\s*\{\s*([PV])\s*\}|\\bar\s*([PV])|([PV]))\s*\((.*)\)$/s.exec(source);
+        if (!match) return null;
+        const duration = match[1] ? latexText(match[1]) : null;
+        const letter = match[2] || match[3] || match[4];
+        const continuous = Boolean(match[2] || match[3]);
+        const spec = benefitSymbol(letter, continuous, duration, parseLatex(match[5]));
+        if (!spec) throw new Error(`Unsupported benefit in "${source}"`);
+        return spec;
+    }
+
+    // The premium (P) or reserve (V) for the benefit described by `inner`;
+    // null when it is not an insurance, annuity or generic symbol.
+    function benefitSymbol(letter, continuous, duration, inner) {
+        let benefit;
+        let age;
+        if (inner.kind === 'insurance') {
+            benefit = 'A';
+            age = inner.term && !inner.age.includes(':') ? `${inner.age}:${inner.term}` : inner.age;
+        } else if (inner.kind === 'annuity') {
+            benefit = 'a';
+            age = inner.age;
+        } else if (inner.kind === 'symbol') {
+            benefit = inner.symbol;
+            age = inner.lr;
+        } else {
+            return null;
+        }
+        return {
+            kind: letter === 'P' ? 'premium' : 'reserve',
+            benefit,
+            age,
+            duration,
+            payment: continuous ? 'continuous' : null
+        };
+    }
+
+    // \actsymb[t]{P}{x:\angl{n}} and \actsymb[k]{\bar{V}}{x}, as toLatex writes
+    // premiums and reserves in notations that draw them with the status
+    function isStatusBenefit({ ll, ul, p, symbol, decoration, status, ur }) {
+        return (symbol === 'P' || (symbol === 'V' && Boolean(ll))) && (!decoration || decoration === 'bar')
+            && !ul && !p && !ur && !(ll && ll.includes('|'))
+            && Boolean(status.text) && !status.precedence.length && !status.termPrecedence;
+    }
+
+    /**
+     * Parses an actuarialsymbol macro call into a symbol description that
+     * render(), renderToString() and createElement() accept.
+     *
+     * Supports \actsymb[ll][ul][P]{symbol}{lr}[ur], the shortcuts \Ax, \ax,
+     * \sx, \Ex, \px, \qx, \ex (with their starred variants), P(...)/V(...)
+     * and \actsymb{P}{x} for premiums and reserves, commutation functions such as D_{x},
+     * decrement and transition indices such as \qx{x}[(j)] and
+     * \actsymb{\mu}{x}[01], and, inside statuses, \angl{n}, \joint{xy},
+     * \nthtop{1}{x} and \nthbottom{2}{y}.
+     *
+     * @example parseLatex('\\ax**{x:\\angl{n}}')
+     *   // -> { kind: 'annuity', age: 'x:n', type: 'continuous', ... }
+     */
+    function parseLatex(source) {
+        const text = String(source).trim();
+
+        const benefitSymbol = parseLatexBenefitSymbol(text);
+        if (benefitSymbol) return benefitSymbol;
+
+        const commute = /^([DNCMSR])_(?:\{([^{}]*)\}|(\w))$/.exec(text);
+        if (commute) return { kind: 'commute', func: commute[1], age: commute[2] || commute[3] };
+
+        // v^{n}, i^{(m)}, d, \delta
+        const certain = /^(v|i|d|\\delta)(?:\^(?:\{([^{}]*)\}|(\w)))?$/.exec(text);
+        if (certain) {
+            const func = certain[1] === '\\delta' ? 'delta' : certain[1];
+            const sup = certain[2] || certain[3] || null;
+            return func === 'v' ? { kind: 'certain', func, term: sup } : { kind: 'certain', func, frequency: sup };
+        }
+
+        const reader = new LatexReader(text);
+        const name = reader.readMacro();
+        const stars = reader.readStars();
+        let spec;
+
+        if (name === 'actsymb') {
+            const optionals = [reader.readOptional(), reader.readOptional(), reader.readOptional()];
+            const symbolSource = reader.readGroup();
+            const statusSource = reader.readGroup();
+            const status = readLatexStatus(statusSource, { text: '', precedence: [] });
+            const parts = {
+                ll: optionals[0] && latexText(optionals[0]),
+                ul: optionals[1] && latexText(optionals[1]),
+                p: optionals[2] && latexText(optionals[2]),
+                ...readLatexSymbol(symbolSource),
+                status,
+                ur: latexText(reader.readOptional() || '')
+            };
+            // (IA), (D\ddot{a}): an increasing or decreasing annuity/insurance,
+            // with the 1 of term insurance in the upper right
+            const varying = !parts.p && (!parts.ur || parts.ur === '1') && readLatexVariation(symbolSource);
+            if (varying) {
+                status.angle = statusSource.includes('\\angl');
+                const { variation, variationType, variationFrequency, frequency, symbol, decoration } = varying;
+                spec = specializeLatexSymbol({ ...parts, symbol, decoration, ur: parts.ur || frequency });
+                if ((spec.kind === 'annuity' || spec.kind === 'insurance') && (!parts.ur || spec.type === 'term')) {
+                    Object.assign(spec, { variation, variationType, variationFrequency });
+                } else {
+                    spec = symbolFromLatexParts(parts);
+                }
+            } else if (isStatusBenefit(parts)) {
+                // \actsymb[t]{P}{x}, \actsymb[k]{V}{x}: a premium or reserve written with its status
+                spec = {
+                    kind: parts.symbol === 'P' ? 'premium' : 'reserve',
+                    benefit: 'A',
+                    age: status.text,
+                    duration: parts.ll || null,
+                    payment: parts.decoration === 'bar' ? 'continuous' : null
+                };
+            } else if (!parts.p && ['μ', 'l', 'd', 'T', 'K', 'L', 'm'].includes(parts.symbol)) {
+                // \actsymb{\mu}{x}[01], \actsymb{l}{x}[(\tau)], \actsymb[n]{L}{x}: symbols without a shortcut macro
+                spec = specializeLatexSymbol(parts);
+            } else {
+                spec = symbolFromLatexParts(parts);
+            }
+        } else if (LATEX_SHORTCUTS[name]) {
+            const shortcut = LATEX_SHORTCUTS[name];
+            if (stars >= shortcut.decorations.length) throw reader.error(`too many stars on \\${name}`);
+            const ll = reader.readOptional();
+            const ul = reader.readOptional();
+            const statusSource = reader.readGroup();
+            const status = readLatexStatus(statusSource, { text: '', precedence: [] });
+            status.angle = statusSource.includes('\\angl');
+            spec = specializeLatexSymbol({
+                ll: ll && latexText(ll),
+                ul: ul && latexText(ul),
+                symbol: shortcut.symbol,
+                decoration: shortcut.decorations[stars],
+                status,
+                ur: latexText(reader.readOptional() || '')
+            });
+        } else {
+            throw reader.error(`unsupported macro \\${name}`);
+        }
+
+        if (!reader.atEnd()) throw reader.error('unexpected trailing input');
+        return spec;
+    }
+
+    /**
+     * Writes the actuarialsymbol macro call for a symbol description.
+     */
+    function toLatex(spec) {
+        const kind = KINDS[spec && spec.kind];
+        if (!kind || !kind.toLatex) {
+            throw new Error(`Cannot write LaTeX for actuarial symbol kind: ${spec && spec.kind}`);
+        }
+        return kind.toLatex(spec);
+    }
+
+    /**
+     * Renders an actuarialsymbol macro call straight to a MathML string.
+     */
+    function latexToMathML(source, options = {}) {
+        return renderToString(parseLatex(source), { ...options, renderer: 'mathml' });
+    }
+
+    // ===========================================================================
+    // EQUATIONS
+    // ===========================================================================
+
+    /*
+     * An equation (<act-equation>) is written in a compact shorthand that
+     * mixes actuarial symbols with operators, e.g. P(A_x) * ä_x = A_x or
+     * ä_x = sum_{k=0}^{oo} v^k {}_kp_x. It is parsed into a small tree:
+     *
+     *   relation := sum (rel sum)*                  = ≈ ≠ < > <= >= ≤ ≥ ,
+     *   sum      := ('+' | '-')? term (('+' | '-' | '±') term)*
+     *   term     := factor (('*' | '×')? factor)*   side by side is a product
+     *   factor   := big | primary ('/' primary)*    a/b is a fraction
+     *   big      := ('sum' | 'prod' | 'int') scripts term
+     *   primary  := number | '(' relation ')' | '[' relation ']' | '{' relation '}'
+     *             | ('(' relation ')' | '[' relation ']') scripts
+     *             | 'frac' '{' relation '}' '{' relation '}'
+     *             | symbol | macro                  \ax*{x:\angl{n}} and the other actuarialsymbol macros
+     *   symbol   := ('{}' scripts)? letter scripts  {}_kp_x, ä_{x:n}^{(12)}, v^k
+     *             | ('{}' scripts)? ('P' | 'V') '(' symbol ')'    P(A_x), {}_kV(A_{x:n})
+     *   scripts  := ('_' script | '^' script)*
+     *   script   := '{' text '}' | '(' text ')' | number | letter
+     *
+     * A letter is a single letter, which may carry a bar, dots or ring (ā,
+     * Ā, ä, e̊, or \bar{A} as in LaTeX), or a name such as mu, delta or oo
+     * (∞). Symbols that an act-* component draws, such as ä_x or {}_tp_x,
+     * become that component's symbol; any other letter is a plain identifier
+     * whose scripts are themselves parsed as equations.
+     *
+     * Nodes are { type: 'row', items }, { type: 'symbol', spec },
+     * { type: 'identifier', text, decoration }, { type: 'number', text },
+     * { type: 'operator', text }, { type: 'group', open, close, body },
+     * { type: 'fraction', num, den }, { type: 'big', op, under, over, body }
+     * and { type: 'scripts', base, ll, ul, lr, ur }.
+     */
+
+    const EQUATION_NAMES = {
+        alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', theta: 'θ', lambda: 'λ', mu: 'μ',
+        pi: 'π', sigma: 'σ', tau: 'τ', omega: 'ω', infty: '∞', oo: '∞'
+    };
+
+    const EQUATION_OPERATOR_NAMES = {
+        cdot: '⋅', times: '×', pm: '±', le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈'
+    };
+
+    const BIG_OPERATORS = { sum: '∑', prod: '∏', int: '∫' };
+
+    // Math symbols written as they are, which stand where a letter can
+    const EQUATION_SYMBOLS = ['∞', '∂', '∇', '′'];
+
+    // Operators as typed -> as drawn
+    const EQUATION_OPERATORS = {
+        '<=': '≤', '>=': '≥', '!=': '≠', '=': '=', '≈': '≈', '≠': '≠', '<': '<', '>': '>', '≤': '≤', '≥': '≥', ',': ',',
+        '+': '+', '-': '−', '−': '−', '±': '±', '*': '⋅', '·': '⋅', '⋅': '⋅', '×': '×'
+    };
+    const RELATIONS = ['=', '≈', '≠', '<', '>', '≤', '≥', ','];
+    const SUM_OPERATORS = ['+', '−', '±'];
+    const PRODUCT_OPERATORS = ['⋅', '×'];
+    const INVISIBLE_TIMES = '\u2062';
+
+    // Combining marks on a letter -> its decoration
+    const COMBINING_DECORATIONS = { '\u0304': 'bar', '\u0305': 'bar', '\u0308': 'ddot', '\u030A': 'ring' };
+
+    class EquationParser {
+        constructor(source) {
+            this.source = String(source);
+            this.pos = 0;
+        }
+
+        error(message) {
+            return new Error(`Invalid equation "${this.source}" at position ${this.pos}: ${message}`);
+        }
+
+        peek() {
+            while (this.pos < this.source.length && /\s/.test(this.source[this.pos])) this.pos++;
+            return this.source[this.pos];
+        }
+
+        parse() {
+            const node = this.relation();
+            if (this.peek() !== undefined) throw this.error(`unexpected "${this.peek()}"`);
+            return node;
+        }
+
+        // The operator at the current position, drawn form; null if none
+        operator() {
+            this.peek();
+            const two = this.source.slice(this.pos, this.pos + 2);
+            if (EQUATION_OPERATORS[two] && two.length === 2) return { text: EQUATION_OPERATORS[two], length: 2 };
+            const one = this.source[this.pos];
+            if (EQUATION_OPERATORS[one]) return { text: EQUATION_OPERATORS[one], length: 1 };
+            const name = this.peekName();
+            if (name && EQUATION_OPERATOR_NAMES[name.name]) return { text: EQUATION_OPERATOR_NAMES[name.name], length: name.length };
+            return null;
+        }
+
+        // A name at the current position: \name, or a run of letters that is a
+        // known name (mu, sum, frac, ...).
+        peekName() {
+            this.peek();
+            const match = /^\\?([a-zA-Z]+)/.exec(this.source.slice(this.pos));
+            if (!match) return null;
+            const name = match[1];
+            const known = EQUATION_NAMES[name] || EQUATION_OPERATOR_NAMES[name] || BIG_OPERATORS[name] || name === 'frac';
+            if (!known && !match[0].startsWith('\\')) return null;
+            return { name, length: match[0].length, macro: match[0].startsWith('\\') };
+        }
+
+        // Reads operands separated by any of `operators` into a row.
+        list(operators, next, leading = false) {
+            const items = [];
+            const op = this.operator();
+            if (leading && op && operators.includes(op.text)) {
+                this.pos += op.length;
+                items.push({ type: 'operator', text: op.text });
+            }
+            items.push(next());
+            for (let op = this.operator(); op && operators.includes(op.text); op = this.operator()) {
+                this.pos += op.length;
+                items.push({ type: 'operator', text: op.text }, next());
+            }
+            return items.length === 1 ? items[0] : { type: 'row', items };
+        }
+
+        relation() {
+            return this.list(RELATIONS, () => this.sum());
+        }
+
+        sum() {
+            return this.list(SUM_OPERATORS, () => this.term(), true);
+        }
+
+        term() {
+            const items = [this.factor()];
+            for (;;) {
+                const op = this.operator();
+                if (op && PRODUCT_OPERATORS.includes(op.text)) {
+                    this.pos += op.length;
+                    items.push({ type: 'operator', text: op.text }, this.factor());
+                } else if (!op && this.startsPrimary()) {
+                    items.push({ type: 'operator', text: INVISIBLE_TIMES }, this.factor());
+                } else {
+                    break;
+                }
+            }
+            return items.length === 1 ? items[0] : { type: 'row', items };
+        }
+
+        startsPrimary() {
+            const c = this.peek();
+            return c !== undefined && (/[\d.({[\\]/.test(c) || /\p{L}/u.test(c) || EQUATION_SYMBOLS.includes(c));
+        }
+
+        factor() {
+            const name = this.peekName();
+            if (name && BIG_OPERATORS[name.name]) {
+                this.pos += name.length;
+                const { lr, ur } = this.scripts();
+                const limit = script => script && new EquationParser(script.inner).parse();
+                return { type: 'big', op: BIG_OPERATORS[name.name], under: limit(lr), over: limit(ur), body: this.term() };
+            }
+            let node = this.primary();
+            while (this.peek() === '/') {
+                this.pos++;
+                // The parentheses around a numerator or denominator only group it
+                const strip = n => (n.type === 'group' && n.open === '(' ? n.body : n);
+                node = { type: 'fraction', num: strip(node), den: strip(this.primary()) };
+            }
+            return node;
+        }
+
+        primary() {
+            const c = this.peek();
+            if (c === undefined) throw this.error('missing operand');
+            if (/[\d.]/.test(c)) {
+                const number = /^(\d+\.?\d*|\.\d+)/.exec(this.source.slice(this.pos));
+                if (!number) throw this.error(`unexpected "${c}"`);
+                this.pos += number[0].length;
+                return { type: 'number', text: number[0] };
+            }
+            if (c === '{' && /^\{\s*\}/.test(this.source.slice(this.pos))) return this.symbol();
+            const close = { '(': ')', '[': ']', '{': '}' }[c];
+            if (close) {
+                this.pos++;
+                const body = this.relation();
+                if (this.peek() !== close) throw this.error(`missing "${close}"`);
+                this.pos++;
+                if (c === '{') return body;
+                // (A_x)^2
+                const group = { type: 'group', open: c, close, body };
+                const { lr, ur } = this.scripts();
+                const parse = script => script && new EquationParser(script.inner).parse();
+                return lr || ur ? { type: 'scripts', base: group, lr: parse(lr), ur: parse(ur) } : group;
+            }
+            const name = this.peekName();
+            if (name && name.name === 'frac') {
+                this.pos += name.length;
+                const num = this.braced();
+                return { type: 'fraction', num, den: this.braced() };
+            }
+            if (name && name.macro && (name.name === 'actsymb' || LATEX_SHORTCUTS[name.name])) return this.macro();
+            return this.symbol();
+        }
+
+        braced() {
+            if (this.peek() !== '{') throw this.error('expected "{"');
+            this.pos++;
+            const body = this.relation();
+            if (this.peek() !== '}') throw this.error('missing "}"');
+            this.pos++;
+            return body;
+        }
+
+        // An actuarialsymbol macro call, read by parseLatex
+        macro() {
+            const start = this.pos;
+            const reader = new LatexReader(this.source);
+            reader.pos = this.pos;
+            const name = reader.readMacro();
+            reader.readStars();
+            const [optionals, groups] = name === 'actsymb' ? [3, 2] : [2, 1];
+            for (let i = 0; i < optionals; i++) reader.readOptional();
+            for (let i = 0; i < groups; i++) reader.readGroup();
+            reader.readOptional();
+            this.pos = reader.pos;
+            return { type: 'symbol', spec: parseLatex(this.source.slice(start, this.pos)) };
+        }
+
+        // A letter with its decoration: a, ä (or a followed by U+0308), \ddot{a}, mu
+        letter() {
+            const c = this.peek();
+            const name = this.peekName();
+            if (name && EQUATION_NAMES[name.name]) {
+                this.pos += name.length;
+                return { text: EQUATION_NAMES[name.name], decoration: '' };
+            }
+            if (name && name.macro && LATEX_DECORATIONS[name.name]) {
+                this.pos += name.length;
+                if (this.peek() !== '{') throw this.error(`expected "{" after \\${name.name}`);
+                this.pos++;
+                const { text } = this.letter();
+                if (this.peek() !== '}') throw this.error('missing "}"');
+                this.pos++;
+                return { text, decoration: LATEX_DECORATIONS[name.name] };
+            }
+            if (name && name.macro) throw this.error(`unsupported macro \\${name.name}`);
+            if (EQUATION_SYMBOLS.includes(c)) {
+                this.pos++;
+                return { text: c, decoration: '' };
+            }
+            if (c === undefined || !/\p{L}/u.test(c)) throw this.error(c === undefined ? 'missing operand' : `unexpected "${c}"`);
+            this.pos++;
+            const [text, ...marks] = c.normalize('NFD');
+            while (/\p{M}/u.test(this.source[this.pos] || '')) marks.push(this.source[this.pos++]);
+            const decoration = marks.map(mark => COMBINING_DECORATIONS[mark]).find(Boolean) || '';
+            return { text, decoration };
+        }
+
+        // '_' and '^' scripts, as their source text
+        scripts() {
+            const found = {};
+            for (let c = this.source[this.pos]; c === '_' || c === '^'; c = this.source[this.pos]) {
+                const key = c === '_' ? 'lr' : 'ur';
+                if (found[key]) throw this.error(`a second "${c}"`);
+                this.pos++;
+                found[key] = this.script();
+            }
+            return found;
+        }
+
+        // { text } as written, with the `inner` text of parentheses or braces
+        script() {
+            const c = this.source[this.pos];
+            const close = { '{': '}', '(': ')' }[c];
+            if (close) {
+                const start = this.pos;
+                let depth = 0;
+                for (; this.pos < this.source.length; this.pos++) {
+                    const d = this.source[this.pos];
+                    if (d === c) depth++;
+                    else if (d === close && --depth === 0) break;
+                }
+                if (depth) throw this.error(`missing "${close}"`);
+                this.pos++;
+                const inner = this.source.slice(start + 1, this.pos - 1).trim();
+                return { text: c === '(' ? `(${inner})` : inner, inner };
+            }
+            const name = this.peekName();
+            if (name && EQUATION_NAMES[name.name]) {
+                this.pos += name.length;
+                return { text: EQUATION_NAMES[name.name], inner: this.source.slice(this.pos - name.length, this.pos) };
+            }
+            const match = /^(\d+|\p{L}\p{M}*)/u.exec(this.source.slice(this.pos))
+                || (EQUATION_SYMBOLS.includes(this.source[this.pos]) && [this.source[this.pos]]);
+            if (!match) throw this.error('missing script');
+            this.pos += match[0].length;
+            return { text: match[0], inner: match[0] };
+        }
+
+        symbol() {
+            let left = {};
+            if (this.peek() === '{') {
+                this.pos = this.source.indexOf('}', this.pos) + 1;
+                left = this.scripts();
+                if (!left.lr && !left.ur) throw this.error('expected "_" or "^" after "{}"');
+            }
+            const base = this.letter();
+            const right = this.scripts();
+            const parts = {
+                ll: left.lr, ul: left.ur, lr: right.lr, ur: right.ur,
+                symbol: base.text, decoration: base.decoration
+            };
+
+            // P(A_x), {}_kV(ä_{x:n}): a premium or reserve
+            if (['P', 'V'].includes(base.text) && !right.lr && !right.ur && !left.ur && this.peek() === '(') {
+                const benefit = this.benefit(base, left.lr);
+                if (benefit) return benefit;
+            }
+            const spec = equationSymbol(parts);
+            if (spec) return { type: 'symbol', spec };
+
+            const identifier = { type: 'identifier', text: base.text, decoration: base.decoration };
+            if (!parts.ll && !parts.ul && !parts.lr && !parts.ur) return identifier;
+            const parse = script => script && new EquationParser(script.inner).parse();
+            return { type: 'scripts', base: identifier, ll: parse(parts.ll), ul: parse(parts.ul), lr: parse(parts.lr), ur: parse(parts.ur) };
+        }
+
+        // The benefit in P(...) or V(...); null (nothing read) for anything
+        // else, which is then a letter followed by parentheses.
+        benefit(base, duration) {
+            const start = this.pos;
+            this.pos++;
+            try {
+                const inner = this.primary();
+                if (inner.type === 'symbol' && this.peek() === ')') {
+                    const spec = benefitSymbol(base.text, base.decoration === 'bar', duration ? duration.text : null, inner.spec);
+                    if (spec) {
+                        this.pos++;
+                        return { type: 'symbol', spec };
+                    }
+                }
+            } catch (e) {
+                // not a benefit
+            }
+            this.pos = start;
+            return null;
+        }
+    }
+
+    /**
+     * Reads a lower-right script as a status, as readLatexStatus does, with
+     * a trailing '|' for the angle: x:n| is x:\angl{n} and n| (an
+     * annuity-certain) is \angl{n}.
+     */
+    function readAngledStatus(text) {
+        const source = text.replace(/([^:|{}]+)\|\s*$/, (_, term) => `\\angl{${term.trim()}}`);
+        const status = readLatexStatus(source, { text: '', precedence: [] });
+        status.angle = status.text.includes(':') || source.includes('\\angl');
+        return status;
+    }
+
+    /**
+     * Maps four corners, with the status read by readAngledStatus, onto the
+     * most specific kind that renders them: D_x is a commutation function,
+     * v^n, i^(m), d and δ interest symbols, P(A_x) and {}_kV(A_x) a premium
+     * and a reserve (when `p` is P or V), and the rest as
+     * specializeLatexSymbol maps them.
+     */
+    function specializeSymbol(parts) {
+        const { ll, ul, p, pDecoration, symbol, decoration, status, ur } = parts;
+        const plain = !ll && !ul && !p && !decoration && !status.precedence.length;
+        if (/^[DNCMSR]$/.test(symbol) && status.text && !ur && plain) {
+            return { kind: 'commute', func: symbol, age: status.text };
+        }
+        if (['v', 'i', 'd', 'δ'].includes(symbol) && !status.text && ur && plain) {
+            const func = symbol === 'δ' ? 'delta' : symbol;
+            return func === 'v' ? { kind: 'certain', func, term: ur } : { kind: 'certain', func, frequency: ur };
+        }
+        if (p) {
+            const inner = ['P', 'V'].includes(p) && !ul && !ur
+                && specializeSymbol({ ...parts, ll: '', p: '', pDecoration: '' });
+            const spec = inner && benefitSymbol(p, pDecoration === 'bar', ll || null, inner);
+            if (spec) return spec;
+            return shorthandSymbol(parts);
+        }
+        return status.text ? specializeLatexSymbol(parts) : symbolFromLatexParts(parts);
+    }
+
+    /**
+     * The symbol description for a letter with scripts, as parseLatex reads
+     * the same four corners, or null for plain math (x, x^2, x_1, e^{-δt}).
+     * The generic <act-symbol> is only used for a joint or term status or
+     * left scripts, as in {}^2A_{x:n}.
+     */
+    function equationSymbol({ ll, ul, lr, ur, symbol, decoration }) {
+        const text = script => (script ? latexText(script.text) : '');
+        try {
+            const spec = specializeSymbol({
+                ll: text(ll), ul: text(ul), symbol, decoration, status: readAngledStatus(lr ? lr.text : ''), ur: text(ur)
+            });
+            // Commutation functions D_x, ... and the interest symbols v^n, i^(m), d, δ
+            if (spec.kind === 'commute' || spec.kind === 'certain') return spec;
+            if (!lr) return null;
+            if (spec.kind !== 'symbol') return spec;
+            if (!ll && !ul && !/[:|]|\\angl/.test(spec.lr)) return null;
+            parseStatus(spec.lr);
+            return spec;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Parses an equation in the shorthand above into its tree.
+     * Throws an Error naming the position of malformed input.
+     */
+    function parseEquation(source) {
+        return new EquationParser(source).parse();
+    }
+
+    // Browsers that ignore columnalign (MathML Core) take the alignment
+    // from CSS; the cells keep no padding between a side and its relation.
+    const ALIGNED_CELL_STYLES = { right: 'text-align:right;padding-right:0', left: 'text-align:left;padding-left:0' };
+
+    function equationNode(node, options) {
+        const child = n => equationNode(n, options);
+        switch (node.type) {
+            case 'row':
+                return createMathML('mrow', {}, node.items.map(child));
+            case 'symbol': {
+                // The component's own rendering, angles and parts included
+                const math = render({ ...node.spec, angleStyle: options.angleStyle, notation: options.notation, strict: options.strict });
+                return createMathML('mrow', {}, math.children);
+            }
+            case 'identifier':
+                return applyDecoration(node.text, node.decoration);
+            case 'number':
+                return createMathML('mn', {}, [node.text]);
+            case 'operator':
+                return createMathML('mo', {}, [node.text]);
+            case 'group':
+                return createMathML('mrow', {}, [createMathML('mo', {}, [node.open]), child(node.body), createMathML('mo', {}, [node.close])]);
+            case 'fraction':
+                return createMathML('mfrac', {}, [child(node.num), child(node.den)]);
+            case 'big': {
+                const op = createMathML('mo', {}, [node.op]);
+                const under = node.under && child(node.under);
+                const over = node.over && child(node.over);
+                let limits = op;
+                // Integrals take their limits as scripts, sums and products above and below
+                if (under && over) limits = createMathML(node.op === '∫' ? 'msubsup' : 'munderover', {}, [op, under, over]);
+                else if (under) limits = createMathML(node.op === '∫' ? 'msub' : 'munder', {}, [op, under]);
+                else if (over) limits = createMathML(node.op === '∫' ? 'msup' : 'mover', {}, [op, over]);
+                return createMathML('mrow', {}, [limits, child(node.body)]);
+            }
+            case 'scripts': {
+                const base = child(node.base);
+                const script = n => (n ? child(n) : createMathML('none'));
+                if (node.ll || node.ul) {
+                    return createMathML('mmultiscripts', {}, [
+                        base, script(node.lr), script(node.ur), createMathML('mprescripts'), script(node.ll), script(node.ul)
+                    ]);
+                }
+                if (node.lr && node.ur) return createMathML('msubsup', {}, [base, child(node.lr), child(node.ur)]);
+                return node.lr ? createMathML('msub', {}, [base, child(node.lr)]) : createMathML('msup', {}, [base, child(node.ur)]);
+            }
+            case 'aligned':
+                // The left-hand sides right-aligned against the relations that start the second column
+                return createMathML('mtable', { displaystyle: 'true' }, node.lines.map(line => createMathML('mtr', {}, [
+                    createMathML('mtd', { columnalign: 'right', style: ALIGNED_CELL_STYLES.right }, line.left ? [child(line.left)] : []),
+                    createMathML('mtd', { columnalign: 'left', style: ALIGNED_CELL_STYLES.left }, [child(line.right)])
+                ])));
+            default:
+                throw new Error(`Unknown equation node: ${node.type}`);
+        }
+    }
+
+    const EQUATION_OPERATOR_WORDS = {
+        '=': 'equals', '≈': 'is approximately', '≠': 'is not equal to', '<': 'is less than', '>': 'is greater than',
+        '≤': 'is at most', '≥': 'is at least', '+': 'plus', '−': 'minus', '±': 'plus or minus', '⋅': 'times', '×': 'times'
+    };
+    const BIG_OPERATOR_WORDS = { '∑': 'the sum', '∏': 'the product', '∫': 'the integral' };
+    const NAME_WORDS = {
+        'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'θ': 'theta', 'λ': 'lambda', 'μ': 'mu', 'π': 'pi', 'σ': 'sigma', 'τ': 'tau', 'ω': 'omega',
+        '∞': 'infinity', '∂': 'partial', '∇': 'nabla', '′': 'prime'
+    };
+
+    const GROUP_WORDS = { '(': ['open parenthesis', 'close parenthesis'], '[': ['open bracket', 'close bracket'] };
+
+    // The words a screen reader says for an equation tree. Side by side
+    // symbols and parentheses are read with "times" in between, except a
+    // letter before brackets (E[...]). Brackets, and parentheses around more
+    // than one term, are read out.
+    function equationWords(node) {
+        switch (node.type) {
+            case 'row':
+                return node.items.map((item, i) => {
+                    if (item.text !== INVISIBLE_TIMES) return equationWords(item);
+                    const [before, after] = [node.items[i - 1], node.items[i + 1]];
+                    if ([before, after].some(n => n.type === 'symbol')) return 'times';
+                    if (after.type === 'group') return before.type === 'identifier' ? '' : 'times';
+                    return before.type === 'group' ? 'times' : '';
+                }).filter(Boolean).join(' ').replace(/ ,/g, ',');
+            case 'symbol':
+                return describe(node.spec);
+            case 'identifier': {
+                const name = NAME_WORDS[node.text] || node.text;
+                return node.decoration ? `${name} ${DECORATION_WORDS[node.decoration]}` : name;
+            }
+            case 'number':
+                return node.text;
+            case 'operator':
+                return node.text === INVISIBLE_TIMES ? '' : (EQUATION_OPERATOR_WORDS[node.text] || node.text);
+            case 'group': {
+                const words = equationWords(node.body);
+                if (node.open === '(' && node.body.type !== 'row') return words;
+                const [open, close] = GROUP_WORDS[node.open];
+                return `${open} ${words} ${close}`;
+            }
+            case 'fraction':
+                return `the fraction ${equationWords(node.num)} over ${equationWords(node.den)}`;
+            case 'big': {
+                const from = node.under ? ` from ${equationWords(node.under)}` : '';
+                const to = node.over ? ` to ${equationWords(node.over)}` : '';
+                return `${BIG_OPERATOR_WORDS[node.op]}${from}${to} of ${equationWords(node.body)}`;
+            }
+            case 'scripts': {
+                let words = equationWords(node.base);
+                if (node.lr) words += ` sub ${equationWords(node.lr)}`;
+                if (node.ur) words += ` to the power ${equationWords(node.ur)}`;
+                if (node.ll) words += `, left subscript ${equationWords(node.ll)}`;
+                if (node.ul) words += `, left superscript ${equationWords(node.ul)}`;
+                return words;
+            }
+            case 'aligned':
+                return node.lines.map(line => [line.left, line.right].filter(Boolean).map(equationWords).join(' ')).join(' ');
+            default:
+                return '';
+        }
+    }
+
+    const LATEX_OPERATORS = {
+        '⋅': '\\cdot', '×': '\\times', '±': '\\pm', '≤': '\\le', '≥': '\\ge', '≠': '\\ne', '≈': '\\approx', '−': '-', [INVISIBLE_TIMES]: ''
+    };
+    const LATEX_BIG_OPERATORS = { '∑': '\\sum', '∏': '\\prod', '∫': '\\int' };
+
+    // An equation tree as LaTeX, with the actuarialsymbol macros for its symbols.
+    function equationLatex(node) {
+        const group = n => `{${equationLatex(n)}}`;
+        switch (node.type) {
+            case 'row':
+                return node.items.map(equationLatex).filter(Boolean).join(' ');
+            case 'symbol':
+                return toLatex(node.spec);
+            case 'identifier': {
+                const name = NAME_WORDS[node.text] === 'infinity' ? 'infty' : NAME_WORDS[node.text];
+                const text = name ? `\\${name}` : node.text;
+                return DECORATION_MACROS[node.decoration] ? `\\${DECORATION_MACROS[node.decoration]}{${text}}` : text;
+            }
+            case 'number':
+                return node.text;
+            case 'operator':
+                return node.text in LATEX_OPERATORS ? LATEX_OPERATORS[node.text] : node.text;
+            case 'group':
+                return `${node.open === '[' ? '[' : '('}${equationLatex(node.body)}${node.close === ']' ? ']' : ')'}`;
+            case 'fraction':
+                return `\\frac${group(node.num)}${group(node.den)}`;
+            case 'big':
+                return `${LATEX_BIG_OPERATORS[node.op]}${node.under ? `_${group(node.under)}` : ''}${node.over ? `^${group(node.over)}` : ''} ${equationLatex(node.body)}`;
+            case 'scripts': {
+                const left = node.ll || node.ul ? `{}${node.ll ? `_${group(node.ll)}` : ''}${node.ul ? `^${group(node.ul)}` : ''}` : '';
+                return `${left}${equationLatex(node.base)}${node.lr ? `_${group(node.lr)}` : ''}${node.ur ? `^${group(node.ur)}` : ''}`;
+            }
+            case 'aligned': {
+                const lines = node.lines.map(line => `${line.left ? `${equationLatex(line.left)} ` : ''}&${equationLatex(line.right)}`);
+                return `\\begin{aligned}\n${lines.join(' \\\\\n')}\n\\end{aligned}`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Renders an equation in the shorthand (see EquationParser) to a single
+     * MathML node tree, e.g. for static-site builds:
+     *
+     *   toMathMLString(renderEquation('P(A_x) * ä_x = A_x', { display: true }))
+     *
+     * Options: `display` (a centred block in display style), `angleStyle`,
+     * `notation`, `strict` and `alttext`, as for symbols. The symbols are drawn by their
+     * components' renderers and read by their speech text.
+     */
+    function renderEquation(source, options = {}) {
+        return equationMath(parseEquation(source), options);
+    }
+
+    // An equation tree as a <math> node tree, see renderEquation.
+    function equationMath(tree, options = {}) {
+        const content = equationNode(tree, options);
+        const attrs = options.display ? { display: 'block' } : { display: 'inline' };
+        attrs.alttext = options.alttext || equationWords(tree);
+        return createMathML('math', attrs, content.tag === 'mrow' ? content.children : [content]);
+    }
+
+    // ===========================================================================
+    // SHORTHAND
+    // ===========================================================================
+
+    /*
+     * A symbol can also be written in a compact shorthand of its four
+     * corners, as the text content of its component or of the generic <act>
+     * tag:
+     *
+     *   <act>{t}^{k}P(Ā_{\overline{xy}})^{(m)}</act>
+     *   <act-annuity>ä[12]_{x:n|}</act-annuity>
+     *
+     *   shorthand := left? (letter '(' symbol ')' right | symbol)
+     *   left      := '{' text '}' ('^' script)?      {t}^{k}: the lower-left t, upper-left k
+     *              | '{}' scripts                    {}_t^k, as in equations
+     *   symbol    := letter right
+     *   right     := ('[' text ']')? scripts         ä[12] is ä^{(12)}
+     *
+     * Letters and scripts are read as in equations (ä, \bar{A}, mu, _{x:n},
+     * ^{(m)}). A letter followed by parentheses is the `p` of the symbol, as
+     * the P of P(A_x). The lower-right script is a status as in LaTeX
+     * (\overline{xy}, \nthtop{1}{x}, \angl{n}), where a trailing '|' marks
+     * the angle (see readAngledStatus).
+     */
+    class ShorthandParser extends EquationParser {
+        error(message) {
+            return new Error(`Invalid shorthand "${this.source}" at position ${this.pos}: ${message}`);
+        }
+
+        // The four corners, as specializeSymbol reads them
+        parse() {
+            const left = this.left();
+            const base = this.letter();
+            let p = '';
+            let pDecoration = '';
+            let symbol = base;
+            let right;
+            if (this.peek() === '(') {
+                p = base.text;
+                pDecoration = base.decoration;
+                this.pos++;
+                symbol = this.letter();
+                right = this.right();
+                if (this.peek() !== ')') throw this.error('missing ")"');
+                this.pos++;
+                const outer = this.right();
+                if (outer.lr) throw this.error('a lower-right script after ")"');
+                if (outer.ur && right.ur) throw this.error('a second "^"');
+                right.ur = right.ur || outer.ur;
+            } else {
+                right = this.right();
+            }
+            if (this.peek() !== undefined) throw this.error(`unexpected "${this.peek()}"`);
+
+            const text = script => (script ? latexText(script.text) : '');
+            return {
+                ll: text(left.ll),
+                ul: text(left.ul),
+                p,
+                pDecoration,
+                symbol: symbol.text,
+                decoration: symbol.decoration,
+                status: readAngledStatus(right.lr ? right.lr.text : ''),
+                ur: text(right.ur)
+            };
+        }
+
+        // {t}^{k} or {}_t^k before the letter
+        left() {
+            if (this.peek() !== '{') return {};
+            if (/^\{\s*\}/.test(this.source.slice(this.pos))) {
+                this.pos = this.source.indexOf('}', this.pos) + 1;
+                const { lr, ur } = this.scripts();
+                if (!lr && !ur) throw this.error('expected "_" or "^" after "{}"');
+                return { ll: lr, ul: ur };
+            }
+            const ll = this.script();
+            const { lr, ur } = this.scripts();
+            if (lr) throw this.error('a second lower-left script');
+            return { ll, ul: ur };
+        }
+
+        // [12] and the scripts after a letter
+        right() {
+            let frequency = null;
+            if (this.source[this.pos] === '[') {
+                const end = this.source.indexOf(']', this.pos);
+                if (end === -1) throw this.error('missing "]"');
+                const inner = this.source.slice(this.pos + 1, end).trim();
+                this.pos = end + 1;
+                frequency = { text: /^\(.*\)$/.test(inner) ? inner : `(${inner})` };
+            }
+            const { lr, ur } = this.scripts();
+            if (frequency && ur) throw this.error('both "[...]" and "^"');
+            return { lr, ur: frequency || ur };
+        }
+    }
+
+    /**
+     * Parses the shorthand above into the four-corner symbol description
+     * that <act-symbol> renders, e.g.
+     *
+     *   parseShorthand('ä[12]_{x:n|}')
+     *   // -> { kind: 'symbol', symbol: 'a', decoration: 'ddot', lr: 'x:n', ur: '(12)', ... }
+     *
+     * Throws an Error naming the position of malformed input.
+     */
+    function parseShorthand(source) {
+        return shorthandSymbol(new ShorthandParser(source).parse());
+    }
+
+    // The generic symbol of the parts of ShorthandParser
+    function shorthandSymbol(parts) {
+        if (parts.pDecoration) throw new Error(`A decorated ${parts.p} is only supported for premiums and reserves`);
+        return symbolFromLatexParts(parts);
+    }
+
+    /**
+     * The options of a component of `kind` written in the shorthand: the
+     * four corners for <act-symbol>, otherwise the symbol they specialize to
+     * (see specializeSymbol), which must be of that kind.
+     */
+    function shorthandOptions(source, kind) {
+        if (kind === 'symbol') return parseShorthand(source);
+        const spec = specializeSymbol(new ShorthandParser(source).parse());
+        if (spec.kind !== kind) {
+            const tag = KINDS[kind] ? KINDS[kind].tag : kind;
+            throw new Error(`"${source}" is drawn by <${KINDS[spec.kind].tag}>, not <${tag}>`);
+        }
+        return spec;
+    }
+
+    /**
+     * The symbol description for an <act> element: its shorthand, with the
+     * attributes of <act-symbol> it has (ll, lr, ...) in place of the
+     * corners they name, mapped onto the most specific kind.
+     */
+    function actElementSpec(el) {
+        const parts = new ShorthandParser(el.textContent.trim()).parse();
+        const attr = name => el.getAttribute(toAttributeName(name));
+        ['ll', 'ul', 'p', 'symbol', 'decoration', 'ur'].forEach(name => {
+            if (attr(name) != null) parts[name] = attr(name);
+        });
+        if (attr('p') != null) parts.pDecoration = '';
+        if (attr('lr') != null) parts.status = readAngledStatus(attr('lr'));
+        if (attr('precedence') != null) parts.status.precedence = parsePrecedence(attr('precedence'));
+        if (el.hasAttribute('last-survivor')) return { ...shorthandSymbol(parts), lastSurvivor: true };
+        return specializeSymbol(parts);
+    }
+
+    // ===========================================================================
+    // COPY AS: UNICODE TEXT, STANDALONE MATHML, SVG AND PNG
+    // ===========================================================================
+
+    // The formats a component can be copied in (see ActuarialSymbolBase.copy)
+    const COPY_FORMATS = { latex: 'LaTeX', mathml: 'MathML', unicode: 'Unicode text', svg: 'SVG image', png: 'PNG image' };
+
+    const SUBSCRIPTS = {
+        0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉',
+        '+': '₊', '-': '₋', '−': '₋', '=': '₌', '(': '₍', ')': '₎',
+        a: 'ₐ', e: 'ₑ', h: 'ₕ', i: 'ᵢ', j: 'ⱼ', k: 'ₖ', l: 'ₗ', m: 'ₘ', n: 'ₙ', o: 'ₒ', p: 'ₚ',
+        r: 'ᵣ', s: 'ₛ', t: 'ₜ', u: 'ᵤ', v: 'ᵥ', x: 'ₓ', β: 'ᵦ', γ: 'ᵧ', ρ: 'ᵨ', φ: 'ᵩ', χ: 'ᵪ'
+    };
+
+    const SUPERSCRIPTS = {
+        0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹',
+        '+': '⁺', '-': '⁻', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾',
+        a: 'ᵃ', b: 'ᵇ', c: 'ᶜ', d: 'ᵈ', e: 'ᵉ', f: 'ᶠ', g: 'ᵍ', h: 'ʰ', i: 'ⁱ', j: 'ʲ', k: 'ᵏ', l: 'ˡ', m: 'ᵐ',
+        n: 'ⁿ', o: 'ᵒ', p: 'ᵖ', r: 'ʳ', s: 'ˢ', t: 'ᵗ', u: 'ᵘ', v: 'ᵛ', w: 'ʷ', x: 'ˣ', y: 'ʸ', z: 'ᶻ',
+        A: 'ᴬ', B: 'ᴮ', D: 'ᴰ', E: 'ᴱ', G: 'ᴳ', H: 'ᴴ', I: 'ᴵ', J: 'ᴶ', K: 'ᴷ', L: 'ᴸ', M: 'ᴹ', N: 'ᴺ',
+        O: 'ᴼ', P: 'ᴾ', R: 'ᴿ', T: 'ᵀ', U: 'ᵁ', V: 'ⱽ', W: 'ᵂ', δ: 'ᵟ'
+    };
+
+    // Characters left as they are in a script: the status separators, the
+    // angle and combining marks
+    const UNICODE_SCRIPT_KEEP = /^[:|⌉,\p{M}]$/u;
+
+    // Decorations as combining characters: ā, ä, e̊
+    const COMBINING_MARKS = { '¯': '̄', '¨': '̈', '°': '̊' };
+
+    /**
+     * A script in Unicode sub- or superscript characters: ₓ₊ₜ, ⁽¹²⁾. With
+     * characters that have no such form it is written _(xy) or ^(xy); with a
+     * separator it is bracketed, ₍ₓ:ₙ⌉₎.
+     */
+    function unicodeScript(text, map) {
+        const chars = [...text.replace(/\s+/g, '').normalize('NFD')];
+        if (!chars.length) return '';
+        const [open, close] = map === SUBSCRIPTS ? ['₍', '₎'] : ['⁽', '⁾'];
+        if (!chars.every(c => map[c] || UNICODE_SCRIPT_KEEP.test(c))) return `${map === SUBSCRIPTS ? '_' : '^'}(${text})`;
+        const script = chars.map(c => map[c] || c).join('');
+        return chars.some(c => !map[c] && !/\p{M}/u.test(c)) ? `${open}${script}${close}` : script;
+    }
+
+    const unicodeSub = (node) => (node ? unicodeScript(unicodeText(node), SUBSCRIPTS) : '');
+    const unicodeSup = (node) => (node ? unicodeScript(unicodeText(node), SUPERSCRIPTS) : '');
+
+    // The text of a rendered node tree, see toUnicode.
+    function unicodeText(node) {
+        if (typeof node === 'string') return node;
+        const children = node.children;
+        // An angle in any style is written n⌉
+        if (node.attrs['data-angle']) {
+            const term = node.tag === 'mover' ? children[0].children[0] : children[0];
+            return `${unicodeText(term)}⌉`;
+        }
+        switch (node.tag) {
+            case 'none':
+            case 'mprescripts':
+                return '';
+            case 'msub':
+                return unicodeText(children[0]) + unicodeSub(children[1]);
+            case 'msup':
+                return unicodeText(children[0]) + unicodeSup(children[1]);
+            case 'msubsup':
+            case 'munderover':
+                return unicodeText(children[0]) + unicodeSub(children[1]) + unicodeSup(children[2]);
+            case 'munder':
+                return unicodeText(children[0]) + unicodeSub(children[1]);
+            case 'mmultiscripts': {
+                const split = children.findIndex(child => child.tag === 'mprescripts');
+                const post = split < 0 ? children.slice(1) : children.slice(1, split);
+                const pre = split < 0 ? [] : children.slice(split + 1);
+                const scripts = (list) => list.map((script, i) => (i % 2 ? unicodeSup(script) : unicodeSub(script))).join('');
+                return scripts(pre) + unicodeText(children[0]) + scripts(post);
+            }
+            case 'mover': {
+                const mark = COMBINING_MARKS[unicodeText(children[1])];
+                const base = unicodeText(children[0]);
+                // A decoration or last-survivor bar marks each letter; a precedence number is a superscript
+                return mark ? base.normalize('NFD').replace(/\p{L}\p{M}*/gu, letter => letter + mark) : base + unicodeSup(children[1]);
+            }
+            case 'mfrac': {
+                const wrap = (text) => ([...text].length > 1 ? `(${text})` : text);
+                return `${wrap(unicodeText(children[0]))}/${wrap(unicodeText(children[1]))}`;
+            }
+            case 'mo': {
+                const text = children.map(unicodeText).join('');
+                if (text === INVISIBLE_TIMES) return '';
+                return HTML_RELATIONS.includes(text) ? ` ${text} ` : text;
+            }
+            default:
+                return children.map(unicodeText).join('');
+        }
+    }
+
+    // A symbol description, or an already rendered <math> tree as is.
+    const toMathTree = (input) => (input && input.tag === 'math' ? input : render(input));
+
+    /**
+     * A best-effort plain-text form of a symbol description (or of a
+     * rendered <math> tree, e.g. of renderEquation), for places that take no
+     * markup such as spreadsheet labels or chat: scripts in Unicode sub- and
+     * superscript characters, decorations as combining characters and the
+     * angle as ⌉, e.g. ä₍ₓ:ₙ⌉₎ or ₜpₓ.
+     */
+    function toUnicode(input) {
+        return unicodeText(toMathTree(input)).trim().replace(/\s+/g, ' ').normalize('NFC');
+    }
+
+    // A rendered tree without its `part` and data attributes, and with CSS
+    // angles drawn as menclose again, for use outside this library's styles.
+    function standaloneTree(node) {
+        if (typeof node === 'string') return node;
+        const children = node.children.map(standaloneTree);
+        if (node.attrs['data-angle'] && node.attrs.style) {
+            return createMathML('menclose', { notation: node.attrs['data-angle'] === 'annuity' ? 'actuarial' : 'top' }, children);
+        }
+        const attrs = Object.fromEntries(Object.entries(node.attrs).filter(([name]) => name !== 'part' && !name.startsWith('data-')));
+        return createMathML(node.tag, attrs, children);
+    }
+
+    /**
+     * A standalone MathML document fragment for a symbol description (or a
+     * rendered <math> tree): the namespace declared, no library-specific
+     * attributes, and the angle as <menclose> whatever the browser supports.
+     * Word, LibreOffice and MathML-aware editors paste it as an equation.
+     */
+    function toStandaloneMathML(input) {
+        return toMathMLString(standaloneTree(toMathTree(input)), { xmlns: true });
+    }
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // The SVG image is drawn from the rendered tree as the HTML renderer
+    // draws it, with <text> for the characters and <path> for the rules
+    // (angles, bars and fraction lines), so that applications that draw
+    // no HTML in SVG (Word, Excel, Slack) show it too. Lengths are in em of
+    // the running font size; a box is { width, ascent, descent, draw(x, y) }
+    // in pixels, drawn with its baseline at y.
+    const SVG_FONT = '\'Times New Roman\',Times,serif';
+    const SVG_METRICS = {
+        ascent: 0.72, descent: 0.22, script: 0.7, subShift: 0.25, supShift: 0.4,
+        relationSpace: 0.25, rule: 0.06, gap: 0.1, axis: 0.28, largeOperator: 1.4, rowGap: 0.25
+    };
+
+    const svgNumber = (n) => String(Math.round(n * 100) / 100);
+    const svgEmpty = () => ({ width: 0, ascent: 0, descent: 0, draw: () => '' });
+
+    // The width of a character in em, where no canvas can measure it
+    function estimateCharWidth(c) {
+        if (/[\p{M}⁡-⁤​]/u.test(c)) return 0;
+        if (/[ijl|.,:;'()[\]⌉]/.test(c)) return 0.28;
+        if (/[frt]/.test(c)) return 0.33;
+        if (/[mwMW∑∏]/.test(c)) return 0.8;
+        if (/[A-Z=+−<>≤≥≈≠×±]/.test(c)) return 0.62;
+        return 0.5;
+    }
+
+    // Measures text with a canvas where there is one, estimates it elsewhere.
+    function svgMeasurer(fontFamily) {
+        let context = null;
+        try {
+            context = typeof document !== 'undefined' ? document.createElement('canvas').getContext('2d') : null;
+        } catch (e) {
+            // estimated
+        }
+        return (text, size, italic) => {
+            if (context) {
+                context.font = `${italic ? 'italic ' : ''}${size}px ${fontFamily}`;
+                return context.measureText(text).width;
+            }
+            return size * [...text.normalize('NFD')].reduce((sum, c) => sum + estimateCharWidth(c), 0);
+        };
+    }
+
+    function svgText(text, size, ctx, { italic = false, space = 0, fill = null } = {}) {
+        if (!text || text === INVISIBLE_TIMES) return svgEmpty();
+        const pad = space * size;
+        const attrs = `font-size="${svgNumber(size)}"${italic ? ' font-style="italic"' : ''}${fill ? ` fill="${fill}"` : ''}`;
+        return {
+            width: ctx.measure(text, size, italic) + 2 * pad,
+            ascent: SVG_METRICS.ascent * size,
+            descent: SVG_METRICS.descent * size,
+            draw: (x, y) => `<text x="${svgNumber(x + pad)}" y="${svgNumber(y)}" ${attrs}>${escapeXML(text)}</text>`
+        };
+    }
+
+    // A rule from (x1, y1) to (x2, y2) and on through the further points
+    function svgPath(points, size, ctx) {
+        const d = points.map(([x, y], i) => `${i ? 'L' : 'M'}${svgNumber(x)} ${svgNumber(y)}`).join('');
+        return `<path d="${d}" fill="none" stroke="${ctx.color}" stroke-width="${svgNumber(SVG_METRICS.rule * size)}"/>`;
+    }
+
+    // Boxes side by side on one baseline
+    function svgRow(boxes) {
+        return {
+            width: boxes.reduce((sum, box) => sum + box.width, 0),
+            ascent: Math.max(0, ...boxes.map(box => box.ascent)),
+            descent: Math.max(0, ...boxes.map(box => box.descent)),
+            draw: (x, y) => {
+                let at = x;
+                return boxes.map(box => {
+                    const out = box.draw(at, y);
+                    at += box.width;
+                    return out;
+                }).join('');
+            }
+        };
+    }
+
+    // A box moved up (negative) or down from the baseline
+    function svgShift(box, dy) {
+        return { ...box, ascent: box.ascent - dy, descent: box.descent + dy, draw: (x, y) => box.draw(x, y + dy) };
+    }
+
+    // A column of a subscript and a superscript at script size, left- or
+    // right-aligned, as htmlScripts draws them.
+    function svgScripts(sub, sup, align, size, ctx) {
+        const small = size * SVG_METRICS.script;
+        const boxes = [
+            isNone(sub) ? null : svgShift(svgBox(sub, small, ctx), SVG_METRICS.subShift * size),
+            isNone(sup) ? null : svgShift(svgBox(sup, small, ctx), -SVG_METRICS.supShift * size)
+        ].filter(Boolean);
+        if (!boxes.length) return null;
+        const width = Math.max(...boxes.map(box => box.width));
+        return {
+            width,
+            ascent: Math.max(...boxes.map(box => box.ascent)),
+            descent: Math.max(...boxes.map(box => box.descent)),
+            draw: (x, y) => boxes.map(box => box.draw(align === 'right' ? x + width - box.width : x, y)).join('')
+        };
+    }
+
+    // Boxes stacked and centred on the middle one, which keeps the baseline:
+    // limits of sums, precedence numbers, fractions.
+    function svgStack(over, base, under, size, { rule = false } = {}) {
+        const gap = SVG_METRICS.gap * size;
+        const width = Math.max(base.width, over ? over.width : 0, under ? under.width : 0);
+        const overY = over && (rule ? SVG_METRICS.axis * size + gap + over.descent : base.ascent + gap + over.descent);
+        const underY = under && (rule ? -SVG_METRICS.axis * size + gap + under.ascent : base.descent + gap + under.ascent);
+        return {
+            width,
+            ascent: over ? overY + over.ascent : base.ascent,
+            descent: under ? underY + under.descent : base.descent,
+            draw: (x, y) => [
+                base.draw(x + (width - base.width) / 2, y),
+                over ? over.draw(x + (width - over.width) / 2, y - overY) : '',
+                under ? under.draw(x + (width - under.width) / 2, y + underY) : ''
+            ].join('')
+        };
+    }
+
+    // A term under a rule, and down its right side for the annuity angle
+    function svgAngle(term, type, size, ctx) {
+        const rise = SVG_METRICS.gap * size;
+        const right = type === 'annuity' ? 0.15 * size : 0;
+        const left = type === 'annuity' ? 0.05 * size : 0;
+        const width = term.width + left + right;
+        return {
+            width,
+            ascent: term.ascent + rise,
+            descent: term.descent,
+            draw: (x, y) => {
+                const top = y - term.ascent - rise;
+                const points = type === 'annuity'
+                    ? [[x, top], [x + width, top], [x + width, y + term.descent]]
+                    : [[x, top], [x + width, top]];
+                return term.draw(x + left, y) + svgPath(points, size, ctx);
+            }
+        };
+    }
+
+    // One row of table cells per <mtr>, the columns as wide as their widest cell
+    function svgTable(rows, size, ctx) {
+        const cells = rows.map(row => row.children.map(cell => ({ align: cell.attrs.columnalign, box: svgRow(cell.children.map(c => svgBox(c, size, ctx))) })));
+        const widths = [];
+        cells.forEach(row => row.forEach((cell, i) => { widths[i] = Math.max(widths[i] || 0, cell.box.width); }));
+        const heights = cells.map(row => svgRow(row.map(cell => cell.box)));
+        const gap = SVG_METRICS.rowGap * size;
+        const baselines = [];
+        let depth = 0;
+        heights.forEach((row, i) => {
+            depth += i ? heights[i - 1].descent + gap + row.ascent : 0;
+            baselines.push(depth);
+        });
+        const first = heights[0] || svgEmpty();
+        const last = heights[heights.length - 1] || svgEmpty();
+        return {
+            width: widths.reduce((sum, w) => sum + w, 0),
+            ascent: first.ascent,
+            descent: depth + last.descent,
+            draw: (x, y) => cells.map((row, r) => {
+                let at = x;
+                return row.map((cell, i) => {
+                    const free = widths[i] - cell.box.width;
+                    const offset = { right: free, left: 0 }[cell.align] ?? free / 2;
+                    const out = cell.box.draw(at + offset, y + baselines[r]);
+                    at += widths[i];
+                    return out;
+                }).join('');
+            }).join('')
+        };
+    }
+
+    // The box of a rendered node at font size `size`, see svgImage.
+    function svgBox(node, size, ctx) {
+        if (typeof node === 'string') return svgText(node, size, ctx);
+        const children = node.children;
+        const row = () => svgRow(children.map(child => svgBox(child, size, ctx)));
+        const angle = node.attrs['data-angle'];
+        // Angles drawn as rules; the bracket style is a character (⌉)
+        if (angle && (node.tag !== 'mrow' || node.attrs.style)) {
+            const term = node.tag === 'mover' ? children[0].children[0] : children[0];
+            return svgAngle(svgBox(term, size, ctx), angle, size, ctx);
+        }
+        switch (node.tag) {
+            case 'mi': {
+                const text = textOf(node);
+                return svgText(text, size, ctx, { italic: [...text].length === 1 });
+            }
+            case 'mo': {
+                const text = textOf(node);
+                if (HTML_LARGE_OPERATORS.includes(text)) return svgText(text, size * SVG_METRICS.largeOperator, ctx);
+                return svgText(text, size, ctx, { space: HTML_RELATIONS.includes(text) ? SVG_METRICS.relationSpace : 0 });
+            }
+            case 'mn':
+            case 'mtext':
+                return svgText(textOf(node), size, ctx);
+            case 'msub':
+                return svgRow([svgBox(children[0], size, ctx), svgScripts(children[1], null, 'left', size, ctx)]);
+            case 'msup':
+                return svgRow([svgBox(children[0], size, ctx), svgScripts(null, children[1], 'left', size, ctx)]);
+            case 'msubsup':
+                return svgRow([svgBox(children[0], size, ctx), svgScripts(children[1], children[2], 'left', size, ctx)]);
+            case 'mmultiscripts': {
+                const [base, ...rest] = children;
+                const split = rest.findIndex(child => child.tag === 'mprescripts');
+                const post = split < 0 ? rest : rest.slice(0, split);
+                const pre = split < 0 ? [] : rest.slice(split + 1);
+                const columns = (scripts, align) => {
+                    const result = [];
+                    for (let i = 0; i < scripts.length; i += 2) result.push(svgScripts(scripts[i], scripts[i + 1], align, size, ctx));
+                    return result.filter(Boolean);
+                };
+                return svgRow([...columns(pre, 'right'), svgBox(base, size, ctx), ...columns(post, 'left')]);
+            }
+            case 'mover': {
+                const [base, accent] = children;
+                const mark = textOf(accent);
+                // ā, ä, e̊ as one character; a bar over anything longer is a rule
+                if (COMBINING_ACCENTS[mark] && base.tag === 'mi') return svgText(textOf(base) + COMBINING_ACCENTS[mark], size, ctx, { italic: true });
+                if (mark === '¯') return svgAngle(svgBox(base, size, ctx), 'insurance', size, ctx);
+                return svgStack(svgBox(accent, size * SVG_METRICS.script, ctx), svgBox(base, size, ctx), null, size);
+            }
+            case 'munder':
+                return svgStack(null, svgBox(children[0], size, ctx), svgBox(children[1], size * SVG_METRICS.script, ctx), size);
+            case 'munderover': {
+                const limit = (child) => (isNone(child) ? null : svgBox(child, size * SVG_METRICS.script, ctx));
+                return svgStack(limit(children[2]), svgBox(children[0], size, ctx), limit(children[1]), size);
+            }
+            case 'menclose':
+                return svgAngle(row(), node.attrs.notation === 'actuarial' ? 'annuity' : 'insurance', size, ctx);
+            case 'mfrac': {
+                const num = svgBox(children[0], size, ctx);
+                const den = svgBox(children[1], size, ctx);
+                const pad = SVG_METRICS.gap * size;
+                const fraction = svgStack(num, svgEmpty(), den, size, { rule: true });
+                const width = fraction.width + 2 * pad;
+                return {
+                    ...fraction,
+                    width,
+                    draw: (x, y) => {
+                        const axis = y - SVG_METRICS.axis * size;
+                        return fraction.draw(x + pad, y) + svgPath([[x, axis], [x + width, axis]], size, ctx);
+                    }
+                };
+            }
+            case 'mtable':
+                return svgTable(children, size, ctx);
+            case 'merror':
+                return svgText(textOf(node), size, ctx, { fill: '#c00' });
+            case 'none':
+            case 'mprescripts':
+                return svgEmpty();
+            default:
+                // mrow, math and the bracket angle
+                return row();
+        }
+    }
+
+    // The SVG for toSVG and toPNG, with its size.
+    function svgImage(input, options = {}) {
+        const math = toMathTree(input);
+        const fontSize = Number(options.fontSize) || 16;
+        const fontFamily = options.fontFamily || SVG_FONT;
+        const color = escapeXML(options.color || 'black');
+        const box = svgBox(math, fontSize, { measure: svgMeasurer(fontFamily), color });
+        const width = Math.ceil(box.width) + 2;
+        const height = Math.ceil(box.ascent + box.descent) + 2;
+        const title = math.attrs.alttext ? `<title>${escapeXML(math.attrs.alttext)}</title>` : '';
+        const svg = `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${title}`
+            + `<g fill="${color}" font-family="${escapeXML(fontFamily)}">${box.draw(1, box.ascent + 1)}</g></svg>`;
+        return { svg, width, height };
+    }
+
+    /**
+     * A self-contained SVG image of a symbol description (or a rendered
+     * <math> tree), drawn with <text> and <path> so that Word, Excel and
+     * chat applications show it, titled with the speech text. Options:
+     * `fontSize` (in pixels, default 16), `fontFamily` and `color` (default
+     * black). Text is measured in a browser and estimated elsewhere.
+     */
+    function toSVG(input, options = {}) {
+        return svgImage(input, options).svg;
+    }
+
+    /**
+     * A PNG image of a symbol description (or a rendered <math> tree), drawn
+     * from its SVG (see toSVG) at `scale` times its size (default 2). Resolves
+     * to a Blob; browser only.
+     */
+    function toPNG(input, options = {}) {
+        if (typeof document === 'undefined' || typeof Image === 'undefined') {
+            return Promise.reject(new Error('PNG images can only be drawn in a browser'));
+        }
+        const { svg, width, height } = svgImage(input, options);
+        const scale = Number(options.scale) || 2;
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = width * scale;
+                    canvas.height = height * scale;
+                    const context = canvas.getContext('2d');
+                    context.scale(scale, scale);
+                    context.drawImage(image, 0, 0);
+                    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not draw the PNG image'))), 'image/png');
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            image.onerror = () => reject(new Error('Could not load the SVG image'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+    }
+
+    // ===========================================================================
+    // EXPLANATIONS
+    // ===========================================================================
+
+    /*
+     * The definitions behind the `explain` popovers. An entry applies to the
+     * symbols of its `kind` whose options match all of its other keys of
+     * EXPLANATION_KEYS, unset options taking the kind's default
+     * (EXPLANATION_DEFAULTS); the entry matching the most keys wins.
+     * `formula` is in the equation shorthand (see EquationParser), written
+     * for a life aged x and a term of n years, or a function of the symbol
+     * description that returns it (null when it has none), like
+     * annuityFormula; `definition` can be a function too. Entries can be
+     * added, e.g. for kinds made with define:
+     *
+     *   ActuarialSymbols.explanations.push({ kind: 'profit', definition: '...', formula: '...' });
+     */
+    const EXPLANATION_KEYS = ['type', 'payment', 'decoration', 'func'];
+
+    // The options the kinds are drawn with when they are not set
+    const EXPLANATION_DEFAULTS = {
+        annuity: { type: 'immediate' },
+        insurance: { type: 'whole', payment: 'eoy' },
+        premium: { benefit: 'A', payment: 'annual' },
+        reserve: { benefit: 'A', payment: 'annual' },
+        prob: { type: 'survival' },
+        commute: { func: 'D' },
+        count: { func: 'l' },
+        lifetime: { func: 'e', type: 'curtate' },
+        certain: { func: 'a', type: 'immediate' }
+    };
+
+    // Terms of a bound or weight in the shorthand, summed: numbers are added
+    // up and zeros dropped, so sumTerms('0', 'n', '-1') is 'n-1'.
+    const isNumeral = (term) => /^-?\d+(\.\d+)?$/.test(term);
+    const wrapTerm = (term) => (/^-?[^+\-\s]+$/.test(term) ? term : `(${term})`);
+    const negateTerm = (term) => (isNumeral(term) ? String(-Number(term)) : `-${wrapTerm(term)}`);
+
+    function sumTerms(...terms) {
+        let number = 0;
+        const symbols = [];
+        terms.forEach(term => {
+            if (isNumeral(term)) number += Number(term);
+            else symbols.push(term);
+        });
+        if (!symbols.length) return String(number);
+        if (!number) return symbols.join('+').replace(/\+-/g, '-');
+        // 16-k rather than -k+16
+        return symbols[0].startsWith('-')
+            ? [String(number), ...symbols].join('+').replace(/\+-/g, '-')
+            : [...symbols, String(number)].join('+').replace(/\+-/g, '-');
+    }
+
+    // m times a term: 12n, 12(n+5), 5m, 120
+    function scaleTerm(m, term) {
+        if (m === '1' || term === '0') return term;
+        if (isNumeral(m) && isNumeral(term)) return String(Number(m) * Number(term));
+        if (isNumeral(term)) return `${term}${m}`;
+        return `${m}${isNumeral(m) ? '' : ' '}${wrapTerm(term)}`;
+    }
+
+    // The benefit paid for the year of cover that `index` (k or t) falls in,
+    // as a factor in front of the sum's term: '' when level, null when the
+    // formula isn't written out (decreasing without a term).
+    function weightTerm(model, increasing, decreasing, term) {
+        if (!model.variation) return '';
+        if (model.variation === 'increasing') return `${wrapTerm(increasing)} `;
+        return term ? `${wrapTerm(decreasing)} ` : null;
+    }
+
+    /**
+     * The formula of an annuity with its deferral, term, frequency and
+     * variation, from the symbol's own LaTeX, e.g. for
+     * { age: 'x', type: 'due', defer: 'n', frequency: '(12)' }:
+     *
+     *   \ax*[n|]{x}[(12)] = 1/12 sum_{k=12n}^{oo} v^{k/12} {}_{k/12}p_x
+     *
+     * Null for statuses of more than one life and for variations that step
+     * more often than the payments are made.
+     */
+    function annuityFormula(o) {
+        const model = annuityModel(o);
+        const [life, term, ...rest] = model.lr.split(':');
+        if (rest.length || model.variationFrequency) return null;
+        const d = model.defer || '0';
+        const end = term ? sumTerms(d, term) : null;
+        const lhs = toLatex({ ...o, kind: 'annuity' });
+
+        if (model.type === 'continuous') {
+            if (model.variation && model.variationType !== 'continuous') return null;
+            const weight = weightTerm(model, sumTerms('t', negateTerm(d)), sumTerms(end || '0', '-t'), term);
+            if (weight == null) return null;
+            return `${lhs} = int_{${d}}^{${end || 'oo'}} ${weight}v^t {}_tp_{${life}} dt`;
+        }
+
+        const m = model.frequency ? String(model.frequency).replace(/^[({]|[)}]$/g, '') : '1';
+        if (model.variation && (model.variationType === 'continuous' || m !== '1')) return null;
+        const due = model.type === 'due';
+        const from = due ? scaleTerm(m, d) : sumTerms(scaleTerm(m, d), '1');
+        const to = end ? (due ? sumTerms(scaleTerm(m, end), '-1') : scaleTerm(m, end)) : 'oo';
+        // Payments at the start of year k - d + 1 of cover, or the end of year k - d
+        const weight = due
+            ? weightTerm(model, sumTerms('k', negateTerm(d), '1'), sumTerms(end || '0', '-k'), term)
+            : weightTerm(model, sumTerms('k', negateTerm(d)), sumTerms(end || '0', '-k', '1'), term);
+        if (weight == null) return null;
+        if (m === '1') return `${lhs} = sum_{k=${from}}^{${to}} ${weight}v^k {}_kp_{${life}}`;
+        return `${lhs} = 1/${m} sum_{k=${from}}^{${to}} v^{k/${m}} {}_{k/${m}}p_{${life}}`;
+    }
+
+    /**
+     * The formula of an insurance with its deferral, term and variation (see
+     * annuityFormula), e.g. for { age: 'x', type: 'term', term: 'n' }:
+     *
+     *   \Ax{x:\angl{n}}[1] = sum_{k=0}^{n-1} v^{k+1} {}_{k|}q_x
+     *
+     * Null when the type and term disagree, for benefits paid m-thly and for
+     * variations that step more often than yearly.
+     */
+    function insuranceFormula(o) {
+        const model = insuranceModel(o);
+        const { life, term, type } = model;
+        const lhs = toLatex({ ...o, kind: 'insurance' });
+        if (type === 'pure-endowment') {
+            return term ? `${lhs} = v^{${term}} {}_{${term}}p_{${life}}` : null;
+        }
+        if (!term === (type !== 'whole') || model.frequency || model.variationFrequency) return null;
+
+        const d = model.defer || '0';
+        const end = term ? sumTerms(d, term) : null;
+        // The survival benefit of an endowment is that of the final year
+        const maturity = () => {
+            const weight = model.variation === 'increasing' ? `${wrapTerm(term)} ` : '';
+            return ` + ${weight}v^{${end}} {}_{${end}}p_{${life}}`;
+        };
+
+        if (model.payment === 'continuous') {
+            if (model.variation && model.variationType !== 'continuous') return null;
+            const weight = weightTerm(model, sumTerms('t', negateTerm(d)), sumTerms(end || '0', '-t'), term);
+            if (weight == null) return null;
+            const integral = `int_{${d}}^{${end || 'oo'}} ${weight}v^t {}_tp_{${life}} mu_{${life}+t} dt`;
+            return `${lhs} = ${integral}${type === 'endowment' ? maturity() : ''}`;
+        }
+
+        if (model.variationType === 'continuous') return null;
+        const weight = weightTerm(model, sumTerms('k', negateTerm(d), '1'), sumTerms(end || '0', '-k'), term);
+        if (weight == null) return null;
+        const sum = `sum_{k=${d}}^{${end ? sumTerms(end, '-1') : 'oo'}} ${weight}v^{k+1} {}_{k|}q_{${life}}`;
+        return `${lhs} = ${sum}${type === 'endowment' ? maturity() : ''}`;
+    }
+
+    // The index of a sum or integral, k or t, unless the terms already use it
+    function freeIndex(preferred, ...terms) {
+        return [preferred, 'j', 's', 'u'].find(letter => !terms.some(term => String(term || '').includes(letter))) || preferred;
+    }
+
+    // An age some years on: x+t, 41, 40+k
+    function ageAfter(age, ...years) {
+        const sum = sumTerms(...years);
+        return isNumeral(age) && !isNumeral(sum) ? `${age}+${sum}`.replace(/\+-/g, '-') : sumTerms(age, sum);
+    }
+
+    // The single life of a status, x in x:n; null for joint and other statuses
+    function singleLife(age) {
+        const [life, term, ...rest] = age.split(':');
+        return !rest.length && parseStatus(life).type === 'life' ? { life: life.trim(), term: term ? term.trim() : null } : null;
+    }
+
+    /**
+     * The formula of a premium by the equivalence principle, e.g. for
+     * { benefit: 'A', age: 'x:n', duration: 'h' }:
+     *
+     *   {}_{h}P(\Ax{x:\angl{n}}) = \Ax{x:\angl{n}} / \ax*{x:\angl{h}}
+     */
+    function premiumFormula(o) {
+        const continuous = o.payment === 'continuous';
+        const age = o.age || 'x';
+        // Paid while the status lasts, or for `duration` years
+        const paying = o.duration ? `${age.split(':')[0]}:${o.duration}` : age;
+        const annuity = latexMacro(continuous ? 'ax**' : 'ax*', [], [latexStatus(paying, { angleType: 'annuity' })]);
+        return `${toLatex({ ...o, kind: 'premium' })} = ${latexBenefit(o.benefit || 'A', age, continuous)} / ${annuity}`;
+    }
+
+    /**
+     * The prospective formula of a reserve at its duration, for a single
+     * life, e.g. for { age: 'x:n', duration: 't' }:
+     *
+     *   {}_{t}V(\Ax{x:\angl{n}}) = \Ax{x+t:\angl{n-t}} - P(\Ax{x:\angl{n}}) \ax*{x+t:\angl{n-t}}
+     */
+    function reserveFormula(o) {
+        const status = singleLife(o.age || 'x');
+        if (!status) return null;
+        const continuous = o.payment === 'continuous';
+        const t = o.duration || 'k';
+        // The status t years on, with n - t years of the term left
+        const later = status.term
+            ? `${ageAfter(status.life, t)}:${sumTerms(status.term, negateTerm(t))}`
+            : ageAfter(status.life, t);
+        const premium = toLatex({ ...o, kind: 'premium', duration: null });
+        const annuity = latexMacro(continuous ? 'ax**' : 'ax*', [], [latexStatus(later, { angleType: 'annuity' })]);
+        return `${toLatex({ ...o, kind: 'reserve' })} = ${latexBenefit(o.benefit || 'A', later, continuous)} - ${premium} ${annuity}`;
+    }
+
+    // The years of a probability: t by default, 1 when empty (p_x)
+    const probYears = (o) => (o.time == null ? 't' : (o.time || '1'));
+
+    /**
+     * The formula of a probability for a single life from the life table,
+     * e.g. for { age: 'y', time: '5', type: 'mortality' }:
+     *
+     *   \qx[5]{y} = 1 - \px[5]{y}
+     *
+     * Null for decrements and transitions between states.
+     */
+    function probFormula(o) {
+        const age = o.age || 'x';
+        if (decrementIndex(o) || parseStatus(age).type !== 'life') return null;
+        if (o.type === 'force') {
+            const s = freeIndex('s', age);
+            return `{}_tp_{${age}} = e^{-int_0^t mu_{${ageAfter(age, s)}} d${s}}`;
+        }
+        const lhs = toLatex({ ...o, kind: 'prob' });
+        const time = probYears(o);
+        const survival = (years) => KINDS.prob.toLatex({ age, time: years === '1' ? '' : years });
+        if (o.type === 'mortality') {
+            return o.defer
+                ? `${lhs} = ${survival(o.defer)} - ${survival(sumTerms(o.defer, time))}`
+                : `${lhs} = 1 - ${survival(time)}`;
+        }
+        return `${lhs} = l_{${ageAfter(age, o.defer || '0', time)}} / l_{${age}}`;
+    }
+
+    // The function each commutation function sums from its age on
+    const COMMUTATION_SUMS = { N: 'D', M: 'C', S: 'N', R: 'M' };
+
+    // D_x = v^x l_x, N_x = sum_{k=0}^{oo} D_{x+k}, ... for a single life
+    function commuteFormula(o) {
+        const age = o.age || 'x';
+        if (parseStatus(age).type !== 'life') return null;
+        const func = o.func || 'D';
+        const lhs = toLatex({ ...o, kind: 'commute' });
+        if (func === 'D') return `${lhs} = v^{${age}} l_{${age}}`;
+        if (func === 'C') return `${lhs} = v^{${ageAfter(age, '1')}} d_{${age}}`;
+        const k = freeIndex('k', age);
+        return `${lhs} = sum_{${k}=0}^{oo} ${COMMUTATION_SUMS[func]}_{${ageAfter(age, k)}}`;
+    }
+
+    // l_{x+t} = l_x {}_tp_x, d_x = l_x - l_{x+1} for a single life
+    function countFormula(o) {
+        const age = o.age || 'x';
+        if (o.decrement || parseStatus(age).type !== 'life') return null;
+        if (o.func === 'd') return `${toLatex({ ...o, kind: 'count' })} = l_{${age}} - l_{${ageAfter(age, '1')}}`;
+        const t = freeIndex('t', age);
+        return `l_{${ageAfter(age, t)}} = l_{${age}} {}_{${t}}p_{${age}}`;
+    }
+
+    /**
+     * The formula of an expectation of life, limited to the term of its
+     * status, or of nL_x and nm_x, for a single life, e.g. for
+     * { func: 'e', age: 'x:n', type: 'complete' }:
+     *
+     *   \ex*{x:\angl{n}} = int_0^{n} {}_{t}p_{x} dt
+     */
+    function lifetimeFormula(o) {
+        const status = singleLife(o.age || 'x');
+        if (!status) return null;
+        const { life, term } = status;
+        const func = o.func || 'e';
+        const lhs = toLatex({ ...o, kind: 'lifetime' });
+        if (func === 'e') {
+            if (o.type === 'complete') {
+                const t = freeIndex('t', life, term);
+                return `${lhs} = int_0^{${term || 'oo'}} {}_{${t}}p_{${life}} d${t}`;
+            }
+            const k = freeIndex('k', life, term);
+            return `${lhs} = sum_{${k}=1}^{${term || 'oo'}} {}_{${k}}p_{${life}}`;
+        }
+        if (term) return null;
+        const n = o.time || '1';
+        if (func === 'L') {
+            const t = freeIndex('t', life, n);
+            return `${lhs} = int_0^{${n}} l_{${ageAfter(life, t)}} d${t}`;
+        }
+        if (func === 'm') {
+            const over = o.time ? `{}_{${n}}` : '';
+            return `${lhs} = ${over}d_{${life}} / ${over}L_{${life}}`;
+        }
+        return null;
+    }
+
+    // The rate of an annuity-certain in a formula: i, 0.05 for rate="5%",
+    // or a letter such as j; null for anything else.
+    function certainRate(rate) {
+        if (!rate) return 'i';
+        if (Number.isFinite(toRate(rate))) return String(toRate(rate));
+        return /^\p{L}$/u.test(rate.trim()) ? rate.trim() : null;
+    }
+
+    /**
+     * The formula of an annuity-certain at its rate, or of an interest
+     * symbol, e.g. for { func: 's', type: 'due', term: '10', rate: '5%' }:
+     *
+     *   \sx*{\angl{10} 5\%} = ((1+0.05)^{10} - 1) / (0.05/(1+0.05))
+     */
+    function certainFormula(o) {
+        const func = o.func || 'a';
+        const lhs = toLatex({ ...o, kind: 'certain' });
+        const m = o.frequency ? String(o.frequency).replace(/^[({]|[)}]$/g, '') : null;
+        if (func === 'v') return o.term ? `${lhs} = (1+i)^{${negateTerm(o.term)}}` : `${lhs} = 1 / (1+i)`;
+        if (func === 'i') return m ? `(1 + ${lhs}/${m})^{${m}} = 1 + i` : `${lhs} = e^delta - 1`;
+        if (func === 'd') return m ? `(1 - ${lhs}/${m})^{${m}} = 1 - d` : `${lhs} = i / (1+i)`;
+        if (func === 'delta') return 'e^delta = 1 + i';
+
+        const r = certainRate(o.rate);
+        const nominal = Boolean(m) && o.type !== 'continuous';
+        if (!r || (nominal && r !== 'i')) return null;
+        const n = o.term || 'n';
+        let rate;
+        if (o.type === 'continuous') rate = r === 'i' ? 'delta' : null;
+        else if (o.type === 'due') rate = r === 'i' ? 'd' : `(${r}/(1+${r}))`;
+        else rate = r;
+        if (!rate) return null;
+        if (nominal) rate = `${rate}^{${o.frequency}}`;
+        if (func === 's') return `${lhs} = ((1+${r})^{${n}} - 1) / ${rate}`;
+        const discount = r === 'i' ? `v^{${n}}` : `(1+${r})^{${negateTerm(n)}}`;
+        return `${lhs} = (1 - ${discount}) / ${rate}`;
+    }
+
+    // Words for the parts of a definition that follow the symbol's options
+    const yearsText = (value) => `${value} ${value === '1' ? 'year' : 'years'}`;
+    const payingWords = (o) => (o.duration ? ` for ${yearsText(o.duration)}` : '');
+
+    function certainPayments(o, when) {
+        const rate = o.rate ? ` at ${o.rate}` : '';
+        const payments = o.frequency
+            ? `of 1 a year, payable ${timesAYear(o.frequency)}, at the ${when} of each period`
+            : `of 1 at the ${when} of each year`;
+        return `${payments} for ${yearsText(o.term || 'n')}${rate}`;
+    }
+
+    // "a life aged x", "a life aged x over the next n years"
+    function lifetimeWords(o) {
+        const [life, term] = (o.age || 'x').split(':');
+        return term ? `${statusWords(life)} over the next ${yearsText(term.trim())}` : statusWords(life);
+    }
+
+    function probDefinition(o) {
+        const status = statusWords(o.age || 'x');
+        const time = probYears(o);
+        if (o.stateFrom || o.stateTo) {
+            return `The probability of ${status} being in state ${o.stateTo || 'j'} after ${yearsText(time)}, starting in state ${o.stateFrom || 'i'}.`;
+        }
+        if (o.type === 'mortality') {
+            const deferred = o.defer ? `surviving ${yearsText(o.defer)} and then ` : '';
+            return `The probability of ${status} ${deferred}${o.decrement ? 'leaving' : 'dying'} within ${yearsText(time)}.`;
+        }
+        const years = o.defer ? `${o.defer} plus ${yearsText(time)}` : yearsText(time);
+        return `The probability of ${status} surviving ${years}.`;
+    }
+
+    const EXPLANATIONS = [
+        {
+            kind: 'annuity', type: 'immediate', formula: annuityFormula,
+            definition: 'The expected present value of payments at the rate of 1 a year, made at the end of each payment period for as long as the status lasts.'
+        },
+        {
+            kind: 'annuity', type: 'due', formula: annuityFormula,
+            definition: 'The expected present value of payments at the rate of 1 a year, made at the start of each payment period for as long as the status lasts.'
+        },
+        {
+            kind: 'annuity', type: 'continuous', formula: annuityFormula,
+            definition: 'The expected present value of payments made continuously at the rate of 1 a year for as long as the status lasts.'
+        },
+
+        {
+            kind: 'insurance', type: 'whole', payment: 'eoy', formula: insuranceFormula,
+            definition: 'The expected present value of 1 paid at the end of the year in which the status fails.'
+        },
+        {
+            kind: 'insurance', type: 'whole', payment: 'continuous', formula: insuranceFormula,
+            definition: 'The expected present value of 1 paid at the moment the status fails.'
+        },
+        {
+            kind: 'insurance', type: 'term', payment: 'eoy', formula: insuranceFormula,
+            definition: 'The expected present value of 1 paid at the end of the year of death, if death occurs within the term.'
+        },
+        {
+            kind: 'insurance', type: 'term', payment: 'continuous', formula: insuranceFormula,
+            definition: 'The expected present value of 1 paid at the moment of death, if death occurs within the term.'
+        },
+        {
+            kind: 'insurance', type: 'endowment', payment: 'eoy', formula: insuranceFormula,
+            definition: 'The expected present value of 1 paid at the end of the year of death within the term, or at the end of the term on survival.'
+        },
+        {
+            kind: 'insurance', type: 'endowment', payment: 'continuous', formula: insuranceFormula,
+            definition: 'The expected present value of 1 paid at the moment of death within the term, or at the end of the term on survival.'
+        },
+        {
+            kind: 'insurance', type: 'pure-endowment', formula: insuranceFormula,
+            definition: 'The expected present value of 1 paid at the end of the term if the life survives it.'
+        },
+
+        {
+            kind: 'premium', payment: 'annual', formula: premiumFormula,
+            definition: o => `The level annual premium${payingWords(o)} for the benefit by the equivalence principle: the present value of the premiums equals that of the benefit.`
+        },
+        {
+            kind: 'premium', payment: 'continuous', formula: premiumFormula,
+            definition: o => `The premium rate, paid continuously${payingWords(o)}, for the benefit by the equivalence principle.`
+        },
+        {
+            kind: 'reserve', formula: reserveFormula,
+            definition: o => `The prospective reserve at time ${o.duration || 'k'}: the present value of the future benefits less that of the future premiums, for a policy still in force.`
+        },
+
+        { kind: 'prob', type: 'survival', formula: probFormula, definition: probDefinition },
+        { kind: 'prob', type: 'mortality', formula: probFormula, definition: probDefinition },
+        {
+            kind: 'prob', type: 'force', formula: probFormula,
+            definition: o => `The force of mortality: the instantaneous rate of death at age ${ageWords(o.age || 'x')}.`
+        },
+
+        {
+            kind: 'commute', func: 'D', formula: commuteFormula,
+            definition: o => `The commutation function D: the discounted number of survivors to age ${ageWords(o.age || 'x')}.`
+        },
+        {
+            kind: 'commute', func: 'C', formula: commuteFormula,
+            definition: o => `The commutation function C: the deaths between ages ${ageWords(o.age || 'x')} and ${ageWords(ageAfter(o.age || 'x', '1'))}, discounted to the end of the year.`
+        },
+        {
+            kind: 'commute', func: 'N', formula: commuteFormula,
+            definition: o => `The commutation function N: the sum of D from age ${ageWords(o.age || 'x')} on.`
+        },
+        {
+            kind: 'commute', func: 'M', formula: commuteFormula,
+            definition: o => `The commutation function M: the sum of C from age ${ageWords(o.age || 'x')} on.`
+        },
+        {
+            kind: 'commute', func: 'S', formula: commuteFormula,
+            definition: o => `The commutation function S: the sum of N from age ${ageWords(o.age || 'x')} on.`
+        },
+        {
+            kind: 'commute', func: 'R', formula: commuteFormula,
+            definition: o => `The commutation function R: the sum of M from age ${ageWords(o.age || 'x')} on.`
+        },
+
+        {
+            kind: 'count', func: 'l', formula: countFormula,
+            definition: o => `The expected number of lives surviving to age ${ageWords(o.age || 'x')}, out of the radix of the life table.`
+        },
+        {
+            kind: 'count', func: 'd', formula: countFormula,
+            definition: o => `The expected number of deaths between ages ${ageWords(o.age || 'x')} and ${ageWords(ageAfter(o.age || 'x', '1'))}.`
+        },
+
+        {
+            kind: 'lifetime', func: 'e', type: 'curtate', formula: lifetimeFormula,
+            definition: o => `The curtate expectation of life: the expected number of whole years lived by ${lifetimeWords(o)}.`
+        },
+        {
+            kind: 'lifetime', func: 'e', type: 'complete', formula: lifetimeFormula,
+            definition: o => `The complete expectation of life: the expected future lifetime of ${lifetimeWords(o)}.`
+        },
+        {
+            kind: 'lifetime', func: 'T',
+            definition: o => `The future lifetime of ${statusWords(o.age || 'x')}, a random variable.`
+        },
+        {
+            kind: 'lifetime', func: 'K',
+            definition: o => `The curtate future lifetime of ${statusWords(o.age || 'x')}: the number of whole years it lives, a random variable.`
+        },
+        {
+            kind: 'lifetime', func: 'L', formula: lifetimeFormula,
+            definition: o => `The expected number of years lived between ages ${ageWords(o.age || 'x')} and ${ageWords(ageAfter(o.age || 'x', o.time || '1'))} by the survivors to age ${ageWords(o.age || 'x')}.`
+        },
+        {
+            kind: 'lifetime', func: 'm', formula: lifetimeFormula,
+            definition: o => `The central death rate: the deaths between ages ${ageWords(o.age || 'x')} and ${ageWords(ageAfter(o.age || 'x', o.time || '1'))} per year lived.`
+        },
+
+        {
+            kind: 'certain', func: 'a', type: 'immediate', formula: certainFormula,
+            definition: o => `The present value of an annuity-certain ${certainPayments(o, 'end')}.`
+        },
+        {
+            kind: 'certain', func: 'a', type: 'due', formula: certainFormula,
+            definition: o => `The present value of an annuity-certain ${certainPayments(o, 'start')}.`
+        },
+        {
+            kind: 'certain', func: 'a', type: 'continuous', formula: certainFormula,
+            definition: o => `The present value of payments made continuously at the rate of 1 a year for ${yearsText(o.term || 'n')}${o.rate ? ` at ${o.rate}` : ''}.`
+        },
+        {
+            kind: 'certain', func: 's', type: 'immediate', formula: certainFormula,
+            definition: o => `The accumulated value of an annuity-certain ${certainPayments(o, 'end')}.`
+        },
+        {
+            kind: 'certain', func: 's', type: 'due', formula: certainFormula,
+            definition: o => `The accumulated value of an annuity-certain ${certainPayments(o, 'start')}.`
+        },
+        {
+            kind: 'certain', func: 's', type: 'continuous', formula: certainFormula,
+            definition: o => `The accumulated value of payments made continuously at the rate of 1 a year for ${yearsText(o.term || 'n')}${o.rate ? ` at ${o.rate}` : ''}.`
+        },
+        {
+            kind: 'certain', func: 'v', formula: certainFormula,
+            definition: o => `The discount factor: the present value of 1 due in ${yearsText(o.term || '1')}.`
+        },
+        {
+            kind: 'certain', func: 'i', formula: certainFormula,
+            definition: o => (o.frequency ? `The nominal rate of interest convertible ${timesAYear(o.frequency)}.` : 'The effective rate of interest.')
+        },
+        {
+            kind: 'certain', func: 'd', formula: certainFormula,
+            definition: o => (o.frequency ? `The nominal rate of discount convertible ${timesAYear(o.frequency)}.` : 'The effective rate of discount.')
+        },
+        {
+            kind: 'certain', func: 'delta', formula: certainFormula,
+            definition: 'The force of interest: the continuously compounded rate of interest.'
+        },
+
+        {
+            kind: 'symbol',
+            definition: 'A symbol composed from its corners: the letter, the status in the lower right and the scripts around it.'
+        },
+        {
+            kind: 'symbol', decoration: 'bar',
+            definition: 'A bar over the letter marks payments made continuously, or at the moment of death.'
+        },
+        {
+            kind: 'symbol', decoration: 'ddot',
+            definition: 'Two dots over the letter mark payments made at the start of each period.'
+        },
+        {
+            kind: 'symbol', decoration: 'ring',
+            definition: 'A ring over the letter marks a complete, rather than curtate, quantity.'
+        }
+    ];
+
+    // Attribute values read aloud in the popover's list of parameters
+    const PARAMETER_WORDS = {
+        age: statusWords,
+        lr: statusWords,
+        term: yearsText,
+        time: yearsText,
+        defer: value => `deferred ${yearsText(value)}`,
+        duration: value => `at time ${value}`,
+        frequency: value => `payable ${timesAYear(value)}`,
+        variation: value => `${value} by 1 a year`,
+        variationType: value => (value === 'continuous' ? 'varying continuously' : null),
+        variationFrequency: value => `varying ${timesAYear(value)}`
+    };
+
+    /**
+     * The explanation of a symbol description: its speech text
+     * (`description`), the `definition` and `formula` of the EXPLANATIONS
+     * entry that matches it best, and its `parameters`, the options it sets
+     * as [{ attribute, value, meaning }]. Null when no entry matches.
+     *
+     *   explain({ kind: 'annuity', age: 'x', type: 'due', defer: 'n', frequency: '(12)' })
+     *   // -> { definition: 'The expected present value of payments at the rate of 1 a year, made at the start ...',
+     *   //      formula: '\\ax*[n|]{x}[(12)] = 1/12 sum_{k=12n}^{oo} v^{k/12} {}_{k/12}p_x',
+     *   //      parameters: [{ attribute: 'age', ... }, ...], ... }
+     */
+    function explain(spec) {
+        const kind = KINDS[spec && spec.kind];
+        if (!kind) return null;
+        const options = { ...EXPLANATION_DEFAULTS[spec.kind] };
+        EXPLANATION_KEYS.forEach(key => {
+            if (spec[key]) options[key] = spec[key];
+        });
+        let best = null;
+        let bestKeys = -1;
+        EXPLANATIONS.forEach(entry => {
+            if (entry.kind !== spec.kind) return;
+            const keys = EXPLANATION_KEYS.filter(key => entry[key] !== undefined);
+            if (keys.every(key => entry[key] === options[key]) && keys.length > bestKeys) {
+                best = entry;
+                bestKeys = keys.length;
+            }
+        });
+        if (!best) return null;
+        let definition = best.definition;
+        let formula = null;
+        try {
+            if (typeof definition === 'function') definition = definition(spec);
+        } catch (e) {
+            // an invalid status: shown without a definition
+            definition = null;
+        }
+        try {
+            formula = typeof best.formula === 'function' ? best.formula(spec) : best.formula || null;
+            if (formula) parseEquation(formula);
+        } catch (e) {
+            // shown without a formula
+            formula = null;
+        }
+
+        const parameters = Object.keys(kind.properties)
+            .filter(prop => spec[prop] != null && spec[prop] !== false && spec[prop] !== '')
+            .map(prop => {
+                const value = typeof spec[prop] === 'string' ? spec[prop] : JSON.stringify(spec[prop]);
+                let meaning = null;
+                try {
+                    meaning = PARAMETER_WORDS[prop] ? PARAMETER_WORDS[prop](value) : null;
+                } catch (e) {
+                    // shown without its meaning
+                }
+                return { attribute: toAttributeName(prop), value, meaning };
+            });
+        return { description: describe(spec), definition, formula, parameters };
+    }
+
+    // ===========================================================================
+    // IDENTITIES
+    // ===========================================================================
+
+    /*
+     * Standard relations between the symbols, drawn by <act-identity> and
+     * renderIdentity. Each has a `name`, a `title` and its `formula` in the
+     * equation shorthand (see EquationParser), written for a life aged x, a
+     * term of n years, a duration of t years and m payments a year, which
+     * are replaced by the values it is drawn with (see substituteEquation).
+     * An optional `derivation` lists the right-hand sides that lead from the
+     * formula's left-hand side to its right-hand side, each related to the
+     * left-hand side as in the formula. Entries can be added:
+     *
+     *   ActuarialSymbols.identities.push({ name: 'annuity-due-immediate', title: '...', formula: 'ä_x = 1 + a_x' });
+     */
+    const IDENTITIES = [
+        {
+            name: 'whole-life-insurance', title: 'Whole life insurance from the annuity-due',
+            formula: 'A_x = 1 - d ä_x',
+            derivation: ['sum_{k=0}^{oo} v^{k+1} {}_{k|}q_x', 'E[v^{K+1}]', 'E[1 - d ä_{K+1|}]', '1 - d ä_x']
+        },
+        {
+            name: 'endowment-insurance', title: 'Endowment insurance from the temporary annuity-due',
+            formula: 'A_{x:n|} = 1 - d ä_{x:n|}'
+        },
+        {
+            name: 'continuous-insurance', title: 'Continuous whole life insurance from the continuous annuity',
+            formula: 'Ā_x = 1 - δ ā_x'
+        },
+        {
+            name: 'endowment-split', title: 'Endowment insurance as term insurance and pure endowment',
+            formula: 'A_{x:n|} = A^1_{x:n|} + {}_nE_x'
+        },
+        {
+            name: 'term-insurance', title: 'Term insurance as the difference of whole life insurances',
+            formula: 'A^1_{x:n|} = A_x - {}_nE_x A_{x+n}'
+        },
+        {
+            name: 'pure-endowment', title: 'Pure endowment',
+            formula: '{}_nE_x = v^n {}_np_x'
+        },
+        {
+            name: 'temporary-annuity', title: 'Temporary annuity-due as the difference of whole life annuities',
+            formula: 'ä_{x:n|} = ä_x - {}_nE_x ä_{x+n}'
+        },
+        {
+            name: 'deferred-annuity', title: 'Deferred annuity-due',
+            formula: '{}_{n|}ä_x = {}_nE_x ä_{x+n}'
+        },
+        {
+            name: 'annuity-recursion', title: 'Recursion for the whole life annuity-due',
+            formula: 'ä_x = 1 + v p_x ä_{x+1}'
+        },
+        {
+            name: 'insurance-recursion', title: 'Recursion for whole life insurance',
+            formula: 'A_x = v q_x + v p_x A_{x+1}'
+        },
+        {
+            name: 'mthly-annuity', title: 'Annuity-due payable m times a year, two-term Woolhouse approximation',
+            formula: 'ä_x^{(m)} ≈ ä_x - (m-1)/(2m)'
+        },
+        {
+            name: 'continuous-insurance-udd', title: 'Continuous insurance under uniform distribution of deaths',
+            formula: 'Ā_x = i/δ A_x'
+        },
+        {
+            name: 'premium', title: 'Whole life premium by the equivalence principle',
+            formula: 'P(A_x) = A_x / ä_x',
+            derivation: ['A_x / ä_x', '(1 - d ä_x) / ä_x', '1/ä_x - d']
+        },
+        {
+            name: 'endowment-premium', title: 'Endowment premium by the equivalence principle',
+            formula: 'P(A_{x:n|}) = A_{x:n|} / ä_{x:n|}'
+        },
+        {
+            name: 'prospective-reserve', title: 'Prospective reserve for whole life insurance',
+            formula: '{}_tV(A_x) = 1 - ä_{x+t} / ä_x',
+            derivation: ['A_{x+t} - P(A_x) ä_{x+t}', '1 - d ä_{x+t} - (1/ä_x - d) ä_{x+t}', '1 - ä_{x+t} / ä_x']
+        },
+        {
+            name: 'reserve-recursion', title: 'Recursion for the reserve',
+            formula: '({}_tV(A_x) + P(A_x))(1+i) = q_{x+t} + p_{x+t} {}_{t+1}V(A_x)'
+        },
+        {
+            name: 'survival-product', title: 'Survival over consecutive periods',
+            formula: '{}_{t+n}p_x = {}_tp_x {}_np_{x+t}'
+        },
+        {
+            name: 'curtate-expectation', title: 'Recursion for the curtate expectation of life',
+            formula: 'e_x = p_x (1 + e_{x+1})'
+        },
+        {
+            name: 'commutation-annuity', title: 'Annuity-due from commutation functions',
+            formula: 'ä_x = N_x / D_x'
+        },
+        {
+            name: 'commutation-insurance', title: 'Whole life insurance from commutation functions',
+            formula: 'A_x = M_x / D_x'
+        },
+        {
+            name: 'annuity-certain', title: 'Annuity-certain due',
+            formula: 'ä_{n|} = (1 - v^n) / d'
+        }
+    ];
+
+    // The options of <act-identity> and renderIdentity -> the letter they replace
+    const IDENTITY_VARIABLES = { age: 'x', term: 'n', duration: 't', frequency: 'm' };
+
+    // The fields of a symbol description that hold ages, terms and frequencies
+    const IDENTITY_FIELDS = ['age', 'lr', 'll', 'ul', 'ur', 'term', 'defer', 'duration', 'time', 'frequency', 'variationFrequency'];
+
+    function findIdentity(name) {
+        const identity = IDENTITIES.find(entry => entry.name === name);
+        if (!identity) throw new Error(`Unknown identity "${name}"`);
+        return identity;
+    }
+
+    // The letters of IDENTITY_VARIABLES -> their values in `options`; a
+    // frequency can be given as 12 or (12). The age is a single life, as
+    // it is added to (x+n).
+    function identityValues(options) {
+        const values = {};
+        Object.entries(IDENTITY_VARIABLES).forEach(([option, letter]) => {
+            const value = options[option] == null ? '' : String(options[option]).trim();
+            const message = option === 'age' && value ? LIFE_RULE(value) : null;
+            if (message) throw new Error(`age="${value}": ${message}`);
+            if (value) values[letter] = option === 'frequency' ? value.replace(/^\((.*)\)$/, '$1') : value;
+        });
+        return values;
+    }
+
+    // A status or script with its letters replaced. The parts of a status
+    // that become sums of whole numbers are added up: x+t is 45 at x = 40, t = 5.
+    function substituteText(text, values) {
+        const replaced = text.replace(/\p{L}/gu, letter => (values[letter] != null ? values[letter] : letter));
+        return replaced.split(':').map(part => (
+            /^\d+([+-]\d+)+$/.test(part) ? String(part.match(/[+-]?\d+/g).reduce((sum, n) => sum + Number(n), 0)) : part
+        )).join(':');
+    }
+
+    // What a letter standing on its own is replaced with: a number, a letter
+    // or, for anything longer, the value in parentheses.
+    function valueNode(value) {
+        let node;
+        try {
+            node = parseEquation(value);
+        } catch (e) {
+            return { type: 'identifier', text: value, decoration: '' };
+        }
+        return node.type === 'row' ? { type: 'group', open: '(', close: ')', body: node } : node;
+    }
+
+    /**
+     * An equation tree with the letters of `values` replaced, both in the
+     * statuses and scripts of its symbols and where they stand on their own.
+     * Numbers that end up side by side get a dot between them: 2m is 2⋅12
+     * at m = 12.
+     */
+    function substituteEquation(node, values) {
+        const sub = n => n && substituteEquation(n, values);
+        switch (node.type) {
+            case 'row': {
+                const items = node.items.map(sub);
+                return {
+                    type: 'row',
+                    items: items.map((item, i) => (
+                        item.text === INVISIBLE_TIMES && items[i - 1].type === 'number' && items[i + 1].type === 'number'
+                            ? { type: 'operator', text: '⋅' }
+                            : item
+                    ))
+                };
+            }
+            case 'symbol': {
+                const spec = { ...node.spec };
+                IDENTITY_FIELDS.forEach(field => {
+                    if (typeof spec[field] === 'string') spec[field] = substituteText(spec[field], values);
+                });
+                return { type: 'symbol', spec };
+            }
+            case 'identifier':
+                return values[node.text] && !node.decoration ? valueNode(values[node.text]) : node;
+            case 'group':
+                return { ...node, body: sub(node.body) };
+            case 'fraction':
+                return { ...node, num: sub(node.num), den: sub(node.den) };
+            case 'big':
+                return { ...node, under: sub(node.under), over: sub(node.over), body: sub(node.body) };
+            case 'scripts':
+                return { ...node, base: sub(node.base), ll: sub(node.ll), ul: sub(node.ul), lr: sub(node.lr), ur: sub(node.ur) };
+            default:
+                return node;
+        }
+    }
+
+    // The sides of an identity, its letters replaced: the left-hand side,
+    // the relation and the right-hand sides, those of the derivation with
+    // `derivation`.
+    function identitySides(identity, values, derivation = false) {
+        const tree = parseEquation(identity.formula);
+        const at = tree.type === 'row' ? tree.items.findIndex(item => item.type === 'operator' && RELATIONS.includes(item.text)) : -1;
+        if (at < 0) throw new Error(`Identity "${identity.name}" is not a relation: ${identity.formula}`);
+        const side = items => (items.length === 1 ? items[0] : { type: 'row', items });
+        const rights = derivation && identity.derivation
+            ? identity.derivation.map(parseEquation)
+            : [side(tree.items.slice(at + 1))];
+        return {
+            left: substituteEquation(side(tree.items.slice(0, at)), values),
+            relation: tree.items[at].text,
+            rights: rights.map(right => substituteEquation(right, values))
+        };
+    }
+
+    // The sides as one equation, left = right, or a derivation as aligned
+    // lines, { type: 'aligned', lines: [{ left, right }] }: the left-hand
+    // side on the first only and each right-hand side after its relation.
+    function identityTree({ left, relation, rights }) {
+        const step = right => ({ type: 'row', items: [{ type: 'operator', text: relation }, right] });
+        if (rights.length === 1) return { type: 'row', items: [left, ...step(rights[0]).items] };
+        return { type: 'aligned', lines: rights.map((right, i) => ({ left: i ? null : left, right: step(right) })) };
+    }
+
+    /**
+     * Renders an identity of the catalogue (see IDENTITIES) to a <math> node
+     * tree, with x, n, t and m replaced by the `age`, `term`, `duration` and
+     * `frequency` options:
+     *
+     *   renderIdentity('temporary-annuity', { age: '40', term: '10' })
+     *   // ä_{40:10|} = ä_40 − {}_10E_40 ä_50
+     *
+     * With `derivation` the steps of the identity's derivation follow, one
+     * a line of an <mtable> with the relations lined up. Other options as
+     * for renderEquation.
+     */
+    function renderIdentity(name, options = {}) {
+        const sides = identitySides(findIdentity(name), identityValues(options), options.derivation);
+        return equationMath(identityTree(sides), options);
+    }
+
+    // The symbol descriptions in an equation tree
+    function equationSymbols(node, symbols = []) {
+        if (!node || typeof node !== 'object') return symbols;
+        if (node.type === 'symbol') symbols.push(node.spec);
+        else Object.values(node).forEach(value => [].concat(value).forEach(child => equationSymbols(child, symbols)));
+        return symbols;
+    }
+
+    // What findIdentities compares symbols by: the kind, the options of
+    // EXPLANATION_KEYS and the benefit or letter, unset ones taking the
+    // kind's default (EXPLANATION_DEFAULTS), and the shape of the status,
+    // ages and terms aside.
+    function identityKey(spec) {
+        const options = { ...EXPLANATION_DEFAULTS[spec.kind] };
+        [...EXPLANATION_KEYS, 'benefit', 'symbol'].forEach(key => {
+            if (spec[key]) options[key] = spec[key];
+        });
+        const status = String(spec.age || spec.lr || '');
+        return JSON.stringify([
+            spec.kind,
+            ...[...EXPLANATION_KEYS, 'benefit', 'symbol'].map(key => options[key] || null),
+            status.includes(':'), Boolean(spec.defer), Boolean(spec.frequency), Boolean(spec.ll),
+            // p_x is {}_1p_x, not {}_tp_x
+            Boolean(spec.time && spec.time !== '1')
+        ]);
+    }
+
+    /**
+     * The identities of the catalogue that involve a symbol, given as a
+     * symbol description or in the equation shorthand: those with a symbol
+     * of the same kind and options, with or without a term, deferment,
+     * frequency or time as the symbol is, whatever its ages and terms.
+     *
+     *   findIdentities('ä_{x:n|}').map(identity => identity.name)
+     *   // ['endowment-insurance', 'temporary-annuity', 'endowment-premium']
+     */
+    function findIdentities(symbol) {
+        let spec = symbol;
+        if (typeof symbol === 'string') {
+            const node = parseEquation(symbol);
+            if (node.type !== 'symbol') throw new Error(`"${symbol}" is not a single actuarial symbol`);
+            spec = node.spec;
+        }
+        if (!KINDS[spec && spec.kind]) throw new Error(`Unknown actuarial symbol kind: ${spec && spec.kind}`);
+        const key = identityKey(spec);
+        return IDENTITIES.filter(identity => (
+            equationSymbols(parseEquation(identity.formula)).some(found => identityKey(found) === key)
+        ));
+    }
+
+    // ===========================================================================
+    // AUTO-RENDER
+    // ===========================================================================
+
+    const AUTO_RENDER_DEFAULTS = {
+        delimiters: [
+            { left: '\\(', right: '\\)', display: false },
+            { left: '\\[', right: '\\]', display: true },
+            { left: '$$', right: '$$', display: true }
+        ],
+        ignoredTags: ['script', 'noscript', 'style', 'textarea', 'pre', 'code', 'option', 'math'],
+        ignoredClasses: [],
+        observe: false,
+        renderer: null,
+        errorCallback: (message, error) => console.warn(message, error)
+    };
+
+    /**
+     * Splits text into plain-text and delimited LaTeX pieces. An opening
+     * delimiter without its closing one is left as text.
+     */
+    function splitAtDelimiters(text, delimiters) {
+        const pieces = [];
+        let rest = text;
+        while (rest) {
+            let next = null;
+            delimiters.forEach(delimiter => {
+                const index = rest.indexOf(delimiter.left);
+                if (index !== -1 && (!next || index < next.index)) next = { index, delimiter };
+            });
+            if (!next) break;
+
+            const { index, delimiter } = next;
+            const start = index + delimiter.left.length;
+            const end = rest.indexOf(delimiter.right, start);
+            if (end === -1) break;
+
+            if (index > 0) pieces.push({ type: 'text', data: rest.slice(0, index) });
+            pieces.push({
+                type: 'math',
+                data: rest.slice(start, end),
+                raw: rest.slice(index, end + delimiter.right.length),
+                display: Boolean(delimiter.display)
+            });
+            rest = rest.slice(end + delimiter.right.length);
+        }
+        if (rest) pieces.push({ type: 'text', data: rest });
+        return pieces;
+    }
+
+    function isAutoRenderIgnored(el, options) {
+        const tag = el.localName;
+        return options.ignoredTags.includes(tag)
+            || tag === 'act'
+            || tag.startsWith('act-')
+            || options.ignoredClasses.some(cls => el.classList && el.classList.contains(cls));
+    }
+
+    function autoRenderTextNode(node, options) {
+        const pieces = splitAtDelimiters(node.data, options.delimiters);
+        if (!pieces.some(piece => piece.type === 'math')) return;
+
+        const doc = node.ownerDocument;
+        const fragment = doc.createDocumentFragment();
+        pieces.forEach(piece => {
+            if (piece.type === 'text') {
+                fragment.appendChild(doc.createTextNode(piece.data));
+                return;
+            }
+            try {
+                const el = createElement({ ...parseLatex(piece.data), renderer: options.renderer }, doc);
+                if (piece.display) {
+                    el.style.display = 'block';
+                    el.style.textAlign = 'center';
+                }
+                fragment.appendChild(el);
+            } catch (e) {
+                options.errorCallback(`Actuarial Symbols auto-render: failed to render ${piece.raw}`, e);
+                fragment.appendChild(doc.createTextNode(piece.raw));
+            }
+        });
+        node.parentNode.replaceChild(fragment, node);
+    }
+
+    function autoRenderNode(node, options) {
+        if (node.nodeType === 3) {
+            autoRenderTextNode(node, options);
+        } else if (node.nodeType === 1 && !isAutoRenderIgnored(node, options)) {
+            Array.from(node.childNodes).forEach(child => autoRenderNode(child, options));
+        }
+    }
+
+    /**
+     * Finds actuarial macros between delimiters in the text under `root` and
+     * replaces them with the matching act-* elements, e.g.
+     * "\( \ax**{x:\angl{n}} \)" becomes <act-annuity age="x:n" type="continuous">.
+     *
+     * Options:
+     *   delimiters     - [{ left, right, display }], default \( \), \[ \] and $$ $$
+     *   ignoredTags    - elements whose text is left alone (pre, code, script, ...)
+     *   ignoredClasses - class names whose text is left alone
+     *   observe        - also render text inserted under `root` later on
+     *   renderer       - 'mathml' or 'html' for the created elements (default: the global option)
+     *   errorCallback  - called with (message, error) for macros that fail to parse
+     *
+     * Returns the MutationObserver when `observe` is set (call disconnect() to
+     * stop), otherwise null.
+     */
+    function autoRender(root = document.body, options = {}) {
+        const settings = { ...AUTO_RENDER_DEFAULTS, ...options };
+        autoRenderNode(root, settings);
+        if (!settings.observe) return null;
+
+        const isInsideIgnored = (node) => {
+            for (let el = node.parentElement; el && el !== root; el = el.parentElement) {
+                if (isAutoRenderIgnored(el, settings)) return true;
+            }
+            return false;
+        };
+        const observer = new MutationObserver(records => {
+            records.forEach(record => {
+                record.addedNodes.forEach(node => {
+                    if (node.isConnected && root.contains(node) && !isInsideIgnored(node)) {
+                        autoRenderNode(node, settings);
+                    }
+                });
+            });
+        });
+        observer.observe(root, { childList: true, subtree: true });
+        return observer;
+    }
+
+    // ===========================================================================
+    // BASE CLASS for Actuarial Symbols
+    // ===========================================================================
+
+    // Options every kind accepts besides its own `properties`.
+    const COMMON_PROPERTIES = {
+        alttext: String, renderer: String, angleStyle: String, notation: String, lightDom: Boolean, strict: Boolean,
+        copyMenu: Boolean, explain: Boolean
+    };
+
+    // The shadow root's style sheet. Pages theme the symbols through the
+    // custom properties and style single pieces with ::part() (see markParts).
+    const SHADOW_STYLES = `
+        :host { color: var(--act-color, currentColor); }
+        :host([hidden]) { display: none; }
+        math [part~="lr"], math [part~="ur"], math [part~="ll"], math [part~="ul"] {
+            font-size: calc(var(--act-script-scale, 0.7) * 1em);
+        }
+    `;
+
+    // An error message in place of a symbol. An unknown `renderer` is itself
+    // the error, so the global renderer draws it.
+    function renderError(error, doc, renderer) {
+        const math = createMathML('math', { alttext: error.message }, [
+            createMathML('merror', { part: 'error' }, [createMathML('mtext', {}, [error.message])])
+        ]);
+        return renderToNode(math, doc, RENDERERS.includes(renderer) ? renderer : null);
+    }
+
+    // Converts a camelCase property name to its kebab-case attribute name.
+    const toAttributeName = (prop) => prop.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+    // Lets the renderers load outside the browser, where HTMLElement is missing.
+    const ElementBase = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
+    // The "Copy as" menu of the components with `copy-menu`
+    const COPY_MENU_STYLE = 'position:fixed;z-index:2147483647;display:flex;flex-direction:column;padding:4px 0;'
+        + 'background:Canvas;color:CanvasText;border:1px solid GrayText;border-radius:4px;box-shadow:0 2px 8px rgba(0,0,0,0.25);font:menu';
+    const COPY_MENU_ITEM_STYLE = 'padding:4px 16px;border:0;background:none;color:inherit;font:inherit;text-align:left;cursor:pointer';
+
+    let copyMenu = null;
+
+    function closeCopyMenu() {
+        if (!copyMenu) return;
+        copyMenu.close();
+        copyMenu = null;
+    }
+
+    /**
+     * Opens the "Copy as" menu for a component at (x, y) in the viewport.
+     * The arrow keys move between the formats, Enter copies, and Escape or
+     * a click elsewhere closes the menu.
+     */
+    function openCopyMenu(el, x, y) {
+        closeCopyMenu();
+        closeExplain();
+        const doc = el.ownerDocument;
+        const menu = doc.createElement('div');
+        menu.setAttribute('role', 'menu');
+        menu.setAttribute('aria-label', 'Copy as');
+        menu.setAttribute('style', `${COPY_MENU_STYLE};left:${x}px;top:${y}px`);
+        const items = Object.entries(COPY_FORMATS).map(([format, label]) => {
+            const item = doc.createElement('button');
+            item.type = 'button';
+            item.setAttribute('role', 'menuitem');
+            item.setAttribute('tabindex', '-1');
+            item.setAttribute('style', COPY_MENU_ITEM_STYLE);
+            item.textContent = `Copy as ${label}`;
+            item.addEventListener('click', () => {
+                closeCopyMenu();
+                el.focus();
+                el.copy(format).catch(error => el.reportError(error, []));
+            });
+            return item;
+        });
+        menu.append(...items);
+        menu.addEventListener('keydown', event => {
+            const index = items.indexOf(doc.activeElement);
+            const moves = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: items.length - 1 };
+            if (event.key in moves) {
+                event.preventDefault();
+                items[(moves[event.key] + items.length) % items.length].focus();
+            } else if (event.key === 'Escape' || event.key === 'Tab') {
+                event.preventDefault();
+                closeCopyMenu();
+                el.focus();
+            }
+        });
+        const dismiss = (event) => {
+            if (!menu.contains(event.target)) closeCopyMenu();
+        };
+        doc.addEventListener('pointerdown', dismiss, true);
+        doc.body.appendChild(menu);
+        items[0].focus();
+        copyMenu = {
+            close() {
+                doc.removeEventListener('pointerdown', dismiss, true);
+                menu.remove();
+            }
+        };
+    }
+
+    // The explanation popover of the components with `explain`
+    const EXPLAIN_STYLE = 'position:absolute;z-index:2147483646;max-width:24em;padding:8px 12px;pointer-events:none;text-align:left;'
+        + 'background:Canvas;color:CanvasText;border:1px solid GrayText;border-radius:4px;box-shadow:0 2px 8px rgba(0,0,0,0.25);'
+        + 'font:13px/1.4 system-ui,sans-serif';
+    const EXPLAIN_FORMULA_STYLE = 'margin:6px 0;font-size:1.25em;text-align:center';
+    const EXPLAIN_LIST_STYLE = 'display:grid;grid-template-columns:auto 1fr;gap:0 8px;margin:6px 0 0';
+
+    let explainPopover = null;
+    let explainCount = 0;
+
+    // Closes the popover, or only `el`'s
+    function closeExplain(el = null) {
+        if (!explainPopover || (el && explainPopover.el !== el)) return;
+        explainPopover.close();
+        explainPopover = null;
+    }
+
+    /**
+     * Shows a component's explanation (see explain) below it: its speech
+     * text, the definition, the formula drawn with the component's renderer,
+     * angle style and notation, and its parameters. While it is open the
+     * popover describes the component for screen readers.
+     */
+    function openExplain(el) {
+        closeExplain();
+        const info = el.explanation();
+        if (!info) return;
+        const doc = el.ownerDocument;
+        const view = doc.defaultView;
+        const rect = el.getBoundingClientRect();
+        const popover = doc.createElement('div');
+        popover.id = `act-explain-${++explainCount}`;
+        popover.setAttribute('role', 'tooltip');
+        popover.setAttribute('style', `${EXPLAIN_STYLE};left:${rect.left + view.scrollX}px;top:${rect.bottom + view.scrollY + 4}px`);
+
+        const title = doc.createElement('strong');
+        title.textContent = info.description;
+        const definition = doc.createElement('div');
+        definition.textContent = info.definition;
+        popover.append(title, definition);
+        if (info.formula) {
+            const formula = doc.createElement('div');
+            formula.setAttribute('style', EXPLAIN_FORMULA_STYLE);
+            const { angleStyle, notation, renderer } = el.getOptions();
+            try {
+                formula.appendChild(renderToNode(renderEquation(info.formula, { angleStyle, notation }), doc, renderer));
+            } catch (e) {
+                // A catalogue formula that does not parse is shown as written
+                formula.textContent = info.formula;
+            }
+            popover.appendChild(formula);
+        }
+        if (info.parameters.length) {
+            const list = doc.createElement('dl');
+            list.setAttribute('style', EXPLAIN_LIST_STYLE);
+            info.parameters.forEach(({ attribute, value, meaning }) => {
+                const name = doc.createElement('dt');
+                name.textContent = attribute;
+                const detail = doc.createElement('dd');
+                detail.setAttribute('style', 'margin:0');
+                detail.textContent = meaning ? `${value}: ${meaning}` : value;
+                list.append(name, detail);
+            });
+            popover.appendChild(list);
+        }
+
+        doc.body.appendChild(popover);
+        const describedBy = el.getAttribute('aria-describedby');
+        el.setAttribute('aria-describedby', describedBy ? `${describedBy} ${popover.id}` : popover.id);
+        explainPopover = {
+            el,
+            close() {
+                popover.remove();
+                if (describedBy) el.setAttribute('aria-describedby', describedBy);
+                else el.removeAttribute('aria-describedby');
+            }
+        };
+    }
+
+    class ActuarialSymbolBase extends ElementBase {
+        /**
+         * The key into KINDS this element renders.
+         */
+        static get kind() {
+            return null;
+        }
+
+        /**
+         * The custom element name this class is registered under.
+         */
+        static get tag() {
+            return KINDS[this.kind].tag;
+        }
+
+        /**
+         * Attribute-backed properties, keyed by property name. The value is the
+         * type used to convert between the attribute string and the property:
+         * String, Boolean (presence attribute) or Array (JSON-encoded).
+         */
+        static get properties() {
+            return KINDS[this.kind] ? { ...KINDS[this.kind].properties, ...COMMON_PROPERTIES } : {};
+        }
+
+        /**
+         * The rules the attributes are validated with, keyed like `properties`.
+         */
+        static get schema() {
+            return KINDS[this.kind] ? { ...KINDS[this.kind].schema, ...COMMON_SCHEMA } : {};
+        }
+
+        static get observedAttributes() {
+            return Object.keys(this.properties).map(toAttributeName);
+        }
+
+        /**
+         * The style sheet of the shadow root.
+         */
+        static get styles() {
+            return SHADOW_STYLES;
+        }
+
+        constructor() {
+            super();
+            this.rendered = false;
+            this._renderRequested = false;
+            this._focusable = false;
+
+            // The copy menu opens on right-click, or from the keyboard with the
+            // context menu key or Shift+F10 (no pointer position: under the element)
+            this.addEventListener('contextmenu', event => {
+                if (!this.hasCopyMenu()) return;
+                event.preventDefault();
+                const fromKeyboard = event.clientX === 0 && event.clientY === 0;
+                const rect = this.getBoundingClientRect();
+                openCopyMenu(this, fromKeyboard ? rect.left : event.clientX, fromKeyboard ? rect.bottom : event.clientY);
+            });
+            // Ctrl+C (⌘C) on the focused element, with nothing selected, copies its LaTeX
+            this.addEventListener('copy', event => {
+                const selection = this.ownerDocument.getSelection();
+                if (!this.hasCopyMenu() || !event.clipboardData || (selection && !selection.isCollapsed)) return;
+                event.preventDefault();
+                event.clipboardData.setData('text/plain', this.serialize('latex'));
+            });
+            // The explanation shows while the pointer is over the element or
+            // it has focus, and Escape hides it
+            const showExplain = () => {
+                if (this.hasExplain()) openExplain(this);
+            };
+            const hideExplain = () => closeExplain(this);
+            this.addEventListener('pointerenter', showExplain);
+            this.addEventListener('focus', showExplain);
+            this.addEventListener('pointerleave', hideExplain);
+            this.addEventListener('blur', hideExplain);
+            this.addEventListener('keydown', event => {
+                if (event.key === 'Escape') hideExplain();
+            });
+        }
+
+        connectedCallback() {
+            // Properties assigned before the element was upgraded shadow the
+            // prototype accessors; re-assign them so they reach the attributes.
+            Object.keys(this.constructor.properties).forEach(prop => {
+                if (Object.prototype.hasOwnProperty.call(this, prop)) {
+                    const value = this[prop];
+                    delete this[prop];
+                    this[prop] = value;
+                }
+            });
+            // Re-render when the life table named by `table` is (re)registered,
+            // e.g. once an <act-life-table> has finished loading.
+            if ('table' in this.constructor.properties && !this._unsubscribeTables) {
+                this._unsubscribeTables = LifeTable.onRegister(id => {
+                    if (id === this.getAttribute('table')) this.requestRender();
+                });
+            }
+            // Re-render when the text content (the shorthand) changes, e.g.
+            // when the parser appends it after the first render.
+            if (typeof MutationObserver !== 'undefined') {
+                if (!this._contentObserver) this._contentObserver = new MutationObserver(() => this.contentChanged());
+                this._contentObserver.observe(this, { childList: true, characterData: true, subtree: true });
+            }
+            this.requestRender();
+        }
+
+        disconnectedCallback() {
+            if (this._unsubscribeTables) {
+                this._unsubscribeTables();
+                this._unsubscribeTables = null;
+            }
+            if (this._contentObserver) this._contentObserver.disconnect();
+        }
+
+        // The text content changed: read it again on the next render
+        contentChanged() {
+            this.forgetContent();
+            this.requestRender();
+        }
+
+        forgetContent() {
+            this._shorthand = null;
+        }
+
+        // What render drew in light DOM is not new text content: it is left
+        // out of sourceText, and its changes are not reported.
+        ignoreOwnChanges() {
+            this._drawn = this._lightContent ? Array.from(this.childNodes) : [];
+            if (this._contentObserver) this._contentObserver.takeRecords();
+        }
+
+        // The element's text content, without the symbol drawn in light DOM
+        sourceText() {
+            const drawn = this._drawn || [];
+            return Array.from(this.childNodes)
+                .filter(node => !drawn.includes(node))
+                .map(node => node.textContent)
+                .join('')
+                .trim();
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (oldValue !== newValue) this.requestRender();
+        }
+
+        /**
+         * Schedules a render for the next frame. Any number of attribute or
+         * property changes made before then are batched into a single render.
+         */
+        requestRender() {
+            if (this._renderRequested) return;
+            this._renderRequested = true;
+            // Defer rendering to allow attributes to be set
+            requestAnimationFrame(() => {
+                this._renderRequested = false;
+                if (this.isConnected) {
+                    this.render();
+                    this.rendered = true;
+                    this.ignoreOwnChanges();
+                }
+            });
+        }
+
+        /**
+         * The element's render options, read from its attributes and, for the
+         * ones it does not have, from the shorthand in its text content (see
+         * readShorthand). Array-typed attributes are passed through as strings
+         * for the renderer to parse.
+         */
+        getOptions() {
+            const options = { kind: this.constructor.kind };
+            const shorthand = this.readShorthand().options;
+            Object.entries(this.constructor.properties).forEach(([prop, type]) => {
+                const attr = toAttributeName(prop);
+                options[prop] = type === Boolean ? this.hasAttribute(attr) : this.getAttribute(attr);
+                if (!this.hasAttribute(attr) && shorthand[prop] != null) options[prop] = shorthand[prop];
+            });
+            return options;
+        }
+
+        /**
+         * The symbol written in the shorthand (see parseShorthand) as the
+         * element's text content, read again after it changes: `{ options }` for the
+         * element's kind, empty without text, or `{ options: {}, error }` for
+         * text it cannot read, which renderTree throws.
+         */
+        readShorthand() {
+            if (!this._shorthand) {
+                const source = this.constructor.kind ? this.sourceText() : '';
+                try {
+                    this._shorthand = { options: source ? shorthandOptions(source, this.constructor.kind) : {} };
+                } catch (error) {
+                    this._shorthand = { options: {}, error };
+                }
+            }
+            return this._shorthand;
+        }
+
+        /**
+         * The actuarialsymbol LaTeX macro call for this symbol.
+         */
+        toLatex() {
+            if (this.readShorthand().error) throw this.readShorthand().error;
+            return toLatex(this.getOptions());
+        }
+
+        /**
+         * Replaces the element's content with its rendered symbol, so it can be
+         * called any number of times.
+         */
+        render() {
+            // Changes to the content not yet reported, e.g. just before a direct call
+            if (this._contentObserver && this._contentObserver.takeRecords().length) this.forgetContent();
+            const diagnostics = this.getDiagnostics();
+            let math;
+            let error = null;
+            try {
+                math = this.renderMath();
+            } catch (e) {
+                // Malformed attributes, e.g. an invalid status, show the reason in place
+                error = e;
+                math = renderError(error, this.ownerDocument, this.getAttribute('renderer'));
+            }
+            if (error || diagnostics.length) this.reportError(error, diagnostics);
+            // Screen readers announce the element by its speech text, once
+            if (!this.hasAttribute('role')) this.setAttribute('role', 'math');
+            this.setAttribute('aria-label', math.getAttribute('alttext') || math.getAttribute('aria-label'));
+            math.removeAttribute('role');
+            math.setAttribute('aria-hidden', 'true');
+            this.updateFocus();
+
+            const root = this.renderRoot();
+            if (root === this) {
+                this.replaceChildren(math);
+            } else {
+                const style = this.ownerDocument.createElement('style');
+                style.textContent = this.constructor.styles;
+                root.replaceChildren(style, math);
+            }
+            this.ignoreOwnChanges();
+        }
+
+        /**
+         * The rendered symbol: a <math> element, or a <span> with the HTML
+         * renderer. Throws for attributes it cannot be drawn with.
+         */
+        renderMath() {
+            return renderToNode(this.renderTree(), this.ownerDocument, this.getAttribute('renderer'));
+        }
+
+        /**
+         * The rendered symbol as a <math> node tree (see render), which
+         * renderMath and the copy formats are made from.
+         */
+        renderTree() {
+            if (!this.constructor.kind) throw new Error('Component not fully implemented');
+            if (this.readShorthand().error) throw this.readShorthand().error;
+            return render(this.getOptions());
+        }
+
+        /**
+         * Whether the component offers the "Copy as" menu: with `copy-menu`
+         * or the global `copyMenu` option, if it draws a symbol at all.
+         */
+        hasCopyMenu() {
+            return 'copyMenu' in this.constructor.properties && (this.hasAttribute('copy-menu') || Boolean(globalOptions.copyMenu));
+        }
+
+        /**
+         * Whether the component shows its explanation popover: with `explain`
+         * or the global `explain` option, if it draws a single symbol.
+         */
+        hasExplain() {
+            if (!this.constructor.kind || !('explain' in this.constructor.properties)) return false;
+            return this.hasAttribute('explain') || Boolean(globalOptions.explain);
+        }
+
+        /**
+         * The explanation the popover shows (see explain); null without a
+         * catalogue entry or for attributes the symbol cannot be drawn with.
+         */
+        explanation() {
+            if (!this.constructor.kind || this.readShorthand().error) return null;
+            try {
+                return explain(this.getOptions());
+            } catch (e) {
+                return null;
+            }
+        }
+
+        // A component with the copy menu or explanations can be focused, to
+        // open them from the keyboard; the tabindex it was given goes with them.
+        updateFocus() {
+            if (this.hasCopyMenu()) this.setAttribute('aria-haspopup', 'menu');
+            else this.removeAttribute('aria-haspopup');
+            if (this.hasCopyMenu() || this.hasExplain()) {
+                if (!this.hasAttribute('tabindex')) {
+                    this.setAttribute('tabindex', '0');
+                    this._focusable = true;
+                }
+            } else if (this._focusable) {
+                this.removeAttribute('tabindex');
+                this._focusable = false;
+            }
+        }
+
+        /**
+         * The symbol in one of the text formats of COPY_FORMATS: 'latex'
+         * (toLatex), 'mathml' (toStandaloneMathML), 'unicode' (toUnicode) or
+         * 'svg' (toSVG, in the element's font size and colour).
+         */
+        serialize(format = 'latex') {
+            switch (format) {
+                case 'latex':
+                    return this.toLatex();
+                case 'mathml':
+                    return toStandaloneMathML(this.renderTree());
+                case 'unicode':
+                    return toUnicode(this.renderTree());
+                case 'svg':
+                    return toSVG(this.renderTree(), this.imageOptions());
+                default:
+                    throw new Error(`Unknown format "${format}" (expected latex, mathml, unicode or svg)`);
+            }
+        }
+
+        // The element's font size and colour, for its images
+        imageOptions() {
+            const style = getComputedStyle(this);
+            return { fontSize: parseFloat(style.fontSize) || 16, color: style.color || 'black' };
+        }
+
+        /**
+         * Copies the symbol to the clipboard as `format` (see serialize, or
+         * 'png' for a PNG image of the SVG), then dispatches `act-copy` with
+         * the `format` and the copied `data`: a string, or the PNG's Blob.
+         * MathML and SVG are copied as HTML too, so that rich-text editors
+         * paste the formula or the image rather than its source.
+         */
+        async copy(format = 'latex') {
+            const clipboard = typeof navigator !== 'undefined' && navigator.clipboard;
+            if (!clipboard) throw new Error('The clipboard is not available');
+            let data;
+            if (format === 'png') {
+                if (typeof ClipboardItem === 'undefined') throw new Error('This browser cannot copy images');
+                // Handed over as a promise, so that the copy still counts as the user's
+                data = toPNG(this.renderTree(), this.imageOptions());
+                await clipboard.write([new ClipboardItem({ 'image/png': data })]);
+                data = await data;
+            } else {
+                data = this.serialize(format);
+                if ((format === 'mathml' || format === 'svg') && typeof ClipboardItem !== 'undefined') {
+                    await clipboard.write([new ClipboardItem({
+                        'text/plain': new Blob([data], { type: 'text/plain' }),
+                        'text/html': new Blob([data], { type: 'text/html' })
+                    })]);
+                } else {
+                    await clipboard.writeText(data);
+                }
+            }
+            this.dispatchEvent(new CustomEvent('act-copy', { bubbles: true, composed: true, detail: { format, data } }));
+            return data;
+        }
+
+        /**
+         * The problems with the element's attributes (see validateSpec).
+         */
+        getDiagnostics() {
+            return this.constructor.kind ? validateSpec(this.getOptions()) : [];
+        }
+
+        /**
+         * Dispatches an `act-error` event (bubbling out of shadow roots) for a
+         * render error or invalid attributes. `detail` has the `message`, the
+         * `diagnostics` of validateSpec and the thrown `error`, if any. The
+         * problem is logged to the console unless a listener calls
+         * preventDefault().
+         */
+        reportError(error, diagnostics) {
+            const message = error ? error.message : diagnostics.map(d => d.message).join('; ');
+            const event = new CustomEvent('act-error', {
+                bubbles: true,
+                composed: true,
+                cancelable: true,
+                detail: { message, diagnostics, error }
+            });
+            if (!this.dispatchEvent(event)) return;
+            if (error) console.error(`<${this.localName}>: ${message}`);
+            else console.warn(`<${this.localName}>: ${message}`);
+        }
+
+        /**
+         * Where the symbol goes: the element's shadow root, created on first
+         * use, or the element itself with `light-dom` (or the global
+         * `lightDom` option). A shadow root cannot be removed, so after a
+         * switch to light DOM it only shows the children through a <slot>.
+         */
+        renderRoot() {
+            if (this.hasAttribute('light-dom') || globalOptions.lightDom) {
+                if (this.shadowRoot) this.shadowRoot.replaceChildren(this.ownerDocument.createElement('slot'));
+                this._lightContent = true;
+                return this;
+            }
+            if (this._lightContent) {
+                this.replaceChildren();
+                this._lightContent = false;
+            }
+            return this.shadowRoot || this.attachShadow({ mode: 'open' });
+        }
+    }
+
+    // ===========================================================================
+    // WEB COMPONENTS
+    // ===========================================================================
+
+    class ActSymbol extends ActuarialSymbolBase {
+        static get kind() { return 'symbol'; }
+    }
+
+    class ActAnnuity extends ActuarialSymbolBase {
+        static get kind() { return 'annuity'; }
+    }
+
+    class ActInsurance extends ActuarialSymbolBase {
+        static get kind() { return 'insurance'; }
+    }
+
+    class ActPremium extends ActuarialSymbolBase {
+        static get kind() { return 'premium'; }
+    }
+
+    class ActReserve extends ActuarialSymbolBase {
+        static get kind() { return 'reserve'; }
+    }
+
+    class ActProb extends ActuarialSymbolBase {
+        static get kind() { return 'prob'; }
+    }
+
+    class ActCommute extends ActuarialSymbolBase {
+        static get kind() { return 'commute'; }
+    }
+
+    class ActCount extends ActuarialSymbolBase {
+        static get kind() { return 'count'; }
+    }
+
+    class ActLifetime extends ActuarialSymbolBase {
+        static get kind() { return 'lifetime'; }
+    }
+
+    class ActCertain extends ActuarialSymbolBase {
+        static get kind() { return 'certain'; }
+    }
+
+    // A displayed equation is a block; its number sits at the right margin.
+    const EQUATION_STYLES = `
+        :host([display]) { display: block; }
+    `;
+    const EQUATION_ROW_STYLE = 'display:flex;align-items:center';
+    const EQUATION_BODY_STYLE = 'flex:1;text-align:center';
+    const EQUATION_NUMBER_STYLE = 'margin-left:0.5em';
+
+    // The components numbered together: equations and identities
+    const NUMBERED_TAGS = ['act-equation', 'act-identity'];
+
+    // The number shown after an equation: its `number`, or with `numbered`
+    // its position among the document's automatically numbered equations.
+    function equationNumber(el) {
+        if (el.hasAttribute('number')) return el.getAttribute('number');
+        if (!el.hasAttribute('numbered') || !el.isConnected) return null;
+        const selector = NUMBERED_TAGS.map(tag => `${tag}[numbered]:not([number])`).join(', ');
+        const numbered = Array.from(el.ownerDocument.querySelectorAll(selector));
+        return String(numbered.indexOf(el) + 1);
+    }
+
+    // Re-renders the numbered equations and the references to them, after
+    // one is added, removed or renumbered.
+    function renumberEquations(doc) {
+        const selector = [...NUMBERED_TAGS.map(tag => `${tag}[numbered], ${tag}[number]`), 'act-eqref'].join(', ');
+        doc.querySelectorAll(selector).forEach(el => {
+            if (el.requestRender) el.requestRender();
+        });
+    }
+
+    /**
+     * <act-equation> - A whole formula, drawn as one MathML tree
+     *
+     * The formula is written in the equation shorthand (see EquationParser)
+     * as the element's text content, which is read once, or in the
+     * `expression` attribute:
+     *
+     *   <act-equation display numbered id="premium">P(A_x) * ä_x = A_x</act-equation>
+     *
+     * Attributes:
+     *   expression - The formula, instead of the text content
+     *   display    - A centred block in display style
+     *   numbered   - Numbered (1), (2), ... in document order
+     *   number     - An explicit number, e.g. "A.1" (numbers the equation
+     *                without taking an automatic number)
+     *   alttext, renderer, angle-style, light-dom and strict as on the symbols
+     *
+     * With an `id` the equation is the target of links (#id) and of
+     * <act-eqref ref="id">.
+     */
+    class ActEquation extends ActuarialSymbolBase {
+        static get tag() { return 'act-equation'; }
+
+        static get properties() {
+            return { expression: String, display: Boolean, numbered: Boolean, number: String, ...COMMON_PROPERTIES };
+        }
+
+        static get schema() {
+            return EQUATION_SCHEMA;
+        }
+
+        static get styles() {
+            return SHADOW_STYLES + EQUATION_STYLES;
+        }
+
+        connectedCallback() {
+            super.connectedCallback();
+            if (equationNumber(this) != null) renumberEquations(this.ownerDocument);
+        }
+
+        disconnectedCallback() {
+            super.disconnectedCallback();
+            if (this.hasAttribute('numbered')) renumberEquations(this.ownerDocument);
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            super.attributeChangedCallback(name, oldValue, newValue);
+            if ((name === 'numbered' || name === 'number') && oldValue !== newValue && this.isConnected) {
+                renumberEquations(this.ownerDocument);
+            }
+        }
+
+        forgetContent() {
+            super.forgetContent();
+            this._source = null;
+        }
+
+        getOptions() {
+            const options = super.getOptions();
+            if ('expression' in this.constructor.properties && options.expression == null) {
+                if (this._source == null) this._source = this.sourceText();
+                options.expression = this._source;
+            }
+            return options;
+        }
+
+        getDiagnostics() {
+            return checkOptions(this.getOptions(), this.constructor.schema);
+        }
+
+        renderTree() {
+            const { expression, display, angleStyle, notation, strict, alttext } = this.getOptions();
+            return renderEquation(expression, { display, angleStyle, notation, strict, alttext });
+        }
+
+        /**
+         * The equation in LaTeX, with actuarialsymbol macros for its symbols.
+         */
+        toLatex() {
+            return equationLatex(parseEquation(this.getOptions().expression));
+        }
+
+        render() {
+            super.render();
+            const number = equationNumber(this);
+            if (number == null) return;
+
+            const doc = this.ownerDocument;
+            const root = this.renderRoot();
+            const math = root.lastChild;
+            const label = doc.createElement('span');
+            label.setAttribute('part', 'number');
+            label.setAttribute('style', EQUATION_NUMBER_STYLE);
+            label.textContent = `(${number})`;
+            this.setAttribute('aria-label', `${this.getAttribute('aria-label')}, equation ${number}`);
+            if (!this.hasAttribute('display')) {
+                root.appendChild(label);
+            } else {
+                const row = doc.createElement('span');
+                row.setAttribute('style', EQUATION_ROW_STYLE);
+                const body = doc.createElement('span');
+                body.setAttribute('style', EQUATION_BODY_STYLE);
+                root.replaceChild(row, math);
+                body.appendChild(math);
+                row.append(body, label);
+            }
+            this.ignoreOwnChanges();
+        }
+    }
+
+    /**
+     * <act-identity> - A relation from the identity catalogue (see
+     * IDENTITIES) for the ages and terms given, numbered and referenced like
+     * an <act-equation>:
+     *
+     *   <act-identity name="temporary-annuity" age="40" term="10" display numbered></act-identity>
+     *
+     * Attributes:
+     *   name       - The identity, e.g. "premium"
+     *   age        - Replaces x, e.g. "40"
+     *   term       - Replaces n
+     *   duration   - Replaces t
+     *   frequency  - Replaces m, e.g. "12" or "(12)"
+     *   derivation - The steps of the identity's derivation, one a line
+     *   display, numbered, number, alttext, renderer, angle-style, light-dom
+     *   and strict as on <act-equation>
+     */
+    class ActIdentity extends ActEquation {
+        static get tag() { return 'act-identity'; }
+
+        static get properties() {
+            return {
+                name: String, age: String, term: String, duration: String, frequency: String, derivation: Boolean,
+                display: Boolean, numbered: Boolean, number: String, ...COMMON_PROPERTIES
+            };
+        }
+
+        static get schema() {
+            return IDENTITY_SCHEMA;
+        }
+
+        /**
+         * The identity's left-hand side, relation and right-hand sides as
+         * equation trees (see identitySides), for the element's values.
+         */
+        sides() {
+            const options = this.getOptions();
+            return identitySides(findIdentity(options.name), identityValues(options), options.derivation);
+        }
+
+        renderTree() {
+            const { display, angleStyle, notation, strict, alttext } = this.getOptions();
+            return equationMath(identityTree(this.sides()), { display, angleStyle, notation, strict, alttext });
+        }
+
+        /**
+         * The identity in LaTeX, a derivation as an aligned environment.
+         */
+        toLatex() {
+            return equationLatex(identityTree(this.sides()));
+        }
+    }
+
+    /**
+     * <act-eqref> - A link to a numbered <act-equation> or <act-identity>
+     * showing its number, e.g. "(2)". Rendered into the light DOM, so page
+     * styles for links apply.
+     *
+     * Attributes:
+     *   ref - The id of the equation
+     */
+    class ActEqref extends ActuarialSymbolBase {
+        static get tag() { return 'act-eqref'; }
+
+        static get properties() {
+            return { ref: String };
+        }
+
+        static get schema() {
+            return EQREF_SCHEMA;
+        }
+
+        render() {
+            const ref = this.getAttribute('ref') || '';
+            const target = ref ? this.ownerDocument.getElementById(ref) : null;
+            const number = target && NUMBERED_TAGS.includes(target.localName) ? equationNumber(target) : null;
+            const link = this.ownerDocument.createElement('a');
+            link.setAttribute('href', `#${ref}`);
+            link.textContent = `(${number == null ? '?' : number})`;
+            this.replaceChildren(link);
+            if (number == null) this.reportError(new Error(`No numbered equation with id "${ref}"`), []);
+        }
+    }
+
+    /**
+     * <act-life-table> - Loads a life table and displays it
+     *
+     * The data comes from `src` (CSV or JSON URL), an inline
+     * <script type="text/csv"> / <script type="application/json"> child, or
+     * the element's text content. With an `id` the table is registered so
+     * other components can use it through their `table` attribute.
+     *
+     * Attributes:
+     *   src        - URL of the CSV/JSON data
+     *   interest   - Rate for the commutation columns, e.g. "0.05" or "5%"
+     *   columns    - Columns to show, e.g. "x lx qx ex D N" (default: x lx dx qx px ex,
+     *                plus D N C M S R when an interest rate is set)
+     *   radix      - l_x at the first age when building from q_x (default 100000)
+     *   start-age  - First age when the data has no age column (default 0)
+     *   precision  - Significant digits shown (default 6)
+     *   renderer   - 'mathml' or 'html' for the column headers (default: the global option)
+     */
+    class ActLifeTable extends ActuarialSymbolBase {
+        static get tag() { return 'act-life-table'; }
+
+        static get properties() {
+            return {
+                src: String, interest: String, columns: String,
+                radix: String, startAge: String, precision: String, renderer: String
+            };
+        }
+
+        static get schema() {
+            return LIFE_TABLE_SCHEMA;
+        }
+
+        constructor() {
+            super();
+            this.lifeTable = null;
+            this._loads = 0;
+        }
+
+        connectedCallback() {
+            super.connectedCallback();
+            if (!this.lifeTable) this.load();
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (oldValue === newValue) return;
+            if (name === 'src' || name === 'radix' || name === 'start-age') {
+                if (this.isConnected) this.load();
+            } else if (name === 'interest' && this.lifeTable) {
+                this.lifeTable.interest = this.getInterest();
+                this.registerTable();
+                this.requestRender();
+            } else {
+                this.requestRender();
+            }
+        }
+
+        getInterest() {
+            const interest = toRate(this.getAttribute('interest'));
+            return Number.isNaN(interest) ? null : interest;
+        }
+
+        getInlineSource() {
+            const script = this.querySelector('script[type="text/csv"], script[type="application/json"]');
+            if (script) return script.textContent;
+            if (this._inlineSource == null) this._inlineSource = this.textContent;
+            return this._inlineSource;
+        }
+
+        /**
+         * (Re)loads the table from `src` or the inline data, registers it under
+         * the element's id and dispatches a `load` event.
+         */
+        async load() {
+            const loadId = ++this._loads;
+            const src = this.getAttribute('src');
+            const options = { interest: this.getInterest() };
+            const radix = toNumber(this.getAttribute('radix'));
+            const startAge = toNumber(this.getAttribute('start-age'));
+            if (!Number.isNaN(radix)) options.radix = radix;
+            if (!Number.isNaN(startAge)) options.startAge = startAge;
+
+            try {
+                const text = src ? await fetchText(new URL(src, this.ownerDocument.baseURI)) : this.getInlineSource();
+                if (loadId !== this._loads) return;
+                this.lifeTable = LifeTable.parse(text, options);
+                this.lifeTable.name = this.id;
+                this._error = null;
+                this.registerTable();
+                this.requestRender();
+                this.dispatchEvent(new CustomEvent('load'));
+            } catch (e) {
+                if (loadId !== this._loads) return;
+                console.error('act-life-table: could not load the life table', e);
+                this.lifeTable = null;
+                this._error = e;
+                this.requestRender();
+            }
+        }
+
+        registerTable() {
+            if (this.id && this.lifeTable) LifeTable.register(this.id, this.lifeTable);
+        }
+
+        getColumns() {
+            const table = this.lifeTable;
+            const interest = table && table.interest;
+            const requested = (this.getAttribute('columns') || '').split(/[\s,]+/).filter(Boolean);
+            const period = table && table.select ? Math.max(0, ...table.select.rates.map(rates => rates.length)) : 0;
+            const select = Array.from({ length: period }, (_, k) => k ? `q[x]+${k}` : 'q[x]');
+            const columns = requested.length
+                ? requested
+                : ['x', ...select, 'lx', 'dx', 'qx', 'px', 'ex'].concat(interest == null ? [] : ['D', 'N', 'C', 'M', 'S', 'R']);
+            return columns.filter(name => {
+                const column = lifeTableColumn(name);
+                return column && (interest != null || !column.needsInterest);
+            });
+        }
+
+        render() {
+            const doc = this.ownerDocument;
+            const scripts = Array.from(this.querySelectorAll(':scope > script'));
+
+            if (!this.lifeTable) {
+                if (this._error) {
+                    this.replaceChildren(...scripts, renderError(this._error, doc, this.getAttribute('renderer')));
+                }
+                return;
+            }
+
+            const table = this.lifeTable;
+            const columns = this.getColumns();
+            const precision = this.getAttribute('precision');
+            const el = doc.createElement('table');
+            el.className = 'act-life-table';
+
+            const headRow = el.createTHead().insertRow();
+            columns.forEach(name => {
+                const th = doc.createElement('th');
+                th.scope = 'col';
+                th.appendChild(renderToDOM(lifeTableColumn(name).header, doc, { renderer: this.getAttribute('renderer') }));
+                headRow.appendChild(th);
+            });
+
+            const body = el.createTBody();
+            table.ages().forEach(x => {
+                const row = body.insertRow();
+                columns.forEach(name => {
+                    const value = lifeTableColumn(name).value(table, x, table.interest);
+                    let text = '';
+                    if (name === 'x') text = String(x);
+                    else if (Number.isFinite(value)) text = formatNumber(value, precision);
+                    row.insertCell().textContent = text;
+                });
+            });
+
+            this.replaceChildren(...scripts, el);
+        }
+    }
+
+    const BUILDER_STYLES = `
+        :host { display: block; font: 14px/1.4 system-ui, sans-serif; }
+        :host([hidden]) { display: none; }
+        fieldset { display: grid; grid-template-columns: repeat(auto-fill, minmax(12em, 1fr)); gap: 0.5em 1em; border: 1px solid GrayText; border-radius: 4px; margin: 0.5em 0; }
+        label { display: flex; flex-direction: column; gap: 0.15em; font-size: 0.9em; }
+        label.check { flex-direction: row; align-items: center; gap: 0.4em; }
+        input, select, button { font: inherit; }
+        [part~="preview"] { font-size: 2em; text-align: center; padding: 0.5em; }
+        [part~="diagnostics"] { color: #b00020; margin: 0; padding-left: 1.2em; }
+        [part~="diagnostics"]:empty { display: none; }
+        [part~="output"] { display: grid; gap: 0.5em; }
+        [part~="output"] > div { display: flex; justify-content: space-between; align-items: center; }
+        pre { margin: 0; padding: 0.5em; background: rgba(127, 127, 127, 0.12); border-radius: 4px; overflow-x: auto; white-space: pre-wrap; word-break: break-all; }
+    `;
+
+    // Example values shown in the builder's empty fields
+    const BUILDER_EXAMPLES = {
+        age: 'x:n', lr: 'x:n', ll: 't', ul: 'k', ur: '(12)', p: 'P', symbol: 'A', term: 'n', defer: 'n', time: 't',
+        duration: 'k', frequency: '(12)', variationFrequency: '(m)', precedence: '[{"pos": 0, "num": 1}]',
+        decrement: 'j', stateFrom: '0', stateTo: '1', rate: '5%', table: 'id of an <act-life-table>', precision: '4'
+    };
+
+    // The formats of the builder's output, in the labels of COPY_FORMATS
+    const BUILDER_OUTPUTS = { html: 'HTML', latex: 'LaTeX', mathml: 'MathML' };
+
+    /**
+     * <act-builder> - A form for composing a symbol: a menu of the components
+     * and a control for each attribute of the chosen one, a live preview drawn
+     * by that component, the problems validateSpec finds, and the symbol as
+     * an HTML tag, LaTeX and MathML with buttons to copy them.
+     *
+     * Attributes:
+     *   component - The tag of the component the builder starts with
+     *               (default act-annuity; those added with define are offered too)
+     *
+     * The `spec` property gets or sets the symbol description being built.
+     * Copying dispatches `act-copy` as the components' copy() does.
+     */
+    class ActBuilder extends ActuarialSymbolBase {
+        static get tag() { return 'act-builder'; }
+
+        static get properties() {
+            return { component: String };
+        }
+
+        static get schema() {
+            return { component: CHOICE_RULE(Object.values(KINDS).map(kind => kind.tag)) };
+        }
+
+        static get styles() {
+            return BUILDER_STYLES;
+        }
+
+        constructor() {
+            super();
+            this._values = {};
+        }
+
+        /**
+         * The symbol description the form describes; setting it fills in the
+         * form, e.g. `builder.spec = parseLatex('\\ax*{x:\\angl{n}}')`.
+         */
+        get spec() {
+            const spec = { kind: this.currentKind() };
+            Object.entries(this.fieldTypes()).forEach(([prop, type]) => {
+                const value = this._values[prop];
+                if (type === Boolean ? value : value != null && value !== '') spec[prop] = value;
+            });
+            return spec;
+        }
+
+        set spec(spec) {
+            this._values = {};
+            Object.entries(spec || {}).forEach(([prop, value]) => {
+                if (prop === 'kind' || value == null) return;
+                this._values[prop] = typeof value === 'object' ? JSON.stringify(value) : value;
+            });
+            const { tag } = KINDS[spec && KINDS[spec.kind] ? spec.kind : this.currentKind()];
+            if (this.getAttribute('component') === tag) this.requestRender();
+            else this.setAttribute('component', tag);
+        }
+
+        // The key into KINDS of the chosen component
+        currentKind() {
+            const tag = String(this.getAttribute('component')).trim().toLowerCase();
+            return Object.keys(KINDS).find(kind => KINDS[kind].tag === tag) || 'annuity';
+        }
+
+        // The attributes of the current kind, with their types
+        fieldTypes() {
+            return { ...KINDS[this.currentKind()].properties, ...COMMON_PROPERTIES };
+        }
+
+        /**
+         * Builds the form for the current kind, keeping the values of the
+         * attributes it shares with the previous one.
+         */
+        render() {
+            const doc = this.ownerDocument;
+            const root = this.shadowRoot || this.attachShadow({ mode: 'open' });
+            const kind = this.currentKind();
+            const schema = { ...KINDS[kind].schema, ...COMMON_SCHEMA };
+            const control = (tag, attrs = {}) => {
+                const el = doc.createElement(tag);
+                Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+                return el;
+            };
+
+            const kinds = control('select', { name: 'component' });
+            Object.values(KINDS).forEach(({ tag }) => {
+                const option = control('option', { value: tag });
+                option.textContent = `<${tag}>`;
+                kinds.appendChild(option);
+            });
+            kinds.value = KINDS[kind].tag;
+            kinds.addEventListener('change', () => this.setAttribute('component', kinds.value));
+            const kindLabel = control('label');
+            kindLabel.append('Component', kinds);
+
+            const fields = control('fieldset', { part: 'attributes' });
+            const legend = control('legend');
+            legend.textContent = 'Attributes';
+            fields.appendChild(legend);
+            Object.entries(this.fieldTypes()).forEach(([prop, type]) => {
+                const attr = toAttributeName(prop);
+                const rule = schema[prop];
+                const choices = Array.isArray(rule) ? rule : rule && rule.choices;
+                const label = control('label', type === Boolean ? { class: 'check' } : {});
+                let input;
+                if (type === Boolean) {
+                    input = control('input', { type: 'checkbox', name: attr });
+                    input.checked = Boolean(this._values[prop]);
+                } else if (choices) {
+                    input = control('select', { name: attr });
+                    ['', ...choices].forEach(choice => {
+                        const option = control('option', { value: choice });
+                        option.textContent = choice || '(default)';
+                        input.appendChild(option);
+                    });
+                    // A choice of the previous kind that this one does not offer is dropped
+                    if (!choices.includes(this._values[prop])) delete this._values[prop];
+                    input.value = this._values[prop] || '';
+                } else {
+                    input = control('input', { type: 'text', name: attr, spellcheck: 'false', autocomplete: 'off' });
+                    if (BUILDER_EXAMPLES[prop]) input.setAttribute('placeholder', BUILDER_EXAMPLES[prop]);
+                    input.value = this._values[prop] == null ? '' : String(this._values[prop]);
+                }
+                input.addEventListener(type === Boolean || choices ? 'change' : 'input', () => {
+                    this._values[prop] = type === Boolean ? input.checked : input.value.trim();
+                    this.update();
+                });
+                label.append(attr, input);
+                fields.appendChild(label);
+            });
+
+            // The problems are listed below the preview rather than logged
+            const preview = control('div', { part: 'preview' });
+            preview.addEventListener('act-error', event => event.preventDefault());
+            const diagnostics = control('ul', { part: 'diagnostics', role: 'status', 'aria-live': 'polite' });
+            const output = control('div', { part: 'output' });
+            this._outputs = {};
+            Object.entries(BUILDER_OUTPUTS).forEach(([format, name]) => {
+                const heading = control('div');
+                const title = control('strong');
+                title.textContent = name;
+                const button = control('button', { type: 'button', 'aria-label': `Copy the ${name}` });
+                button.textContent = 'Copy';
+                button.addEventListener('click', () => {
+                    this.copyOutput(format).catch(error => this.reportError(error, []));
+                });
+                heading.append(title, button);
+                const code = control('pre', { part: `output-${format}` });
+                output.append(heading, code);
+                this._outputs[format] = code;
+            });
+
+            const style = control('style');
+            style.textContent = this.constructor.styles;
+            root.replaceChildren(style, kindLabel, fields, preview, diagnostics, output);
+            this._preview = preview;
+            this._diagnostics = diagnostics;
+            this.update();
+        }
+
+        /**
+         * Redraws the preview, the problems and the outputs from the form.
+         */
+        update() {
+            if (!this._preview) return;
+            const doc = this.ownerDocument;
+            const spec = this.spec;
+            const problems = validateSpec(spec).map(d => d.message);
+            const attempt = (fn) => {
+                try {
+                    return fn();
+                } catch (e) {
+                    // validateSpec has reported it already, after `age="x:": `
+                    const reported = problems.some(message => message === e.message || message.endsWith(`: ${e.message}`));
+                    if (!reported) problems.push(e.message);
+                    return '';
+                }
+            };
+
+            const el = createElement(spec, doc);
+            this._outputs.html.textContent = el.outerHTML;
+            this._preview.replaceChildren(el);
+            this._outputs.latex.textContent = attempt(() => toLatex(spec));
+            this._outputs.mathml.textContent = attempt(() => toStandaloneMathML(spec));
+            this._diagnostics.replaceChildren(...problems.map(message => {
+                const item = doc.createElement('li');
+                item.textContent = message;
+                return item;
+            }));
+        }
+
+        /**
+         * Copies one of the outputs ('html', 'latex' or 'mathml') to the
+         * clipboard and dispatches `act-copy` with the `format` and `data`.
+         */
+        async copyOutput(format) {
+            const clipboard = typeof navigator !== 'undefined' && navigator.clipboard;
+            if (!clipboard) throw new Error('The clipboard is not available');
+            if (!this._outputs || !this._outputs[format]) throw new Error(`Unknown output "${format}" (expected html, latex or mathml)`);
+            const data = this._outputs[format].textContent;
+            await clipboard.writeText(data);
+            this.dispatchEvent(new CustomEvent('act-copy', { bubbles: true, composed: true, detail: { format, data } }));
+            return data;
+        }
+    }
+
+    // Generates the JS property accessors declared by each component's
+    // `properties`, e.g. `el.age = 'y'` or `el.precedence = [{pos: 0, num: 1}]`.
+    function defineAttributeProperties(ctor) {
+        Object.entries(ctor.properties).forEach(([prop, type]) => {
+            const attr = toAttributeName(prop);
+            let descriptor;
+            if (type === Boolean) {
+                descriptor = {
+                    get() { return this.hasAttribute(attr); },
+                    set(value) { this.toggleAttribute(attr, Boolean(value)); }
+                };
+            } else if (type === Array) {
+                descriptor = {
+                    get() {
+                        try {
+                            return JSON.parse(this.getAttribute(attr) || '[]');
+                        } catch (e) {
+                            return [];
+                        }
+                    },
+                    set(value) {
+                        if (value == null) this.removeAttribute(attr);
+                        else this.setAttribute(attr, typeof value === 'string' ? value : JSON.stringify(value));
+                    }
+                };
+            } else {
+                descriptor = {
+                    get() { return this.getAttribute(attr); },
+                    set(value) {
+                        if (value == null) this.removeAttribute(attr);
+                        else this.setAttribute(attr, String(value));
+                    }
+                };
+            }
+            Object.defineProperty(ctor.prototype, prop, { ...descriptor, configurable: true, enumerable: true });
+        });
+    }
+
+    const elements = {
+        ActSymbol, ActAnnuity, ActInsurance, ActPremium, ActReserve, ActProb, ActCommute, ActCount, ActLifetime, ActCertain,
+        ActEquation, ActIdentity, ActEqref, ActLifeTable, ActBuilder
+    };
+    Object.values(elements).forEach(defineAttributeProperties);
+
+    /**
+     * Replaces each <act> element under `root` (or `root` itself) with the
+     * component its shorthand describes (see actElementSpec), keeping its
+     * other attributes: <act>ä_{x:n|}</act> becomes
+     * <act-annuity age="x:n" type="due">. A custom element name needs a
+     * hyphen, so <act> cannot be one; in a browser this is done for the
+     * document once it is parsed and for <act> elements added later, and can
+     * be called for shadow roots. Shorthand that cannot be read becomes an
+     * <act-symbol> showing the error.
+     */
+    function upgradeShorthand(root = document) {
+        const found = root.localName === 'act' ? [root] : Array.from(root.querySelectorAll('act'));
+        found.forEach(el => {
+            const doc = el.ownerDocument;
+            let replacement;
+            let own = [];
+            try {
+                replacement = createElement(actElementSpec(el), doc);
+                own = Object.keys(KINDS.symbol.properties).map(toAttributeName);
+            } catch (e) {
+                replacement = doc.createElement(KINDS.symbol.tag);
+                replacement.textContent = el.textContent;
+            }
+            Array.from(el.attributes).forEach(({ name, value }) => {
+                if (!own.includes(name) && !replacement.hasAttribute(name)) replacement.setAttribute(name, value);
+            });
+            el.replaceWith(replacement);
+        });
+    }
+
+    function observeShorthand(doc) {
+        upgradeShorthand(doc);
+        new MutationObserver(records => {
+            records.forEach(record => record.addedNodes.forEach(node => {
+                if (node.nodeType === 1 && node.isConnected) upgradeShorthand(node);
+            }));
+        }).observe(doc, { childList: true, subtree: true });
+    }
+
+    // ===========================================================================
+    // CUSTOM SYMBOLS
+    // ===========================================================================
+
+    // Rules a definition's `schema` may name instead of giving a function
+    const NAMED_RULES = {
+        status: STATUS_RULE, number: NUMBER_RULE, rate: RATE_RULE, frequency: FREQUENCY_RULE, precedence: PRECEDENCE_RULE
+    };
+
+    const CORNERS = ['ll', 'ul', 'lr', 'ur'];
+
+    // The decoration a definition gives for some options: a fixed one, one
+    // chosen by an option's value ({ type: { due: 'ddot' } }), or computed.
+    function customDecoration(rule, o) {
+        if (typeof rule === 'function') return rule(o) || '';
+        if (!rule || typeof rule === 'string') return rule || '';
+        const option = Object.keys(rule).find(name => rule[name][o[name]]);
+        return option ? rule[option][o[option]] : '';
+    }
+
+    // The act-symbol options a custom symbol is drawn with.
+    function customSymbolSpec(definition, o) {
+        const spec = {
+            kind: 'symbol',
+            symbol: definition.symbol,
+            decoration: customDecoration(definition.decoration, o),
+            precedence: o.precedence,
+            lastSurvivor: o.lastSurvivor
+        };
+        Object.entries(definition.corners || {}).forEach(([corner, source]) => {
+            spec[corner] = (typeof source === 'function' ? source(o) : o[source]) || '';
+        });
+        return spec;
+    }
+
+    // The KINDS entry for a definition (see define).
+    function customKind(tag, definition) {
+        const corners = definition.corners || {};
+        const unknownCorner = Object.keys(corners).find(corner => !CORNERS.includes(corner));
+        if (unknownCorner) throw new Error(`<${tag}>: unknown corner "${unknownCorner}", expected one of ${CORNERS.join(', ')}`);
+        if (!definition.symbol) throw new Error(`<${tag}>: a definition needs a symbol`);
+
+        const decoration = definition.decoration;
+        const defaults = definition.defaults || {};
+        const names = [
+            ...Object.values(corners).filter(source => typeof source === 'string'),
+            ...(decoration && typeof decoration === 'object' ? Object.keys(decoration) : []),
+            ...Object.keys(defaults),
+            ...Object.keys(definition.schema || {})
+        ];
+        const properties = { ...Object.fromEntries(names.map(name => [name, String])), ...definition.properties };
+        const schema = Object.fromEntries(Object.keys(properties).map(name => {
+            const rule = definition.schema ? definition.schema[name] : null;
+            if (typeof rule === 'string' && !NAMED_RULES[rule]) {
+                throw new Error(`<${tag}>: unknown rule "${rule}" for ${name}, expected one of ${Object.keys(NAMED_RULES).join(', ')}`);
+            }
+            return [name, typeof rule === 'string' ? NAMED_RULES[rule] : rule || null];
+        }));
+
+        // Unset and empty options take their default
+        const withDefaults = (o) => {
+            const options = { ...o };
+            Object.entries(defaults).forEach(([name, value]) => {
+                if (options[name] == null || options[name] === '') options[name] = value;
+            });
+            return options;
+        };
+        const symbolSpec = (o) => customSymbolSpec(definition, withDefaults(o));
+
+        return {
+            tag,
+            properties,
+            schema,
+            render(o) {
+                return KINDS.symbol.render(symbolSpec(o));
+            },
+            describe(o) {
+                if (definition.describe) return definition.describe(withDefaults(o));
+                const spec = symbolSpec(o);
+                return KINDS.symbol.describe(definition.name ? { ...spec, symbol: definition.name, decoration: '' } : spec);
+            },
+            toLatex(o) {
+                return definition.toLatex ? definition.toLatex(withDefaults(o)) : KINDS.symbol.toLatex(symbolSpec(o));
+            },
+            evaluate: definition.evaluate && (o => definition.evaluate(withDefaults(o)))
+        };
+    }
+
+    /**
+     * Registers a new symbol type and its element, e.g. for company-specific
+     * notation, without subclassing ActuarialSymbolBase. The definition
+     * declares how the element's options (camelCase, as in KINDS) are drawn:
+     *
+     *   symbol      the main letter(s), e.g. 'Pr'
+     *   corners     the option (or a function of the options) that fills each
+     *               corner: { lr: 'age', ur: 'frequency', ll: 'duration' }.
+     *               The lower right is a status, as on <act-symbol>.
+     *   decoration  'bar', 'ddot' or 'ring'; or chosen by an option's value,
+     *               { type: { due: 'ddot', continuous: 'bar' } }; or a
+     *               function of the options
+     *   defaults    values for unset options: { type: 'immediate' }
+     *   schema      each option's validation rule, as in KINDS: a list of
+     *               values, a function (value, options) returning the problem,
+     *               null for free text, or 'status', 'number', 'rate',
+     *               'frequency' or 'precedence'
+     *   properties  option types other than String: { lastSurvivor: Boolean }
+     *   name        the symbol's name for screen readers, 'profit signature'
+     *
+     * and optionally `describe`, `toLatex` and `evaluate` functions of the
+     * options to replace the generic ones. The kind is the tag without its
+     * `act-` prefix unless `kind` is given. Returns the element class.
+     *
+     *   define('act-profit', { symbol: 'Pr', corners: { lr: 'age', ll: 'time' }, defaults: { age: 'x' } })
+     *   // <act-profit time="t"></act-profit> draws ₜPrₓ
+     */
+    function define(tag, definition) {
+        if (!/^[a-z][a-z0-9._]*-[a-z0-9._-]*$/.test(tag)) {
+            throw new Error(`"${tag}" is not a valid custom element name`);
+        }
+        const kind = definition.kind || tag.replace(/^act-/, '');
+        if (KINDS[kind] || Object.values(elements).some(ctor => ctor.tag === tag)) {
+            throw new Error(`<${tag}> is already defined`);
+        }
+        KINDS[kind] = customKind(tag, definition);
+
+        const ctor = class extends ActuarialSymbolBase {
+            static get kind() { return kind; }
+        };
+        defineAttributeProperties(ctor);
+        // ActProfitSignature for act-profit-signature
+        const name = tag.replace(/(^|[-._])([a-z0-9])/g, (_, sep, c) => c.toUpperCase());
+        elements[name] = ctor;
+        // The kind is registered first, as define() upgrades the elements
+        // already in the page; it is taken back if the tag can't be defined,
+        // e.g. because another script has it.
+        try {
+            if (typeof customElements !== 'undefined') customElements.define(tag, ctor);
+        } catch (error) {
+            delete KINDS[kind];
+            delete elements[name];
+            throw error;
+        }
+        return ctor;
+    }
+
+    // ===========================================================================
+    // PUBLIC API
+    // ===========================================================================
+
+    const ActuarialSymbols = {
+        render,
+        renderToString,
+        renderToDOM,
+        evaluate,
+        describe,
+        validate,
+        validateSpec,
+        toMathMLString,
+        toDOM,
+        toHTML,
+        supportsMathML,
+        createElement,
+        parseLatex,
+        toLatex,
+        latexToMathML,
+        renderEquation,
+        renderIdentity,
+        findIdentities,
+        explain,
+        parseShorthand,
+        upgradeShorthand,
+        toUnicode,
+        toStandaloneMathML,
+        toSVG,
+        toPNG,
+        define,
+        autoRender,
+        LifeTable,
+        options: globalOptions,
+        explanations: EXPLANATIONS,
+        identities: IDENTITIES,
+        kinds: KINDS,
+        elements
+    };
+
+    globalThis.ActuarialSymbols = ActuarialSymbols;
+    if (typeof module === 'object' && module.exports) {
+        module.exports = ActuarialSymbols;
+    }
+
+    if (typeof customElements !== 'undefined') {
+        // Register all custom elements
+        Object.values(elements).forEach(ctor => {
+            customElements.define(ctor.tag, ctor);
+        });
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => observeShorthand(document));
+        } else {
+            observeShorthand(document);
+        }
+
+        console.log('🎯 Actuarial Symbols Library (Refactored) loaded');
+    }
 })();